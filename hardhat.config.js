@@ -240,6 +240,12 @@ module.exports = {
                         runs: 1000000,
                     },
                     evmVersion: "cancun",
+                    // Storage layout is required to check the upgrade compatibility
+                    outputSelection: {
+                        "*": {
+                            "*": ["storageLayout"]
+                        }
+                    }
                 },
             },
             {
@@ -0,0 +1,161 @@
+const { ethers } = require("ethers");
+
+// Contracts with privileged changes: configuration contract name, its ABI contract name and the admin events
+// Proxy events are emitted via the proxy address with the implementation ABI
+const adminContracts = [
+    { name: "KarmaProxy", abiName: "Karma",
+        events: ["OwnerUpdated", "ImplementationUpdated", "SetMechMarketplaceStatuses"] },
+    { name: "MechMarketplaceProxy", abiName: "MechMarketplace",
+        events: ["OwnerUpdated", "ImplementationUpdated", "MarketplaceParamsUpdated", "SetMechFactoryStatuses",
+            "SetPaymentTypeBalanceTrackers"] },
+    { name: "BalanceTrackerNvmSubscriptionNative", abiName: "BalanceTrackerNvmSubscriptionNative",
+        events: ["SubscriptionSet"] }
+];
+
+// Gets the address in the checksum form, or null for empty values
+function toAddress(value) {
+    return value ? ethers.utils.getAddress(value) : null;
+}
+
+// Gets the chain allow-list: parameter ranges of the allow-lists file, and allowed addresses of the allow-lists file
+// extended with the globals ones
+function getAllowList(allowLists, chainName, globals, paymentTypes) {
+    const allowList = allowLists[chainName] || {};
+    const addresses = (key, values) => new Set((allowList[key] || []).concat(values).filter(Boolean).map(toAddress));
+
+    return {
+        fee: allowList.fee || null,
+        minResponseTimeout: allowList.minResponseTimeout || null,
+        maxResponseTimeout: allowList.maxResponseTimeout || null,
+        implementations: addresses("implementations", [globals.karmaAddress, globals.mechMarketplaceAddress]),
+        mechMarketplaces: addresses("mechMarketplaces", [globals.mechMarketplaceProxyAddress]),
+        mechFactories: addresses("mechFactories", [globals.mechFactoryFixedPriceNativeAddress,
+            globals.mechFactoryFixedPriceTokenAddress, globals.mechFactoryNvmSubscriptionNativeAddress]),
+        subscriptionNFTs: addresses("subscriptionNFTs", [globals.subscriptionNFTAddress]),
+        // Payment type => allowed balance trackers
+        balanceTrackers: {
+            [paymentTypes.fixedPriceNative]: addresses("balanceTrackers", [globals.balanceTrackerFixedPriceNativeAddress]),
+            [paymentTypes.fixedPriceToken]: addresses("balanceTrackers", [globals.balanceTrackerFixedPriceTokenAddress]),
+            [paymentTypes.nvmSubscriptionNative]: addresses("balanceTrackers",
+                [globals.balanceTrackerNvmSubscriptionNativeAddress])
+        }
+    };
+}
+
+// Checks that the value is within the { min, max } range, if the range is defined
+function checkRange(name, value, range, anomalies) {
+    if (!range) {
+        return;
+    }
+    if ((range.min !== undefined && value.lt(range.min)) || (range.max !== undefined && value.gt(range.max))) {
+        anomalies.push(name + " " + value + " is outside of the allowed range [" + range.min + ", " + range.max + "]");
+    }
+}
+
+// Gets anomalies of the changed parameter values that are not allowed
+// Disabling statuses are always allowed, only enabled addresses must be in the allow-list
+function getValueAnomalies(change, allowList) {
+    const anomalies = [];
+    const args = change.args;
+    switch (change.event) {
+    case "ImplementationUpdated":
+        if (!allowList.implementations.has(toAddress(args.implementation))) {
+            anomalies.push("implementation " + args.implementation + " is not allowed");
+        }
+        break;
+    case "MarketplaceParamsUpdated":
+        checkRange("fee", args.fee, allowList.fee, anomalies);
+        checkRange("minResponseTimeout", args.minResponseTimeout, allowList.minResponseTimeout, anomalies);
+        checkRange("maxResponseTimeout", args.maxResponseTimeout, allowList.maxResponseTimeout, anomalies);
+        break;
+    case "SetMechFactoryStatuses":
+        args.mechFactories.forEach((factory, i) => {
+            if (args.statuses[i] && !allowList.mechFactories.has(toAddress(factory))) {
+                anomalies.push("mech factory " + factory + " is not allowed");
+            }
+        });
+        break;
+    case "SetMechMarketplaceStatuses":
+        args.mechMarketplaces.forEach((marketplace, i) => {
+            if (args.statuses[i] && !allowList.mechMarketplaces.has(toAddress(marketplace))) {
+                anomalies.push("mech marketplace " + marketplace + " is not allowed");
+            }
+        });
+        break;
+    case "SetPaymentTypeBalanceTrackers":
+        args.paymentTypes.forEach((paymentType, i) => {
+            const trackers = allowList.balanceTrackers[paymentType.toLowerCase()];
+            if (!trackers) {
+                anomalies.push("payment type " + paymentType + " is unknown");
+            } else if (!trackers.has(toAddress(args.balanceTrackers[i]))) {
+                anomalies.push("balance tracker " + args.balanceTrackers[i] + " is not allowed for " + paymentType);
+            }
+        });
+        break;
+    case "SubscriptionSet":
+        if (!allowList.subscriptionNFTs.has(toAddress(args.token))) {
+            anomalies.push("subscription NFT " + args.token + " is not allowed");
+        }
+        break;
+    }
+    return anomalies;
+}
+
+// Gets the account that made the change: the expected owner if it took part in the transaction, or the sender otherwise
+// Calls via the Safe or the bridge mediator are sent by another account, and the owner contract is the transaction
+// recipient or emits its own events in the same transaction
+function getChangeSigner(change, expectedOwner) {
+    const callers = (change.callers || []).map(toAddress);
+    return callers.includes(expectedOwner) ? expectedOwner : toAddress(change.sender);
+}
+
+// Builds the timeline of privileged changes of one contract in the emission order
+// Ownership goes from the deployer to the bridge mediator, optionally through the Safe of deployments with useSafe: the
+// EOA hands over to the Safe, and the Safe later hands over to the bridge mediator. The expected owner of each change is
+// the latest of them ownership is transferred to. Contracts without ownership transfers are expected to be changed by
+// the deployer
+function buildContractTimeline(changes, deployer, bridgeMediator, allowList, safe = null) {
+    const owners = [{ name: "deployer", address: toAddress(deployer) }];
+    if (safe) {
+        owners.push({ name: "Safe", address: toAddress(safe) });
+    }
+    owners.push({ name: "bridge mediator", address: toAddress(bridgeMediator) });
+    let stage = 0;
+
+    return changes.map((change) => {
+        const expectedOwner = owners[stage].address;
+        const signer = getChangeSigner(change, expectedOwner);
+        const anomalies = getValueAnomalies(change, allowList);
+        if (signer !== expectedOwner) {
+            anomalies.push("changed by " + signer + ", expected owner " + expectedOwner);
+        }
+
+        // Ownership can only be transferred to the next owners
+        if (change.event === "OwnerUpdated") {
+            const owner = toAddress(change.args.owner);
+            const nextOwners = owners.slice(stage);
+            const next = nextOwners.findIndex((nextOwner) => nextOwner.address === owner);
+            if (next >= 0) {
+                stage += next;
+            } else {
+                const expected = nextOwners.map((nextOwner) => nextOwner.name + " " + nextOwner.address);
+                anomalies.push("ownership is transferred to " + owner + ", expected " + (expected.length > 1 ?
+                    expected.slice(0, -1).join(", ") + " or " : "") + expected[expected.length - 1]);
+            }
+        }
+        return Object.assign({}, change, { signer, expectedOwner, anomalies });
+    });
+}
+
+// Sorts changes in the emission order across contracts
+function sortChanges(changes) {
+    return changes.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+module.exports = {
+    adminContracts,
+    getAllowList,
+    getValueAnomalies,
+    buildContractTimeline,
+    sortChanges
+};
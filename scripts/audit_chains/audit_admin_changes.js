@@ -0,0 +1,188 @@
+/*global process*/
+
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { getGlobalsFiles, getAuditChains, getProviderURL, getFromBlock } = require("./audit_contracts_setup");
+const { createResults, recordCheck, getFailures, getSummary, writeReports } = require("./results");
+const { adminContracts, getAllowList, buildContractTimeline, sortChanges } = require("./admin");
+const { readManifest } = require("../deployment/manifest");
+const { paymentTypes } = require("../deployment/constants");
+const { getPagedLogs } = require("../client/events");
+
+// Usage: node scripts/audit_chains/audit_admin_changes.js [network_type ...] [--from-block=block]
+// [--allowlist=allowlist.json] [--json=report.json] [--junit=report.xml]
+const args = process.argv.slice(2);
+const getOption = (name, defaultValue) => {
+    const option = args.find((arg) => arg.startsWith("--" + name + "="));
+    return option ? option.slice(name.length + 3) : defaultValue;
+};
+
+// Formats event arguments: numbers as decimal strings, arrays element-wise
+function formatArgs(values) {
+    if (ethers.BigNumber.isBigNumber(values)) {
+        return values.toString();
+    }
+    if (Array.isArray(values)) {
+        return values.map(formatArgs);
+    }
+    return values;
+}
+
+// Gets privileged changes of the contract along with their transaction senders, callers and timestamps
+// Callers are the transaction sender and recipient, and contracts emitting events in the transaction
+async function getContractChanges(provider, adminContract, configContracts, fromBlock, cache) {
+    const configContract = configContracts.find((contract) => contract["name"] === adminContract.name);
+    const abiContract = configContracts.find((contract) => contract["name"] === adminContract.abiName);
+    const abi = JSON.parse(fs.readFileSync(abiContract["artifact"], "utf8"))["abi"];
+    const iface = new ethers.utils.Interface(abi);
+    const topics = [adminContract.events.map((name) => iface.getEventTopic(name))];
+
+    const logs = await getPagedLogs(provider, { address: configContract["address"], topics, fromBlock });
+    const changes = [];
+    for (const log of logs) {
+        const parsed = iface.parseLog(log);
+        cache.txs[log.transactionHash] = cache.txs[log.transactionHash] || await provider.getTransaction(log.transactionHash);
+        cache.receipts[log.transactionHash] = cache.receipts[log.transactionHash] ||
+            await provider.getTransactionReceipt(log.transactionHash);
+        cache.blocks[log.blockNumber] = cache.blocks[log.blockNumber] || await provider.getBlock(log.blockNumber);
+        const tx = cache.txs[log.transactionHash];
+        const callers = [tx.from, tx.to].concat(cache.receipts[log.transactionHash].logs.map((l) => l.address));
+        changes.push({
+            contract: adminContract.name,
+            address: configContract["address"],
+            event: parsed.name,
+            args: parsed.args,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            timestamp: new Date(cache.blocks[log.blockNumber].timestamp * 1000).toISOString(),
+            txHash: log.transactionHash,
+            sender: tx.from,
+            callers: [...new Set(callers.filter(Boolean))]
+        });
+    }
+    return changes;
+}
+
+// Gets the deployer: the one recorded in the deployment manifest, or the sender of the earliest privileged change
+function getDeployer(providerName, changes) {
+    const manifest = readManifest(providerName);
+    const contract = manifest.contracts["KarmaProxy"] || Object.values(manifest.contracts)[0];
+    if (contract) {
+        return contract.deployer;
+    }
+    return changes.length > 0 ? sortChanges(changes.slice())[0].sender : null;
+}
+
+// Builds the timeline of privileged changes on the chain and records each change as the check
+async function auditChainChanges(provider, config, globals, allowList, fromBlock, context) {
+    const cache = { txs: {}, receipts: {}, blocks: {} };
+    const contractChanges = [];
+    for (const adminContract of adminContracts) {
+        contractChanges.push(await getContractChanges(provider, adminContract, config["contracts"], fromBlock, cache));
+    }
+
+    const deployer = getDeployer(config["name"], contractChanges.flat());
+    // Deployments with the Safe batch hand over ownership to the bridge mediator through the Safe
+    const safe = globals["useSafe"] ? globals["safeAddress"] : null;
+    console.log("Deployer: " + deployer + (safe ? ", Safe: " + safe : "") + ", bridge mediator: " +
+        globals["bridgeMediatorAddress"]);
+    const timeline = sortChanges(contractChanges.map((changes) => buildContractTimeline(changes, deployer,
+        globals["bridgeMediatorAddress"], allowList, safe)).flat());
+
+    for (const change of timeline) {
+        const changeArgs = {};
+        Object.keys(change.args).filter((key) => isNaN(key))
+            .forEach((key) => { changeArgs[key] = formatArgs(change.args[key]); });
+        console.log(change.timestamp + " " + change.contract + "." + change.event + " " + JSON.stringify(changeArgs) +
+            " signed by " + change.signer + (change.anomalies.length > 0 ? "\n    ANOMALY: " +
+            change.anomalies.join("\n    ANOMALY: ") : ""));
+
+        const { chainId, network } = context;
+        recordCheck(context.results, {
+            chainId,
+            network,
+            contract: change.contract,
+            address: change.address,
+            check: change.event + " at block " + change.blockNumber,
+            expected: change.expectedOwner,
+            actual: change.signer,
+            error: change.anomalies.length > 0 ? change.anomalies.join("; ") : null,
+            blockNumber: change.blockNumber,
+            timestamp: change.timestamp,
+            txHash: change.txHash,
+            sender: change.sender,
+            args: changeArgs
+        });
+    }
+}
+
+async function main() {
+    const results = createResults();
+
+    // Read configuration and allow-lists from JSON files
+    const configs = JSON.parse(fs.readFileSync("docs/configuration.json", "utf8"));
+    const allowLists = JSON.parse(fs.readFileSync(getOption("allowlist", "scripts/audit_chains/admin_allowlist.json"),
+        "utf8"));
+
+    // Chains can be limited by their names provided as arguments
+    const chainNames = args.filter((arg) => !arg.startsWith("--"));
+    const chains = getAuditChains(configs, getGlobalsFiles())
+        .filter((chain) => chainNames.length === 0 || chainNames.includes(chain.config["name"]));
+
+    for (const chain of chains) {
+        const config = chain.config;
+        console.log("\n######## Privileged changes on CHAIN ID", config["chainId"]);
+
+        const context = { results, chainId: config["chainId"], network: config["name"] };
+        // A failing chain does not prevent other chains from being audited
+        try {
+            if (!chain.globalsFile) {
+                throw new Error("No globals file in scripts/deployment matches the configuration MechMarketplaceProxy");
+            }
+            if (!allowLists[config["name"]]) {
+                throw new Error("No allow-list is defined for " + config["name"]);
+            }
+            const globals = JSON.parse(fs.readFileSync(chain.globalsFile, "utf8"));
+            const provider = new ethers.providers.JsonRpcProvider(getProviderURL(config["name"]));
+            const { chainId } = await provider.getNetwork();
+            if (chainId.toString() !== config["chainId"]) {
+                throw new Error("RPC chain Id " + chainId + " does not match the configuration chain Id");
+            }
+
+            const allowList = getAllowList(allowLists, config["name"], globals, paymentTypes);
+            await auditChainChanges(provider, config, globals, allowList, await getFromBlock(provider, config),
+                context);
+        } catch (error) {
+            recordCheck(results, { chainId: config["chainId"], network: config["name"], check: "chain",
+                error: error.message });
+            console.error(error.message);
+        }
+    }
+
+    writeReports(results, { json: getOption("json", "audit_admin_report.json"),
+        junit: getOption("junit", "audit_admin_report.xml") });
+    const summary = getSummary(results);
+    for (const chain of Object.keys(summary)) {
+        console.log(chain + ": " + summary[chain].passed + " changes as expected, " + summary[chain].failed +
+            " anomalies");
+    }
+
+    const failures = getFailures(results);
+    if (failures.length > 0) {
+        throw new Error("Admin changes audit failed: " + failures.length + " of " + results.checks.length +
+            " changes are anomalous");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    auditChainChanges
+};
@@ -0,0 +1,181 @@
+/*global process*/
+
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { getGlobalsFiles, getAuditChains, getProviderURL, getFromBlock } = require("./audit_contracts_setup");
+const { createResults, recordCheck, getFailures, getSummary, writeReports } = require("./results");
+const { balanceTrackers, replayBalanceEvents, getMechBalancesSum, getLiabilities } = require("./balances");
+const { getPagedLogs } = require("../client/events");
+
+// Usage: node scripts/audit_chains/audit_balance_trackers.js [network_type ...] [--from-block=block]
+// [--json=report.json] [--junit=report.xml]
+const args = process.argv.slice(2);
+const getOption = (name, defaultValue) => {
+    const option = args.find((arg) => arg.startsWith("--" + name + "="));
+    return option ? option.slice(name.length + 3) : defaultValue;
+};
+
+const erc20ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+// Records the check result of the tracker
+function record(context, check, fields) {
+    const { chainId, network, contract, address } = context;
+    const result = recordCheck(context.results, Object.assign({ chainId, network, contract, address, check }, fields));
+    if (!result.passed) {
+        console.log("ChainId: " + chainId + ", network: " + network + ", contract: " + contract + ", check: " + check);
+        console.error(result.error || "expected " + result.expected + ", got " + result.actual);
+        console.log("\n");
+    }
+}
+
+// Records the equality check of the reconstructed and on-chain values
+function recordEqual(context, check, reconstructed, onChain) {
+    record(context, check, { expected: reconstructed.toString(), actual: onChain.toString(),
+        passed: reconstructed.eq(onChain) });
+}
+
+// Gets tracker events in the emission order up to the block, logs are fetched in bounded block ranges
+async function getTrackerEvents(provider, tracker, fromBlock, toBlock) {
+    const logs = await getPagedLogs(provider, { address: tracker.address, fromBlock, toBlock });
+    const events = [];
+    for (const log of logs) {
+        try {
+            const parsed = tracker.interface.parseLog(log);
+            events.push({ name: parsed.name, args: parsed.args, blockNumber: log.blockNumber, logIndex: log.logIndex });
+        } catch (error) {
+            // Events of other contracts are not expected, but must not break the replay
+            console.log("Unknown event in " + log.transactionHash + ", log " + log.logIndex);
+        }
+    }
+    return events;
+}
+
+// Gets the tracker holdings: native and wrapped native balances, or the token balance
+async function getHoldings(provider, tracker, trackerConfig, blockTag) {
+    if (trackerConfig.holdings === "token") {
+        const token = new ethers.Contract(await tracker.token({ blockTag }), erc20ABI, provider);
+        return token.balanceOf(tracker.address, { blockTag });
+    }
+
+    const wrappedNativeToken = new ethers.Contract(await tracker.wrappedNativeToken({ blockTag }), erc20ABI, provider);
+    const nativeBalance = await provider.getBalance(tracker.address, blockTag);
+    return nativeBalance.add(await wrappedNativeToken.balanceOf(tracker.address, { blockTag }));
+}
+
+// Audits the balance tracker solvency: balances are rebuilt from events, cross-checked against the on-chain state, and
+// the tracker liabilities are compared with its holdings
+async function auditBalanceTracker(provider, trackerConfig, configContracts, fromBlock, blockTag, context) {
+    const configContract = configContracts.find((contract) => contract["name"] === trackerConfig.name);
+    const abi = JSON.parse(fs.readFileSync(configContract["artifact"], "utf8"))["abi"];
+    const tracker = new ethers.Contract(configContract["address"], abi, provider);
+    context = Object.assign({}, context, { contract: trackerConfig.name, address: tracker.address });
+
+    const options = { credits: trackerConfig.credits };
+    if (trackerConfig.credits) {
+        options.tokenCreditRatio = await tracker.tokenCreditRatio({ blockTag });
+    }
+    const events = await getTrackerEvents(provider, tracker, fromBlock, blockTag);
+    console.log(trackerConfig.name + ": replaying " + events.length + " events");
+    const state = replayBalanceEvents(events, options);
+    record(context, "event replay", { error: state.errors.length > 0 ? state.errors.join("; ") : null });
+
+    // Check collected fees
+    recordEqual(context, "collectedFees()", state.collectedFees, await tracker.collectedFees({ blockTag }));
+
+    // Check mech balances
+    let onChainMechBalances = ethers.BigNumber.from(0);
+    for (const mech of Object.keys(state.mechBalances)) {
+        onChainMechBalances = onChainMechBalances.add(await tracker.mapMechBalances(mech, { blockTag }));
+    }
+    recordEqual(context, "mapMechBalances() sum", getMechBalancesSum(state.mechBalances), onChainMechBalances);
+
+    if (trackerConfig.credits) {
+        // Subscription deposits fund the tracker balance
+        recordEqual(context, "trackerBalance()", state.trackerBalance, await tracker.trackerBalance({ blockTag }));
+    } else {
+        // Check requester balances of all the requesters found in events
+        let onChainRequesterBalances = ethers.BigNumber.from(0);
+        for (const requester of state.requesters) {
+            onChainRequesterBalances = onChainRequesterBalances.add(await tracker.mapRequesterBalances(requester,
+                { blockTag }));
+        }
+        recordEqual(context, "mapRequesterBalances() sum", state.requesterBalances, onChainRequesterBalances);
+    }
+
+    // Check solvency
+    const liabilities = getLiabilities(state, options);
+    const holdings = await getHoldings(provider, tracker, trackerConfig, blockTag);
+    record(context, "solvency", { expected: ">= " + liabilities.toString(), actual: holdings.toString(),
+        passed: holdings.gte(liabilities) });
+    if (holdings.lt(liabilities)) {
+        console.log(trackerConfig.name + " shortfall: " + liabilities.sub(holdings).toString());
+    }
+}
+
+async function main() {
+    const results = createResults();
+
+    // Read configuration from the JSON file
+    const configs = JSON.parse(fs.readFileSync("docs/configuration.json", "utf8"));
+
+    // Chains can be limited by their names provided as arguments
+    const chainNames = args.filter((arg) => !arg.startsWith("--"));
+    const chains = getAuditChains(configs, getGlobalsFiles())
+        .filter((chain) => chainNames.length === 0 || chainNames.includes(chain.config["name"]));
+
+    for (const chain of chains) {
+        const config = chain.config;
+        console.log("\n######## Auditing balance trackers on CHAIN ID", config["chainId"]);
+
+        const context = { results, chainId: config["chainId"], network: config["name"] };
+        // A failing chain or tracker does not prevent others from being audited
+        try {
+            const provider = new ethers.providers.JsonRpcProvider(getProviderURL(config["name"]));
+            const { chainId } = await provider.getNetwork();
+            if (chainId.toString() !== config["chainId"]) {
+                throw new Error("RPC chain Id " + chainId + " does not match the configuration chain Id");
+            }
+
+            // All the balances are read at the same block events are replayed up to
+            const blockTag = await provider.getBlockNumber();
+            const fromBlock = await getFromBlock(provider, config);
+            console.log("Replaying events from block " + fromBlock + " to block " + blockTag);
+            for (const trackerConfig of balanceTrackers) {
+                try {
+                    await auditBalanceTracker(provider, trackerConfig, config["contracts"], fromBlock, blockTag, context);
+                } catch (error) {
+                    record(Object.assign({}, context, { contract: trackerConfig.name }), "audit",
+                        { error: error.message });
+                }
+            }
+        } catch (error) {
+            record(context, "chain", { error: error.message });
+        }
+    }
+
+    writeReports(results, { json: getOption("json", "audit_balances_report.json"),
+        junit: getOption("junit", "audit_balances_report.xml") });
+    const summary = getSummary(results);
+    for (const chain of Object.keys(summary)) {
+        console.log(chain + ": " + summary[chain].passed + " checks passed, " + summary[chain].failed + " failed");
+    }
+
+    const failures = getFailures(results);
+    if (failures.length > 0) {
+        throw new Error("Balance trackers audit failed: " + failures.length + " of " + results.checks.length +
+            " checks did not pass");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    auditBalanceTracker
+};
@@ -0,0 +1,213 @@
+/*global process*/
+
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { artifacts } = require("hardhat");
+const { steps } = require("../deployment/steps");
+const { getGlobalsFiles } = require("./audit_contracts_setup");
+const { createResults, recordCheck, getFailures, getSummary, writeReports } = require("./results");
+
+// Usage: node scripts/audit_chains/audit_configuration_drift.js [network_type ...] [--json=report.json]
+// [--junit=report.xml]
+// Cross-references docs/configuration.json contracts with the deployment globals and the compiled contracts
+const args = process.argv.slice(2);
+const getOption = (name, defaultValue) => {
+    const option = args.find((arg) => arg.startsWith("--" + name + "="));
+    return option ? option.slice(name.length + 3) : defaultValue;
+};
+
+// Globals files of deprecated and test deployments
+const variantPattern = /_(deprecated|test)\.json$/;
+
+// Globals keys of deployed contracts by the contract name
+const globalsKeys = {};
+steps.filter((step) => !step.method).forEach((step) => { globalsKeys[step.contractName] = step.globalsKey; });
+
+// Gets the address in the checksum form, or null for empty values
+// Invalid addresses throw
+function toAddress(value) {
+    return value ? ethers.utils.getAddress(value) : null;
+}
+
+// Gets the chain globals: the primary one and deprecated or test variants with the same provider name
+function getChainGlobals(chainName, globalsList) {
+    const candidates = globalsList.filter(({ parsedGlobals }) => parsedGlobals["providerName"] === chainName);
+    return {
+        primary: candidates.filter(({ fileName }) => !variantPattern.test(fileName)),
+        variants: candidates.filter(({ fileName }) => variantPattern.test(fileName))
+    };
+}
+
+// Gets drift entries of the chain: { contract, check, status, message }
+// Statuses are "missing" if the address is set in only one of the sources, "stale" if the configuration address is the
+// one of deprecated or test globals, and "conflicting" if addresses differ otherwise
+function getAddressDrift(config, globalsList) {
+    const drift = [];
+    const { primary, variants } = getChainGlobals(config["name"], globalsList);
+    if (primary.length !== 1) {
+        drift.push({ contract: null, check: "globals", status: primary.length === 0 ? "missing" : "conflicting",
+            message: primary.length === 0 ? "No globals file with providerName " + config["name"] :
+                "Multiple globals files: " + primary.map(({ fileName }) => fileName).join(", ") });
+        return drift;
+    }
+    const { fileName, parsedGlobals } = primary[0];
+
+    // Every configuration contract must be the same in globals
+    const configNames = config["contracts"].map((contract) => contract["name"]);
+    for (const contract of config["contracts"]) {
+        const globalsKey = globalsKeys[contract["name"]];
+        if (!globalsKey) {
+            drift.push({ contract: contract["name"], check: "address", status: "conflicting",
+                message: "Unknown contract, it is not deployed by any deployment step" });
+            continue;
+        }
+
+        let configAddress;
+        let globalsAddress;
+        let variant;
+        try {
+            configAddress = toAddress(contract["address"]);
+            globalsAddress = toAddress(parsedGlobals[globalsKey]);
+            // Deprecated and test globals are only looked up for differing addresses
+            if (configAddress !== globalsAddress) {
+                variant = variants.find(({ parsedGlobals }) => parsedGlobals[globalsKey] &&
+                    toAddress(parsedGlobals[globalsKey]) === configAddress);
+            }
+        } catch (error) {
+            drift.push({ contract: contract["name"], check: "address", status: "conflicting", message: error.message });
+            continue;
+        }
+
+        if (configAddress === globalsAddress) {
+            continue;
+        }
+        if (!configAddress) {
+            drift.push({ contract: contract["name"], check: "address", status: "missing",
+                message: "Missing in configuration, " + fileName + " " + globalsKey + " is " + globalsAddress });
+        } else if (!globalsAddress) {
+            drift.push({ contract: contract["name"], check: "address", status: "missing",
+                message: "Missing in " + fileName + " " + globalsKey + ", configuration address is " + configAddress });
+        } else if (variant) {
+            drift.push({ contract: contract["name"], check: "address", status: "stale",
+                message: "Configuration address " + configAddress + " is the one of " + variant.fileName + ", " +
+                    fileName + " " + globalsKey + " is " + globalsAddress });
+        } else {
+            drift.push({ contract: contract["name"], check: "address", status: "conflicting",
+                message: "Configuration address " + configAddress + ", " + fileName + " " + globalsKey + " is " +
+                    globalsAddress });
+        }
+    }
+
+    // Deployed contracts of globals must be listed in the configuration
+    for (const contractName of Object.keys(globalsKeys)) {
+        if (!configNames.includes(contractName) && parsedGlobals[globalsKeys[contractName]]) {
+            drift.push({ contract: contractName, check: "address", status: "missing",
+                message: "Missing in configuration, " + fileName + " " + globalsKeys[contractName] + " is " +
+                    parsedGlobals[globalsKeys[contractName]] });
+        }
+    }
+    return drift;
+}
+
+// Compares ABIs as sets of human-readable fragments, returns fragments that are only in one of them
+function compareABIs(abi, referenceABI) {
+    const format = (fragments) => new ethers.utils.Interface(fragments).format(ethers.utils.FormatTypes.full);
+    const fragments = format(abi);
+    const referenceFragments = format(referenceABI);
+    return {
+        added: fragments.filter((fragment) => !referenceFragments.includes(fragment)),
+        removed: referenceFragments.filter((fragment) => !fragments.includes(fragment))
+    };
+}
+
+// Gets drift entries of configuration artifacts: artifact files must exist and match the compiled ABI
+async function getArtifactDrift(config) {
+    const drift = [];
+    for (const contract of config["contracts"]) {
+        if (!fs.existsSync(contract["artifact"])) {
+            drift.push({ contract: contract["name"], check: "artifact", status: "missing",
+                message: "Artifact " + contract["artifact"] + " does not exist" });
+            continue;
+        }
+
+        let compiled;
+        try {
+            compiled = await artifacts.readArtifact(contract["name"]);
+        } catch (error) {
+            drift.push({ contract: contract["name"], check: "artifact", status: "missing",
+                message: "Compiled artifact is not found, compile the contracts" });
+            continue;
+        }
+        const artifact = JSON.parse(fs.readFileSync(contract["artifact"], "utf8"));
+        const { added, removed } = compareABIs(artifact["abi"], compiled.abi);
+        if (added.length > 0 || removed.length > 0) {
+            drift.push({ contract: contract["name"], check: "artifact", status: "stale",
+                message: contract["artifact"] + " ABI differs from the compiled one" +
+                    (added.length > 0 ? ", only in artifact: " + added.join("; ") : "") +
+                    (removed.length > 0 ? ", only compiled: " + removed.join("; ") : "") });
+        }
+    }
+    return drift;
+}
+
+async function main() {
+    const results = createResults();
+    const configs = JSON.parse(fs.readFileSync("docs/configuration.json", "utf8"));
+    const globalsList = getGlobalsFiles().map((fileName) => ({
+        fileName,
+        parsedGlobals: JSON.parse(fs.readFileSync(fileName, "utf8"))
+    }));
+
+    // Chains can be limited by their names provided as arguments
+    const chainNames = args.filter((arg) => !arg.startsWith("--"));
+    for (const config of configs.filter((config) => chainNames.length === 0 || chainNames.includes(config["name"]))) {
+        console.log("\n######## Configuration drift on CHAIN ID", config["chainId"]);
+        const { chainId, name: network } = config;
+        const drift = getAddressDrift(config, globalsList).concat(await getArtifactDrift(config));
+        for (const entry of drift) {
+            console.log((entry.contract || "chain") + " " + entry.check + " " + entry.status + ": " + entry.message);
+        }
+
+        // Record every contract check, and drift entries as failed ones
+        const contractNames = config["contracts"].map((contract) => contract["name"]);
+        drift.filter((entry) => !entry.contract || !contractNames.includes(entry.contract))
+            .forEach((entry) => recordCheck(results, { chainId, network, contract: entry.contract, check: entry.check,
+                error: entry.status + ": " + entry.message }));
+        for (const contract of config["contracts"]) {
+            for (const check of ["address", "artifact"]) {
+                const entry = drift.find((entry) => entry.contract === contract["name"] && entry.check === check);
+                recordCheck(results, { chainId, network, contract: contract["name"], address: contract["address"],
+                    check, error: entry ? entry.status + ": " + entry.message : null });
+            }
+        }
+    }
+
+    writeReports(results, { json: getOption("json", "audit_drift_report.json"),
+        junit: getOption("junit", "audit_drift_report.xml") });
+    const summary = getSummary(results);
+    for (const chain of Object.keys(summary)) {
+        console.log(chain + ": " + summary[chain].passed + " checks passed, " + summary[chain].failed + " failed");
+    }
+
+    const failures = getFailures(results);
+    if (failures.length > 0) {
+        throw new Error("Configuration drift: " + failures.length + " of " + results.checks.length +
+            " checks did not pass");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    getChainGlobals,
+    getAddressDrift,
+    compareABIs,
+    getArtifactDrift
+};
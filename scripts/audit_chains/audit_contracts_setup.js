@@ -3,16 +3,72 @@
 const { ethers } = require("ethers");
 const { expect } = require("chai");
 const fs = require("fs");
-
-const verifyRepo = false;
+const path = require("path");
+const hre = require("hardhat");
+const { checkGlobals } = require("../deployment/validate");
+const { createResults, recordCheck, getFailures, getSummary, writeReports } = require("./results");
+const { getImmutableReferences, compareBytecode, getExpectedImmutables } = require("./bytecode");
+const { paymentTypes } = require("../deployment/constants");
+const { mechFactories, getExplorer } = require("../deployment/verify");
+const { readManifest } = require("../deployment/manifest");
+const { auditContractSources } = require("./sources");
+const { getPagedLogs } = require("../client/events");
+
+// Verified sources are compared with the repository ones with the --sources flag
+const verifyRepo = process.argv.includes("--sources");
 const verifySetup = true;
+// Proxy implementation slot names, the slot is the keccak256 of the name
+const proxySlots = {
+    "KarmaProxy": "KARMA_PROXY",
+    "MechMarketplaceProxy": "MECH_MARKETPLACE_PROXY"
+};
+
+// Mech factories version as in MechFactoryBase
+const mechFactoryVersion = "0.1.0";
+// Mech payment types by the mech contract name
+const mechPaymentTypes = {
+    "MechFixedPriceNative": paymentTypes.fixedPriceNative,
+    "MechFixedPriceToken": paymentTypes.fixedPriceToken,
+    "MechNvmSubscriptionNative": paymentTypes.nvmSubscriptionNative
+};
+
+// Directory with deployment globals files
+const globalsDir = "scripts/deployment/";
+
+// Usage: node scripts/audit_chains/audit_contracts_setup.js [network_type ...] [--json=report.json] [--junit=report.xml]
+// [--from-block=block] [--sources] [--config=configuration.json] [--globals=globals.json]
+const args = process.argv.slice(2);
+const getOption = (name, defaultValue) => {
+    const option = args.find((arg) => arg.startsWith("--" + name + "="));
+    return option ? option.slice(name.length + 3) : defaultValue;
+};
+
+// Gets the log prefix of the check context: chain, contract and its address
+function getLog(context) {
+    let log = "ChainId: " + context.chainId + ", network: " + context.network;
+    if (context.contract) {
+        log += ", contract: " + context.contract;
+    }
+    if (context.address) {
+        log += ", address: " + context.address;
+    }
+    return log;
+}
 
-// Custom expect that is wrapped into try / catch block
-function customExpect(arg1, arg2, log) {
+// Records the check result into the context results
+function record(context, check, fields) {
+    const { chainId, network, contract, address } = context;
+    recordCheck(context.results, Object.assign({ chainId, network, contract, address, check }, fields));
+}
+
+// Custom expect that is wrapped into try / catch block, the result is recorded with the check name
+function customExpect(arg1, arg2, context, check) {
     try {
         expect(arg1).to.equal(arg2);
+        record(context, check, { expected: String(arg2), actual: String(arg1) });
     } catch (error) {
-        console.log(log);
+        record(context, check, { expected: String(arg2), actual: String(arg1), passed: false });
+        console.log(getLog(context) + ", function: " + check);
         if (error.status) {
             console.error(error.status);
             console.log("\n");
@@ -23,40 +79,108 @@ function customExpect(arg1, arg2, log) {
     }
 }
 
-// Custom expect for contain clause that is wrapped into try / catch block
-function customExpectContain(arg1, arg2, log) {
+// Check the bytecode: the on-chain deployed bytecode must exactly match the configuration artifact one with immutable
+// positions masked, and on-chain immutable values must match the expected ones
+// Immutable positions are taken from the build info of the compiled contract, which must match the artifact
+async function checkBytecode(provider, configContracts, contractName, context, globalsInstance, overrides = {}) {
+    const configContract = configContracts.find((contract) => contract["name"] === contractName);
+    await checkDeployedBytecode(provider, configContract, context, globalsInstance, overrides);
+}
+
+// Check the deployed bytecode of the contract given by its name, artifact and address
+async function checkDeployedBytecode(provider, contract, context, globalsInstance, overrides = {}) {
+    context = Object.assign({}, context, { address: contract["address"] });
+    const artifact = JSON.parse(fs.readFileSync(contract["artifact"], "utf8"));
+    const onChainBytecode = await provider.getCode(contract["address"]);
+
+    // Without the matching build the bytecode check fails, and other checks of the contract still run
+    const compiled = await getImmutableReferences(contract["name"]);
+    let buildError = null;
+    if (!compiled) {
+        buildError = "Build info of " + contract["name"] + " is not found, compile the contracts";
+    } else if (compiled.deployedBytecode.toLowerCase() !== artifact["deployedBytecode"].toLowerCase()) {
+        buildError = "Compiled " + contract["name"] + " does not match " + contract["artifact"] + ", build mismatch";
+    }
+    if (buildError) {
+        record(context, "bytecode", { error: buildError });
+        console.log(getLog(context) + ", function: bytecode");
+        console.error(buildError);
+        console.log("\n");
+        return;
+    }
+
+    const { values, errors, differences } = compareBytecode(onChainBytecode, artifact["deployedBytecode"],
+        compiled.immutables);
+    // Any byte difference outside of immutables is either tampering or the build mismatch
+    if (differences.length > 0) {
+        errors.push("differs at bytes " + differences.slice(0, 5).map((range) => range.start + "-" + range.end)
+            .join(", ") + (differences.length > 5 ? " and " + (differences.length - 5) + " more ranges" : ""));
+    }
+    customExpect(errors.length > 0 ? errors.join("; ") : "identical", "identical", context, "bytecode");
+
+    const expected = getExpectedImmutables(compiled.immutables, globalsInstance, context.chainId, overrides);
+    for (const name of Object.keys(expected)) {
+        customExpect(values[name], expected[name] === null ? "no expected value" : expected[name], context,
+            "immutable " + name);
+    }
+}
+
+// Gets the revert data of the failed call: JSON-RPC providers either return it as the call result or attach it to the error
+async function getRevertData(provider, tx) {
     try {
-        expect(arg1).contain(arg2);
+        return await provider.call(tx);
     } catch (error) {
-        console.log(log);
-        if (error.status) {
-            console.error(error.status);
-            console.log("\n");
-        } else {
-            console.error(error);
-            console.log("\n");
+        let nested = error;
+        while (nested) {
+            if (typeof nested.data === "string" && nested.data.startsWith("0x")) {
+                return nested.data;
+            }
+            nested = nested.error;
         }
+        throw error;
     }
 }
 
-// Check the bytecode
-async function checkBytecode(provider, configContracts, contractName, log) {
-    // Get the contract number from the set of configuration contracts
-    for (let i = 0; i < configContracts.length; i++) {
-        if (configContracts[i]["name"] === contractName) {
-            // Get the contract instance
-            const contractFromJSON = fs.readFileSync(configContracts[i]["artifact"], "utf8");
-            const parsedFile = JSON.parse(contractFromJSON);
-            const bytecode = parsedFile["deployedBytecode"];
-            const onChainCreationCode = await provider.getCode(configContracts[i]["address"]);
-
-            // Compare last 8-th part of deployed bytecode bytes (wveOLAS can't manage more)
-            // We cannot compare the full one since the repo deployed bytecode does not contain immutable variable info
-            const slicePart = -bytecode.length / 8;
-            customExpectContain(onChainCreationCode, bytecode.slice(slicePart),
-                log + ", address: " + configContracts[i]["address"] + ", failed bytecode comparison");
-            return;
-        }
+// Check the proxy implementation: the implementation slot must point to the configuration implementation contract,
+// and the proxy must be initialized such that initialize() reverts with AlreadyInitialized
+async function checkProxyImplementation(provider, configContracts, contractName, context) {
+    const proxy = configContracts.find((contract) => contract["name"] === contractName);
+    const implementationName = contractName.replace("Proxy", "");
+    const implementation = configContracts.find((contract) => contract["name"] === implementationName);
+    context = Object.assign({}, context, { address: proxy["address"] });
+
+    // Implementation slot is keccak256 of the proxy slot name
+    const slot = ethers.utils.id(proxySlots[contractName]);
+    const slotValue = await provider.getStorageAt(proxy["address"], slot);
+    const implementationAddress = ethers.utils.getAddress(ethers.utils.hexDataSlice(slotValue, 12));
+    customExpect(implementationAddress, implementation["address"], context, proxySlots[contractName] + " slot");
+
+    // Initialization with any parameters must revert
+    const abi = JSON.parse(fs.readFileSync(implementation["artifact"], "utf8"))["abi"];
+    const iface = new ethers.utils.Interface(abi);
+    const initArgs = iface.getFunction("initialize").inputs.map(() => 1);
+    const revertData = await getRevertData(provider, {
+        to: proxy["address"],
+        data: iface.encodeFunctionData("initialize", initArgs)
+    });
+    const alreadyInitialized = iface.getSighash("AlreadyInitialized");
+    customExpect(revertData.slice(0, 10), alreadyInitialized, context, "initialize() reverts with AlreadyInitialized");
+}
+
+// Check the explorer verified sources of the contract: sources must be identical to the repository ones file by file,
+// and the compiler settings must match the hardhat configuration
+async function checkSources(explorer, contract, context) {
+    try {
+        const { files, errors, compilerErrors } = await auditContractSources(explorer, contract["address"]);
+        console.log(files.length + " source files compared");
+        customExpect(errors.length > 0 ? errors.join("; ") : "identical", "identical", context, "sources");
+        customExpect(compilerErrors.length > 0 ? compilerErrors.join("; ") : "identical", "identical", context,
+            "compiler settings");
+    } catch (error) {
+        record(context, "sources", { error: error.message });
+        console.log(getLog(context));
+        console.error(error.message);
+        console.log("\n");
     }
 }
 
@@ -70,8 +194,10 @@ async function findContractInstance(provider, configContracts, contractName) {
 
             // Additional step for proxy contracts
             if (contractName === "KarmaProxy" || contractName === "MechMarketplaceProxy") {
-                // Get previous ABI
-                contractFromJSON = fs.readFileSync(configContracts[i - 1]["artifact"], "utf8");
+                // Get the implementation ABI
+                const implementationName = contractName.replace("Proxy", "");
+                const implementation = configContracts.find((contract) => contract["name"] === implementationName);
+                contractFromJSON = fs.readFileSync(implementation["artifact"], "utf8");
             }
 
             const parsedFile = JSON.parse(contractFromJSON);
@@ -83,159 +209,389 @@ async function findContractInstance(provider, configContracts, contractName) {
 }
 
 // Check KarmaProxy: chain Id, provider, parsed globals, configuration contracts, contract name
-async function checkKarmaProxy(chainId, provider, globalsInstance, configContracts, contractName, log) {
+async function checkKarmaProxy(chainId, provider, globalsInstance, configContracts, contractName, context) {
     // Check the bytecode
-    await checkBytecode(provider, configContracts, contractName, log);
+    await checkBytecode(provider, configContracts, contractName, context, globalsInstance);
+
+    // Check the implementation and initialization
+    await checkProxyImplementation(provider, configContracts, contractName, context);
 
     // Get the contract instance
     const karmaProxy = await findContractInstance(provider, configContracts, contractName);
 
-    log += ", address: " + karmaProxy.address;
+    context = Object.assign({}, context, { address: karmaProxy.address });
     // Check the owner
     const owner = await karmaProxy.owner();
-    customExpect(owner, globalsInstance["bridgeMediatorAddress"], log + ", function: owner()");
+    customExpect(owner, globalsInstance["bridgeMediatorAddress"], context, "owner()");
 
     // Check the whitelisted marketplace
     const isMarketplaceWhitelisted = await karmaProxy.mapMechMarketplaces(globalsInstance["mechMarketplaceProxyAddress"]);
-    customExpect(isMarketplaceWhitelisted, true, log + ", function: mapMechMarketplaces()");
+    customExpect(isMarketplaceWhitelisted, true, context, "mapMechMarketplaces()");
 }
 
 // Check MechMarketplaceProxy: chain Id, provider, parsed globals, configuration contracts, contract name
-async function checkMechMarketplaceProxy(chainId, provider, globalsInstance, configContracts, contractName, log) {
+async function checkMechMarketplaceProxy(chainId, provider, globalsInstance, configContracts, contractName, context) {
     // Check the bytecode
-    await checkBytecode(provider, configContracts, contractName, log);
+    await checkBytecode(provider, configContracts, contractName, context, globalsInstance);
+
+    // Check the implementation and initialization
+    await checkProxyImplementation(provider, configContracts, contractName, context);
 
     // Get the contract instance
     const mechMarketplaceProxy = await findContractInstance(provider, configContracts, contractName);
 
-    log += ", address: " + mechMarketplaceProxy.address;
+    context = Object.assign({}, context, { address: mechMarketplaceProxy.address });
     // Check the owner
     const owner = await mechMarketplaceProxy.owner();
-    customExpect(owner, globalsInstance["bridgeMediatorAddress"], log + ", function: owner()");
+    customExpect(owner, globalsInstance["bridgeMediatorAddress"], context, "owner()");
 
     // Check service registry address
     const serviceRegistry = await mechMarketplaceProxy.serviceRegistry();
-    customExpect(serviceRegistry, globalsInstance["serviceRegistryAddress"], log + ", function: serviceRegistry()");
+    customExpect(serviceRegistry, globalsInstance["serviceRegistryAddress"], context, "serviceRegistry()");
 
     // Check karma address
     const karma = await mechMarketplaceProxy.karma();
-    customExpect(karma, globalsInstance["karmaProxyAddress"], log + ", function: karma()");
+    customExpect(karma, globalsInstance["karmaProxyAddress"], context, "karma()");
 
     // Check fee
     const fee = await mechMarketplaceProxy.fee();
-    customExpect(fee.toString(), globalsInstance["fee"], log + ", function: fee()");
+    customExpect(fee.toString(), globalsInstance["fee"], context, "fee()");
 
     // Check min response time
     const minResponseTimeout = await mechMarketplaceProxy.minResponseTimeout();
-    customExpect(minResponseTimeout.toString(), globalsInstance["minResponseTimeout"], log + ", function: minResponseTimeout()");
+    customExpect(minResponseTimeout.toString(), globalsInstance["minResponseTimeout"], context, "minResponseTimeout()");
 
     // Check max response time
     const maxResponseTimeout = await mechMarketplaceProxy.maxResponseTimeout();
-    customExpect(maxResponseTimeout.toString(), globalsInstance["maxResponseTimeout"], log + ", function: maxResponseTimeout()");
+    customExpect(maxResponseTimeout.toString(), globalsInstance["maxResponseTimeout"], context, "maxResponseTimeout()");
 
     // Check whitelisted factories
     let isFactoryWhitelisted = await mechMarketplaceProxy.mapMechFactories(globalsInstance["mechFactoryFixedPriceNativeAddress"]);
-    customExpect(isFactoryWhitelisted, true, log + ", function: mapMechFactories()");
+    customExpect(isFactoryWhitelisted, true, context, "mapMechFactories()");
     isFactoryWhitelisted = await mechMarketplaceProxy.mapMechFactories(globalsInstance["mechFactoryFixedPriceTokenAddress"]);
-    customExpect(isFactoryWhitelisted, true, log + ", function: mapMechFactories()");
+    customExpect(isFactoryWhitelisted, true, context, "mapMechFactories()");
     isFactoryWhitelisted = await mechMarketplaceProxy.mapMechFactories(globalsInstance["mechFactoryNvmSubscriptionNativeAddress"]);
-    customExpect(isFactoryWhitelisted, true, log + ", function: mapMechFactories()");
+    customExpect(isFactoryWhitelisted, true, context, "mapMechFactories()");
 
     // Check whitelisted balance trackers
     // FixedPriceNative
     let paymentType = "0xba699a34be8fe0e7725e93dcbce1701b0211a8ca61330aaeb8a05bf2ec7abed1";
     let balanceTracker = await mechMarketplaceProxy.mapPaymentTypeBalanceTrackers(paymentType);
-    customExpect(balanceTracker, globalsInstance["balanceTrackerFixedPriceNativeAddress"], log + ", function: mapPaymentTypeBalanceTrackers()");
+    customExpect(balanceTracker, globalsInstance["balanceTrackerFixedPriceNativeAddress"], context, "mapPaymentTypeBalanceTrackers()");
     // FixedPriceToken
     paymentType = "0x3679d66ef546e66ce9057c4a052f317b135bc8e8c509638f7966edfd4fcf45e9";
     balanceTracker = await mechMarketplaceProxy.mapPaymentTypeBalanceTrackers(paymentType);
-    customExpect(balanceTracker, globalsInstance["balanceTrackerFixedPriceTokenAddress"], log + ", function: mapPaymentTypeBalanceTrackers()");
+    customExpect(balanceTracker, globalsInstance["balanceTrackerFixedPriceTokenAddress"], context, "mapPaymentTypeBalanceTrackers()");
     // NvmSubscriptionNative
     paymentType = "0x803dd08fe79d91027fc9024e254a0942372b92f3ccabc1bd19f4a5c2b251c316";
     balanceTracker = await mechMarketplaceProxy.mapPaymentTypeBalanceTrackers(paymentType);
-    customExpect(balanceTracker, globalsInstance["balanceTrackerNvmSubscriptionNativeAddress"], log + ", function: mapPaymentTypeBalanceTrackers()");
+    customExpect(balanceTracker, globalsInstance["balanceTrackerNvmSubscriptionNativeAddress"], context, "mapPaymentTypeBalanceTrackers()");
 }
 
 // Check BalanceTracker: chain Id, provider, parsed globals, configuration contracts, contract name
-async function checkBalanceTracker(chainId, provider, globalsInstance, configContracts, contractName, log) {
+async function checkBalanceTracker(chainId, provider, globalsInstance, configContracts, contractName, context) {
     // Check the bytecode
-    await checkBytecode(provider, configContracts, contractName, log);
+    await checkBytecode(provider, configContracts, contractName, context, globalsInstance);
 
     // Get the contract instance
     const balanceTracker = await findContractInstance(provider, configContracts, contractName);
 
-    log += ", address: " + balanceTracker.address;
+    context = Object.assign({}, context, { address: balanceTracker.address });
     // Check mech marketplace
     const mechMarketplace = await balanceTracker.mechMarketplace();
-    customExpect(mechMarketplace, globalsInstance["mechMarketplaceProxyAddress"], log + ", function: mechMarketplace()");
+    customExpect(mechMarketplace, globalsInstance["mechMarketplaceProxyAddress"], context, "mechMarketplace()");
 
     // Check drainer
     const drainer = await balanceTracker.drainer();
-    customExpect(drainer, globalsInstance["drainerAddress"], log + ", function: drainer()");
+    customExpect(drainer, globalsInstance["drainerAddress"], context, "drainer()");
 
     // Additionally check fixed native token
     if (contractName === "BalanceTrackerFixedPriceNative") {
         const wrappedNativeToken = await balanceTracker.wrappedNativeToken();
-        customExpect(wrappedNativeToken, globalsInstance["wrappedNativeTokenAddress"], log + ", function: wrappedNativeToken()");
+        customExpect(wrappedNativeToken, globalsInstance["wrappedNativeTokenAddress"], context, "wrappedNativeToken()");
     }
 
     // Additionally check fixed token
     if (contractName === "BalanceTrackerFixedPriceToken") {
         const token = await balanceTracker.token();
-        customExpect(token, globalsInstance["olasAddress"], log + ", function: token()");
+        customExpect(token, globalsInstance["olasAddress"], context, "token()");
     }
 
     // Additionally check NVM subscription
     if (contractName === "BalanceTrackerNvmSubscriptionNative") {
         const subscriptionNFT = await balanceTracker.subscriptionNFT();
-        customExpect(subscriptionNFT, globalsInstance["subscriptionNFTAddress"], log + ", function: subscriptionNFT()");
+        customExpect(subscriptionNFT, globalsInstance["subscriptionNFTAddress"], context, "subscriptionNFT()");
 
         const subscriptionTokenId = await balanceTracker.subscriptionTokenId();
-        customExpect(subscriptionTokenId.toString(), ethers.BigNumber.from(globalsInstance["subscriptionTokenId"]).toString(), log + ", function: subscriptionTokenId()");
+        customExpect(subscriptionTokenId.toString(), ethers.BigNumber.from(globalsInstance["subscriptionTokenId"]).toString(), context, "subscriptionTokenId()");
 
         const tokenCreditRatio = await balanceTracker.tokenCreditRatio();
-        customExpect(tokenCreditRatio.toString(), ethers.BigNumber.from(globalsInstance["tokenCreditRatio"]).toString(), log + ", function: tokenCreditRatio()");
+        customExpect(tokenCreditRatio.toString(), ethers.BigNumber.from(globalsInstance["tokenCreditRatio"]).toString(), context, "tokenCreditRatio()");
+    }
+}
+
+// Check implementation: Karma, MechMarketplace
+async function checkImplementation(chainId, provider, globalsInstance, configContracts, contractName, context) {
+    // Check the bytecode, including immutables of the MechMarketplace implementation
+    await checkBytecode(provider, configContracts, contractName, context, globalsInstance);
+}
+
+// Check MechFactory: chain Id, provider, parsed globals, configuration contracts, contract name
+async function checkMechFactory(chainId, provider, globalsInstance, configContracts, contractName, context) {
+    // Check the bytecode
+    await checkBytecode(provider, configContracts, contractName, context, globalsInstance);
+
+    // Get the contract instance
+    const mechFactory = await findContractInstance(provider, configContracts, contractName);
+
+    context = Object.assign({}, context, { address: mechFactory.address });
+    // Check mech marketplace
+    const mechMarketplace = await mechFactory.mechMarketplace();
+    customExpect(mechMarketplace, globalsInstance["mechMarketplaceProxyAddress"], context, "mechMarketplace()");
+
+    // Check version
+    const version = await mechFactory.VERSION();
+    customExpect(version, mechFactoryVersion, context, "VERSION()");
+}
+
+// Check the mech created via the factory: provider, parsed globals, mech marketplace instance, mech artifact,
+// CreateMech event arguments and the factory configuration
+async function checkMech(provider, globalsInstance, mechMarketplace, mechArtifact, event, factoryConfig, context) {
+    const mechAddress = event.args.mech;
+    const paymentType = mechPaymentTypes[factoryConfig.mechName];
+    context = Object.assign({}, context, { contract: factoryConfig.mechName, address: mechAddress });
+
+    // Check the bytecode, service Id and payment type immutables are specific to the mech
+    const mech = { name: factoryConfig.mechName, artifact: mechArtifact, address: mechAddress };
+    await checkDeployedBytecode(provider, mech, context, globalsInstance,
+        { serviceId: event.args.serviceId.toString(), paymentType });
+
+    const abi = JSON.parse(fs.readFileSync(mechArtifact, "utf8"))["abi"];
+    const mechInstance = new ethers.Contract(mechAddress, abi, provider);
+
+    // Check payment type
+    const mechPaymentType = await mechInstance.paymentType();
+    customExpect(mechPaymentType, paymentType, context, "paymentType()");
+
+    // Check mech marketplace
+    const marketplace = await mechInstance.mechMarketplace();
+    customExpect(marketplace, globalsInstance["mechMarketplaceProxyAddress"], context, "mechMarketplace()");
+
+    // Check service registry
+    const serviceRegistry = await mechInstance.serviceRegistry();
+    customExpect(serviceRegistry, globalsInstance["serviceRegistryAddress"], context, "serviceRegistry()");
+
+    // Check the factory the mech is registered with in the marketplace
+    const mechFactory = await mechMarketplace.mapAgentMechFactories(mechAddress);
+    customExpect(mechFactory, event.args.mechFactory, context, "mapAgentMechFactories()");
+}
+
+// Check all the mechs created via the marketplace: CreateMech events are walked starting from the block
+// Each mech must be created by one of the globals factories and match its factory type
+async function checkMechs(chainId, provider, globalsInstance, configContracts, fromBlock, context) {
+    const mechMarketplace = await findContractInstance(provider, configContracts, "MechMarketplaceProxy");
+    const logs = await getPagedLogs(provider, Object.assign({ fromBlock }, mechMarketplace.filters.CreateMech()));
+    const events = logs.map((log) => Object.assign({}, log, { args: mechMarketplace.interface.parseLog(log).args }));
+    console.log("Found " + events.length + " mechs created since block " + fromBlock);
+
+    const factoryArtifact = configContracts.find((contract) => contract["name"] === "MechFactoryFixedPriceNative")["artifact"];
+    for (const event of events) {
+        const mechContext = Object.assign({}, context, { chainId, contract: "Mech", address: event.args.mech });
+        try {
+            const factoryConfig = mechFactories.find((factory) => globalsInstance[factory.globalsKey] &&
+                ethers.utils.getAddress(globalsInstance[factory.globalsKey]) === event.args.mechFactory);
+            if (!factoryConfig) {
+                throw new Error("Mech is created by an unknown factory " + event.args.mechFactory);
+            }
+            // Mech artifacts are located next to the factory ones
+            const mechArtifact = path.join(path.dirname(factoryArtifact), factoryConfig.mechName + ".json");
+            await checkMech(provider, globalsInstance, mechMarketplace, mechArtifact, event, factoryConfig, mechContext);
+        } catch (error) {
+            record(mechContext, "setup", { error: error.message });
+            console.log(getLog(mechContext));
+            console.error(error.message);
+            console.log("\n");
+        }
+    }
+}
+
+// Contracts setup checks
+const setupChecks = [
+    ["Karma", checkImplementation],
+    ["KarmaProxy", checkKarmaProxy],
+    ["MechMarketplace", checkImplementation],
+    ["MechMarketplaceProxy", checkMechMarketplaceProxy],
+    ["BalanceTrackerFixedPriceNative", checkBalanceTracker],
+    ["BalanceTrackerFixedPriceToken", checkBalanceTracker],
+    ["BalanceTrackerNvmSubscriptionNative", checkBalanceTracker],
+    ["MechFactoryFixedPriceNative", checkMechFactory],
+    ["MechFactoryFixedPriceToken", checkMechFactory],
+    ["MechFactoryNvmSubscriptionNative", checkMechFactory]
+];
+
+// Check all the contracts setup on a chain: chain Id, provider, parsed globals, configuration contracts, check context
+// The context provides the results collector, the chain network name, and the block to look for created mechs from or
+// the configuration deployment block
+// Contract checks that could not be performed are recorded as failed
+async function checkChainSetup(chainId, provider, globalsInstance, configContracts, context) {
+    for (const [contractName, check] of setupChecks) {
+        const contractContext = Object.assign({}, context, { chainId, contract: contractName });
+        try {
+            await check(chainId, provider, globalsInstance, configContracts, contractName, contractContext);
+        } catch (error) {
+            record(contractContext, "setup", { error: error.message });
+            console.log(getLog(contractContext));
+            console.error(error.message);
+            console.log("\n");
+        }
+    }
+
+    // Check mechs created via the marketplace
+    const mechsContext = Object.assign({}, context, { chainId, contract: "MechMarketplaceProxy" });
+    try {
+        const fromBlock = context.fromBlock !== undefined ? context.fromBlock : await getFromBlock(provider,
+            { name: context.network, deploymentBlock: context.deploymentBlock, contracts: configContracts });
+        await checkMechs(chainId, provider, globalsInstance, configContracts, fromBlock, mechsContext);
+    } catch (error) {
+        record(mechsContext, "mechs", { error: error.message });
+        console.log(getLog(mechsContext));
+        console.error(error.message);
+        console.log("\n");
+    }
+}
+
+// Gets the deployment globals files
+function getGlobalsFiles() {
+    return fs.readdirSync(globalsDir)
+        .filter((fileName) => /^globals_.*\.json$/.test(fileName))
+        .map((fileName) => globalsDir + fileName);
+}
+
+// Gets the address of the configuration contract, or null if it is not deployed
+function getConfigAddress(configContracts, contractName) {
+    const contract = configContracts.find((contract) => contract["name"] === contractName);
+    return contract && contract["address"] ? contract["address"] : null;
+}
+
+// Gets chains with deployed marketplace contracts paired with their globals files
+// The globals file of the chain is the one with the same provider name and marketplace proxy address, such that test
+// and deprecated deployments globals are not mixed up with the configured ones
+function getAuditChains(configs, globalsFiles) {
+    const globals = globalsFiles.map((fileName) => ({
+        fileName,
+        parsedGlobals: JSON.parse(fs.readFileSync(fileName, "utf8"))
+    }));
+
+    return configs
+        .filter((config) => getConfigAddress(config["contracts"], "MechMarketplaceProxy"))
+        .map((config) => {
+            const marketplace = getConfigAddress(config["contracts"], "MechMarketplaceProxy").toLowerCase();
+            const match = globals.find(({ parsedGlobals }) => parsedGlobals["providerName"] === config["name"] &&
+                (parsedGlobals["mechMarketplaceProxyAddress"] || "").toLowerCase() === marketplace);
+            return { config, globalsFile: match ? match.fileName : null };
+        });
+}
+
+// Gets the chain RPC URL: the NETWORK_RPC_URL env variable (e.g. GNOSIS_RPC_URL, ARBITRUMONE_RPC_URL), or the URL
+// of the hardhat network configuration
+function getProviderURL(providerName) {
+    const envURL = process.env[providerName.toUpperCase() + "_RPC_URL"];
+    if (envURL) {
+        return envURL;
+    }
+
+    const networkConfig = hre.config.networks[providerName];
+    if (!networkConfig || !networkConfig.url) {
+        throw new Error("No RPC URL for " + providerName + ", set " + providerName.toUpperCase() + "_RPC_URL");
+    }
+    return networkConfig.url;
+}
+
+// Gets the first block the contract code exists at, looked up with the binary search over the contract code
+async function findDeploymentBlock(provider, address) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+    if (await provider.getCode(address, high) === "0x") {
+        throw new Error("No contract code at " + address);
+    }
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (await provider.getCode(address, middle) === "0x") {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Gets the block to look for chain events from: the --from-block option, the earliest deployment block recorded in the
+// deployment manifest, the configuration deployment block, or the block the first configuration contract is deployed
+// at otherwise, which requires an archive RPC
+async function getFromBlock(provider, config) {
+    const fromBlock = getOption("from-block");
+    if (fromBlock !== undefined) {
+        return Number(fromBlock);
+    }
+
+    const manifest = readManifest(config["name"]);
+    const blocks = Object.values(manifest.contracts).map((contract) => contract.blockNumber);
+    if (blocks.length > 0) {
+        return Math.min(...blocks);
+    }
+    if (config["deploymentBlock"] !== undefined) {
+        return Number(config["deploymentBlock"]);
+    }
+
+    const contract = config["contracts"].find((contract) => contract["address"]);
+    try {
+        const deploymentBlock = await findDeploymentBlock(provider, contract["address"]);
+        console.log(contract["name"] + " is deployed at block " + deploymentBlock + ", set it as the configuration " +
+            "deploymentBlock");
+        return deploymentBlock;
+    } catch (error) {
+        throw new Error("Deployment block of " + config["name"] + " is not found, set the configuration " +
+            "deploymentBlock or --from-block: " + error.message);
     }
 }
 
 async function main() {
+    const results = createResults();
+
     // Read configuration from the JSON file
-    const configFile = "docs/configuration.json";
+    const configFile = getOption("config", "docs/configuration.json");
     const dataFromJSON = fs.readFileSync(configFile, "utf8");
     const configs = JSON.parse(dataFromJSON);
 
-    let numChains = configs.length;
+    // Chains can be limited by their names provided as arguments
+    const chainNames = args.filter((arg) => !arg.startsWith("--"));
     // ################################# VERIFY CONTRACTS WITH REPO #################################
     if (verifyRepo) {
-        // For now gnosis chains are not supported
-        const networks = {
-            "mainnet": "etherscan",
-            "polygon": "polygonscan",
-            "optimistic": "optimistic.etherscan"
-        };
-
         console.log("\nVerifying deployed contracts vs the repo... If no error is output, then the contracts are correct.");
 
-        // Traverse all chains
-        for (let i = 0; i < numChains; i++) {
-            // Skip unsupported chains
-            if (!networks[configs[i]["name"]]) {
+        // Traverse all chains with deployed contracts
+        for (const config of configs.filter((config) => chainNames.length === 0 || chainNames.includes(config["name"]))) {
+            const contracts = config["contracts"].filter((contract) => contract["address"]);
+            if (contracts.length === 0) {
                 continue;
             }
 
-            console.log("\n\nNetwork:", configs[i]["name"]);
-            const network = networks[configs[i]["name"]];
-            const contracts = configs[i]["contracts"];
+            console.log("\n\nNetwork:", config["name"]);
+            const context = { results, chainId: config["chainId"], network: config["name"] };
+            let explorer;
+            try {
+                explorer = getExplorer(config["name"]);
+            } catch (error) {
+                record(context, "sources", { error: error.message });
+                console.error(error.message);
+                continue;
+            }
 
             // Verify contracts
-            for (let j = 0; j < contracts.length; j++) {
-                console.log("Checking " + contracts[j]["name"]);
-                const execSync = require("child_process").execSync;
-                try {
-                    execSync("scripts/audit_chains/audit_repo_contract.sh " + network + " " + contracts[j]["name"] + " " + contracts[j]["address"]);
-                } catch (error) {
-                    continue;
-                }
+            for (const contract of contracts) {
+                console.log("Checking " + contract["name"]);
+                await checkSources(explorer, contract, Object.assign({}, context, { contract: contract["name"],
+                    address: contract["address"] }));
             }
         }
     }
@@ -243,57 +599,74 @@ async function main() {
 
     // ################################# VERIFY CONTRACTS SETUP #################################
     if (verifySetup) {
-        const globalNames = {
-            "gnosis": "scripts/deployment/globals_gnosis_mainnet.json",
-            "base": "scripts/deployment/globals_base_mainnet.json"
-        };
-
-        const providerLinks = {
-            "gnosis": "https://rpc.gnosischain.com",
-            "base": "https://mainnet.base.org"
-        };
-
-        // Get all the globals processed
-        const globals = new Array();
-        const providers = new Array();
-        numChains = Object.keys(globalNames).length;
-        for (let i = 0; i < numChains; i++) {
-            const dataJSON = fs.readFileSync(globalNames[configs[i]["name"]], "utf8");
-            globals.push(JSON.parse(dataJSON));
-            const provider = new ethers.providers.JsonRpcProvider(providerLinks[configs[i]["name"]]);
-            providers.push(provider);
-        }
+        const globalsFile = getOption("globals");
+        const chains = getAuditChains(configs, globalsFile ? [globalsFile] : getGlobalsFiles())
+            .filter((chain) => chainNames.length === 0 || chainNames.includes(chain.config["name"]));
 
         console.log("\nVerifying deployed contracts setup... If no error is output, then the contracts are correct.");
 
         // L2 contracts
-        for (let i = 0; i < numChains; i++) {
-            console.log("\n######## Verifying setup on CHAIN ID", configs[i]["chainId"]);
-
-            const initLog = "ChainId: " + configs[i]["chainId"] + ", network: " + configs[i]["name"];
-
-            let log = initLog + ", contract: " + "KarmaProxy";
-            await checkKarmaProxy(configs[i]["chainId"], providers[i], globals[i], configs[i]["contracts"], "KarmaProxy", log);
-
-            log = initLog + ", contract: " + "MechMarketplaceProxy";
-            await checkMechMarketplaceProxy(configs[i]["chainId"], providers[i], globals[i], configs[i]["contracts"], "MechMarketplaceProxy", log);
-
-            log = initLog + ", contract: " + "BalanceTrackerFixedPriceNative";
-            await checkBalanceTracker(configs[i]["chainId"], providers[i], globals[i], configs[i]["contracts"], "BalanceTrackerFixedPriceNative", log);
-
-            log = initLog + ", contract: " + "BalanceTrackerFixedPriceToken";
-            await checkBalanceTracker(configs[i]["chainId"], providers[i], globals[i], configs[i]["contracts"], "BalanceTrackerFixedPriceToken", log);
-
-            log = initLog + ", contract: " + "BalanceTrackerNvmSubscriptionNative";
-            await checkBalanceTracker(configs[i]["chainId"], providers[i], globals[i], configs[i]["contracts"], "BalanceTrackerNvmSubscriptionNative", log);
+        for (const chain of chains) {
+            const config = chain.config;
+            console.log("\n######## Verifying setup on CHAIN ID", config["chainId"]);
+
+            const context = { results, chainId: config["chainId"], network: config["name"],
+                deploymentBlock: config["deploymentBlock"] };
+            // A failing chain does not prevent other chains from being audited
+            try {
+                if (!chain.globalsFile) {
+                    throw new Error("No globals file in scripts/deployment matches the configuration MechMarketplaceProxy");
+                }
+                console.log("Globals file:", chain.globalsFile);
+                const globalsInstance = JSON.parse(fs.readFileSync(chain.globalsFile, "utf8"));
+                const provider = new ethers.providers.JsonRpcProvider(getProviderURL(config["name"]));
+                const { chainId } = await provider.getNetwork();
+                if (chainId.toString() !== config["chainId"]) {
+                    throw new Error("RPC chain Id " + chainId + " does not match the configuration chain Id");
+                }
+                await checkGlobals(globalsInstance, { provider });
+                await checkChainSetup(config["chainId"], provider, globalsInstance, config["contracts"], context);
+            } catch (error) {
+                record(context, "chain", { error: error.message });
+                console.log(getLog(context));
+                console.error(error.message);
+                console.log("\n");
+            }
         }
     }
     // ################################# /VERIFY CONTRACTS SETUP #################################
+
+    writeReports(results, { json: getOption("json", "audit_report.json"), junit: getOption("junit", "audit_report.xml") });
+    const summary = getSummary(results);
+    for (const chain of Object.keys(summary)) {
+        console.log(chain + ": " + summary[chain].passed + " checks passed, " + summary[chain].failed + " failed");
+    }
+
+    const failures = getFailures(results);
+    if (failures.length > 0) {
+        throw new Error("Audit failed: " + failures.length + " of " + results.checks.length + " checks did not pass");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = {
+    getGlobalsFiles,
+    getAuditChains,
+    getProviderURL,
+    getFromBlock,
+    checkSources,
+    checkKarmaProxy,
+    checkMechMarketplaceProxy,
+    checkBalanceTracker,
+    checkMechFactory,
+    checkMechs,
+    checkChainSetup
+};
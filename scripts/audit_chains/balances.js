@@ -0,0 +1,107 @@
+const { ethers } = require("ethers");
+
+// Balance trackers: globals key, whether requester balances are subscription credits, and the holdings to compare with
+const balanceTrackers = [
+    { name: "BalanceTrackerFixedPriceNative", globalsKey: "balanceTrackerFixedPriceNativeAddress", credits: false,
+        holdings: "native" },
+    { name: "BalanceTrackerFixedPriceToken", globalsKey: "balanceTrackerFixedPriceTokenAddress", credits: false,
+        holdings: "token" },
+    // trackerBalance is not reduced by withdrawals, so the subscription tracker is checked against its native funds
+    { name: "BalanceTrackerNvmSubscriptionNative", globalsKey: "balanceTrackerNvmSubscriptionNativeAddress",
+        credits: true, holdings: "native" }
+];
+
+// Replays balance tracker events in the emission order and rebuilds the sums of its balances
+// Requester balances change by deposits, delivery rate debits and rate difference refunds. Mech balances are emitted as
+// absolute values, and are paid out in full, such that the marketplace fee is the mech balance minus the withdrawn
+// amount. For subscription trackers, requester balances are credits backed by the subscription, mech credits are
+// converted into tokens with the token credit ratio, and deposits fund the tracker balance
+function replayBalanceEvents(events, options = {}) {
+    const zero = ethers.BigNumber.from(0);
+    const state = {
+        requesterBalances: zero,
+        mechBalances: {},
+        collectedFees: zero,
+        trackerBalance: zero,
+        requesters: new Set(),
+        errors: []
+    };
+
+    for (const event of events) {
+        const args = event.args;
+        const position = "block " + event.blockNumber + ", log " + event.logIndex;
+        switch (event.name) {
+        case "Deposit":
+            if (options.credits) {
+                state.trackerBalance = state.trackerBalance.add(args.amount);
+            } else {
+                state.requesterBalances = state.requesterBalances.add(args.amount);
+                state.requesters.add(args.account);
+            }
+            break;
+        case "RequesterBalanceAdjusted":
+            state.requesters.add(args.requester);
+            if (!options.credits) {
+                state.requesterBalances = state.requesterBalances.sub(args.deliveryRate);
+            }
+            break;
+        case "MechBalanceAdjusted": {
+            const previous = state.mechBalances[args.mech] || zero;
+            if (!previous.add(args.deliveryRate).eq(args.balance)) {
+                state.errors.push(position + ": mech " + args.mech + " balance " + args.balance + " is not the previous " +
+                    "balance " + previous + " plus the delivery rate " + args.deliveryRate);
+            }
+            state.mechBalances[args.mech] = args.balance;
+            if (!options.credits) {
+                state.requesterBalances = state.requesterBalances.add(args.rateDiff);
+            }
+            break;
+        }
+        case "Withdraw": {
+            let payment = state.mechBalances[args.account] || zero;
+            if (options.credits) {
+                payment = payment.mul(options.tokenCreditRatio).div(ethers.constants.WeiPerEther);
+            }
+            if (payment.lt(args.amount)) {
+                state.errors.push(position + ": withdrawn " + args.amount + " to " + args.account + " exceeds its " +
+                    "balance " + payment);
+            } else {
+                state.collectedFees = state.collectedFees.add(payment.sub(args.amount));
+            }
+            state.mechBalances[args.account] = zero;
+            break;
+        }
+        case "Drained":
+            state.collectedFees = state.collectedFees.sub(args.collectedFees);
+            if (state.collectedFees.lt(0)) {
+                state.errors.push(position + ": drained " + args.collectedFees + " exceeds collected fees");
+                state.collectedFees = zero;
+            }
+            break;
+        }
+    }
+    return state;
+}
+
+// Gets the sum of mech balances
+function getMechBalancesSum(mechBalances) {
+    return Object.values(mechBalances).reduce((sum, balance) => sum.add(balance), ethers.BigNumber.from(0));
+}
+
+// Gets the tracker liabilities: the sum of requester and mech balances and collected fees
+// Subscription trackers only owe mechs and fees, requester credits are backed by the subscription
+function getLiabilities(state, options = {}) {
+    let mechBalances = getMechBalancesSum(state.mechBalances);
+    if (options.credits) {
+        mechBalances = mechBalances.mul(options.tokenCreditRatio).div(ethers.constants.WeiPerEther);
+        return mechBalances.add(state.collectedFees);
+    }
+    return state.requesterBalances.add(mechBalances).add(state.collectedFees);
+}
+
+module.exports = {
+    balanceTrackers,
+    replayBalanceEvents,
+    getMechBalancesSum,
+    getLiabilities
+};
@@ -0,0 +1,148 @@
+const { ethers, artifacts } = require("hardhat");
+
+// Globals keys of the expected immutable values by the immutable variable name
+const immutableGlobals = {
+    mechMarketplace: "mechMarketplaceProxyAddress",
+    drainer: "drainerAddress",
+    karma: "karmaProxyAddress",
+    serviceRegistry: "serviceRegistryAddress",
+    token: "olasAddress",
+    wrappedNativeToken: "wrappedNativeTokenAddress"
+};
+
+// Collects state variable declarations from the AST: id => { name, type }
+function collectVariables(node, variables) {
+    if (Array.isArray(node)) {
+        node.forEach((child) => collectVariables(child, variables));
+        return variables;
+    }
+    if (!node || typeof node !== "object") {
+        return variables;
+    }
+
+    if (node.nodeType === "VariableDeclaration" && node.stateVariable) {
+        variables[node.id] = { name: node.name, type: node.typeDescriptions.typeString };
+    }
+    for (const key of Object.keys(node)) {
+        if (typeof node[key] === "object") {
+            collectVariables(node[key], variables);
+        }
+    }
+    return variables;
+}
+
+// Gets the compiled deployed bytecode and immutable references of the contract from its build info
+// Immutable references are the byte positions of immutable values in the deployed bytecode
+// Returns null if the build info is not available
+async function getImmutableReferences(contractName) {
+    const artifact = await artifacts.readArtifact(contractName);
+    const buildInfo = await artifacts.getBuildInfo(artifact.sourceName + ":" + artifact.contractName);
+    if (!buildInfo) {
+        return null;
+    }
+
+    const deployedBytecode = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode;
+    const variables = {};
+    Object.values(buildInfo.output.sources).forEach((source) => collectVariables(source.ast, variables));
+
+    const immutables = Object.keys(deployedBytecode.immutableReferences || {}).map((id) => ({
+        name: variables[id] ? variables[id].name : "immutable_" + id,
+        type: variables[id] ? variables[id].type : "bytes32",
+        references: deployedBytecode.immutableReferences[id]
+    }));
+    return { deployedBytecode: "0x" + deployedBytecode.object, immutables };
+}
+
+// Decodes the 32-byte immutable value by its type
+function decodeImmutable(type, word) {
+    if (type === "address" || type.startsWith("contract ")) {
+        return ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12));
+    }
+    if (type.startsWith("uint") || type.startsWith("int")) {
+        return ethers.BigNumber.from(word).toString();
+    }
+    if (type === "bool") {
+        return (!ethers.BigNumber.from(word).isZero()).toString();
+    }
+    return word;
+}
+
+// Gets byte ranges where bytecodes differ: [{ start, end }]
+function getDifferences(bytecode, reference) {
+    const differences = [];
+    const length = Math.max(bytecode.length, reference.length);
+    // Skip the 0x prefix, each byte is two hex characters
+    for (let i = 2; i < length; i += 2) {
+        if (bytecode.slice(i, i + 2) === reference.slice(i, i + 2)) {
+            continue;
+        }
+        const offset = (i - 2) / 2;
+        const last = differences[differences.length - 1];
+        if (last && last.end === offset - 1) {
+            last.end = offset;
+        } else {
+            differences.push({ start: offset, end: offset });
+        }
+    }
+    return differences;
+}
+
+// Compares the on-chain deployed bytecode with the reference one masking immutable positions
+// Returns on-chain immutable values and byte ranges that differ outside of immutables
+function compareBytecode(onChainBytecode, referenceBytecode, immutables) {
+    const onChain = onChainBytecode.toLowerCase();
+    const reference = referenceBytecode.toLowerCase();
+    let maskedOnChain = onChain;
+    let maskedReference = reference;
+    const values = {};
+    const errors = [];
+
+    const zeroWord = "0".repeat(64);
+    for (const immutable of immutables) {
+        for (const { start, length } of immutable.references) {
+            const from = 2 + start * 2;
+            const to = from + length * 2;
+            const word = "0x" + onChain.slice(from, to);
+            const value = decodeImmutable(immutable.type, word.length === 66 ? word : ethers.utils.hexZeroPad(word, 32));
+            // All the references of the same immutable must hold the same value
+            if (values[immutable.name] !== undefined && values[immutable.name] !== value) {
+                errors.push(immutable.name + " references hold different values: " + values[immutable.name] +
+                    " and " + value);
+            }
+            values[immutable.name] = value;
+            maskedOnChain = maskedOnChain.slice(0, from) + zeroWord.slice(0, length * 2) + maskedOnChain.slice(to);
+            maskedReference = maskedReference.slice(0, from) + zeroWord.slice(0, length * 2) + maskedReference.slice(to);
+        }
+    }
+
+    if (onChain.length !== reference.length) {
+        errors.push("bytecode length is " + (onChain.length - 2) / 2 + " bytes, expected " + (reference.length - 2) / 2);
+    }
+    return { values, errors, differences: getDifferences(maskedOnChain, maskedReference) };
+}
+
+// Gets expected immutable values of the contract from globals, chain Id and contract specific values
+function getExpectedImmutables(immutables, globalsInstance, chainId, overrides = {}) {
+    const expected = {};
+    for (const { name } of immutables) {
+        if (overrides[name] !== undefined) {
+            expected[name] = overrides[name];
+        } else if (name === "chainId") {
+            expected[name] = chainId.toString();
+        } else if (immutableGlobals[name] && globalsInstance[immutableGlobals[name]]) {
+            expected[name] = ethers.utils.getAddress(globalsInstance[immutableGlobals[name]]);
+        } else {
+            expected[name] = null;
+        }
+    }
+    return expected;
+}
+
+module.exports = {
+    immutableGlobals,
+    getImmutableReferences,
+    decodeImmutable,
+    getDifferences,
+    compareBytecode,
+    getExpectedImmutables
+};
@@ -0,0 +1,109 @@
+const fs = require("fs");
+
+// Creates the audit results collector
+function createResults() {
+    return { startedAt: new Date().toISOString(), checks: [] };
+}
+
+// Records the check result: chain, contract and check names, expected and actual values
+// Checks that could not be performed due to errors are recorded with the error message
+function recordCheck(results, check) {
+    const result = Object.assign({ chainId: null, network: null, contract: null, address: null, expected: null,
+        actual: null, error: null }, check);
+    result.passed = !result.error && result.passed !== false;
+    results.checks.push(result);
+    return result;
+}
+
+// Gets failed checks
+function getFailures(results) {
+    return results.checks.filter((check) => !check.passed);
+}
+
+// Gets the results summary per chain
+function getSummary(results) {
+    const chains = {};
+    for (const check of results.checks) {
+        const key = check.network + " (" + check.chainId + ")";
+        chains[key] = chains[key] || { passed: 0, failed: 0 };
+        chains[key][check.passed ? "passed" : "failed"]++;
+    }
+    return chains;
+}
+
+// Gets the JSON report
+function toJSON(results) {
+    const failures = getFailures(results);
+    return JSON.stringify({
+        startedAt: results.startedAt,
+        finishedAt: new Date().toISOString(),
+        passed: failures.length === 0,
+        numChecks: results.checks.length,
+        numFailures: failures.length,
+        summary: getSummary(results),
+        checks: results.checks
+    }, null, 2);
+}
+
+// Escapes XML special characters
+function escapeXML(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+// Gets the JUnit XML report: a test suite per chain and a test case per contract check
+function toJUnit(results) {
+    const suites = {};
+    for (const check of results.checks) {
+        const name = check.network + " (" + check.chainId + ")";
+        suites[name] = suites[name] || [];
+        suites[name].push(check);
+    }
+
+    const failures = getFailures(results);
+    const lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<testsuites name=\"audit\" tests=\"" + results.checks.length + "\" failures=\"" + failures.length + "\">"];
+    for (const name of Object.keys(suites)) {
+        const checks = suites[name];
+        lines.push("  <testsuite name=\"" + escapeXML(name) + "\" tests=\"" + checks.length + "\" failures=\"" +
+            checks.filter((check) => !check.passed).length + "\">");
+        for (const check of checks) {
+            const classname = escapeXML(check.network + "." + (check.contract || "chain"));
+            const testcase = "    <testcase classname=\"" + classname + "\" name=\"" + escapeXML(check.check) + "\"";
+            if (check.passed) {
+                lines.push(testcase + "/>");
+                continue;
+            }
+            const message = check.error || ("expected " + check.expected + ", got " + check.actual);
+            lines.push(testcase + ">");
+            lines.push("      <failure message=\"" + escapeXML(message) + "\">" + escapeXML((check.address ?
+                "address: " + check.address + "\n" : "") + message) + "</failure>");
+            lines.push("    </testcase>");
+        }
+        lines.push("  </testsuite>");
+    }
+    lines.push("</testsuites>");
+    return lines.join("\n") + "\n";
+}
+
+// Writes JSON and JUnit XML reports, if their file names are provided
+function writeReports(results, files) {
+    if (files.json) {
+        fs.writeFileSync(files.json, toJSON(results));
+        console.log("JSON report:", files.json);
+    }
+    if (files.junit) {
+        fs.writeFileSync(files.junit, toJUnit(results));
+        console.log("JUnit report:", files.junit);
+    }
+}
+
+module.exports = {
+    createResults,
+    recordCheck,
+    getFailures,
+    getSummary,
+    toJSON,
+    toJUnit,
+    writeReports
+};
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("hardhat");
+
+// Fetches the verified source code record of the contract from the Etherscan compatible explorer API
+async function fetchSourceCode(explorer, address) {
+    const url = new URL(explorer.apiURL);
+    url.search = new URLSearchParams({
+        module: "contract",
+        action: "getsourcecode",
+        address,
+        apikey: explorer.apiKey || ""
+    }).toString();
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error("Explorer " + explorer.apiURL + " responded with the status " + response.status);
+    }
+    const json = await response.json();
+    if (!Array.isArray(json.result) || json.result.length === 0) {
+        throw new Error("Explorer " + explorer.apiURL + " error: " + (json.result || json.message));
+    }
+    if (!json.result[0].SourceCode) {
+        throw new Error("Contract " + address + " is not verified on " + explorer.apiURL);
+    }
+    return json.result[0];
+}
+
+// Parses the explorer source code record into the compiler version, settings and sources by their paths
+// Sources are provided either as the standard JSON input wrapped into double braces, the JSON object of sources, the
+// main source with additional ones (Blockscout), or the single flattened source
+function parseSourceCode(record) {
+    const parsed = {
+        contractName: record.ContractName,
+        compilerVersion: record.CompilerVersion.replace(/^v/, "").split("+")[0],
+        settings: {
+            optimizer: { enabled: record.OptimizationUsed === "1" || record.OptimizationUsed === "true",
+                runs: Number(record.Runs) },
+            evmVersion: !record.EVMVersion || /^default$/i.test(record.EVMVersion) ? null : record.EVMVersion.toLowerCase()
+        },
+        sources: {},
+        flattened: false
+    };
+
+    const sourceCode = record.SourceCode.trim();
+    if (sourceCode.startsWith("{")) {
+        const input = JSON.parse(sourceCode.startsWith("{{") ? sourceCode.slice(1, -1) : sourceCode);
+        const sources = input.sources || input;
+        for (const sourcePath of Object.keys(sources)) {
+            parsed.sources[sourcePath] = sources[sourcePath].content;
+        }
+        // Standard JSON input settings take precedence over the record fields
+        if (input.settings) {
+            parsed.settings = {
+                optimizer: Object.assign({ enabled: false, runs: 200 }, input.settings.optimizer),
+                evmVersion: input.settings.evmVersion || null,
+                viaIR: Boolean(input.settings.viaIR)
+            };
+        }
+    } else if (record.FileName) {
+        parsed.sources[record.FileName] = record.SourceCode;
+        for (const source of record.AdditionalSources || []) {
+            parsed.sources[source.Filename] = source.SourceCode;
+        }
+    } else {
+        parsed.sources[record.ContractName + ".sol"] = record.SourceCode;
+        parsed.flattened = true;
+    }
+    return parsed;
+}
+
+// Gets the local compiler version and settings of the source as configured in hardhat
+function getLocalCompiler(sourceName) {
+    const compiler = config.solidity.overrides[sourceName] || config.solidity.compilers[0];
+    return {
+        version: compiler.version,
+        settings: {
+            optimizer: Object.assign({ enabled: false, runs: 200 }, compiler.settings.optimizer),
+            evmVersion: compiler.settings.evmVersion || null,
+            viaIR: Boolean(compiler.settings.viaIR)
+        }
+    };
+}
+
+// Compares explorer compiler version and settings with local ones, returns the list of differences
+// The EVM version and viaIR are only compared if the explorer provides them
+function compareCompiler(parsed, local) {
+    const errors = [];
+    if (parsed.compilerVersion !== local.version) {
+        errors.push("compiler version " + parsed.compilerVersion + ", expected " + local.version);
+    }
+    const optimizer = parsed.settings.optimizer;
+    if (optimizer.enabled !== Boolean(local.settings.optimizer.enabled)) {
+        errors.push("optimizer enabled " + optimizer.enabled + ", expected " + Boolean(local.settings.optimizer.enabled));
+    }
+    if (optimizer.enabled && optimizer.runs !== local.settings.optimizer.runs) {
+        errors.push("optimizer runs " + optimizer.runs + ", expected " + local.settings.optimizer.runs);
+    }
+    if (parsed.settings.evmVersion && parsed.settings.evmVersion !== local.settings.evmVersion) {
+        errors.push("EVM version " + parsed.settings.evmVersion + ", expected " + local.settings.evmVersion);
+    }
+    if (parsed.settings.viaIR !== undefined && parsed.settings.viaIR !== local.settings.viaIR) {
+        errors.push("viaIR " + parsed.settings.viaIR + ", expected " + local.settings.viaIR);
+    }
+    return errors;
+}
+
+// Gets the local file of the source path: repository files (contracts/, lib/), or npm package files
+function getLocalPath(sourcePath, rootDir) {
+    const candidates = [path.join(rootDir, sourcePath), path.join(rootDir, "node_modules", sourcePath)];
+    return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+// Compares sources with local files one by one: [{ path, status, localPath }]
+// The status is "identical", "different" or "missing", line endings are not compared
+function compareSources(sources, rootDir = ".") {
+    const normalize = (content) => content.replace(/\r\n/g, "\n");
+    return Object.keys(sources).map((sourcePath) => {
+        const localPath = getLocalPath(sourcePath, rootDir);
+        if (!localPath) {
+            return { path: sourcePath, status: "missing", localPath };
+        }
+        const identical = normalize(fs.readFileSync(localPath, "utf8")) === normalize(sources[sourcePath]);
+        return { path: sourcePath, status: identical ? "identical" : "different", localPath };
+    });
+}
+
+// Audits the verified sources of the contract against the repository: sources file by file, and compiler settings
+// The contract source name is the one of the explorer main source, or the one found in the repository
+async function auditContractSources(explorer, address, rootDir = ".") {
+    const parsed = parseSourceCode(await fetchSourceCode(explorer, address));
+    const errors = [];
+    if (parsed.flattened) {
+        errors.push("sources are flattened and cannot be compared file by file");
+    }
+
+    const files = parsed.flattened ? [] : compareSources(parsed.sources, rootDir);
+    for (const file of files.filter((file) => file.status !== "identical")) {
+        errors.push(file.path + " is " + file.status);
+    }
+
+    const mainSource = Object.keys(parsed.sources).find((sourcePath) =>
+        path.basename(sourcePath) === parsed.contractName + ".sol");
+    const compilerErrors = compareCompiler(parsed, getLocalCompiler(mainSource));
+    return { contractName: parsed.contractName, files, errors, compilerErrors };
+}
+
+module.exports = {
+    fetchSourceCode,
+    parseSourceCode,
+    getLocalCompiler,
+    compareCompiler,
+    compareSources,
+    auditContractSources
+};
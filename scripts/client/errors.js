@@ -0,0 +1,140 @@
+const { ethers } = require("ethers");
+const { getPaymentTypeName } = require("../deployment/constants");
+
+// Contracts which custom errors are decoded: IErrorsMarketplace, IErrorsMech, BalanceTrackerBase and per-type trackers
+// errors are part of ABIs of contracts that implement them
+const errorSources = ["MechMarketplace", "MechMarketplaceProxy", "Karma", "KarmaProxy", "OlasMech", "MechFixedPriceNative",
+    "MechFixedPriceToken", "MechNvmSubscriptionNative", "MechFactoryFixedPriceNative", "MechFactoryFixedPriceToken",
+    "MechFactoryNvmSubscriptionNative", "BalanceTrackerFixedPriceNative", "BalanceTrackerFixedPriceToken",
+    "BalanceTrackerNvmSubscriptionNative"];
+
+// Solidity Error(string) and Panic(uint256) reverts by their selectors, these cannot be declared in the interface
+const builtinErrors = {
+    "0x08c379a0": { name: "Error", signature: "Error(string)", inputs: [{ name: "reason", type: "string" }] },
+    "0x4e487b71": { name: "Panic", signature: "Panic(uint256)", inputs: [{ name: "code", type: "uint256" }] }
+};
+
+// Gets the interface of all the errors, errors with the same signature are declared in several contracts
+function getErrorsInterface() {
+    const fragments = {};
+    for (const contractName of errorSources) {
+        const abi = require("../../abis/0.8.28/" + contractName + ".json").abi;
+        for (const fragment of abi.filter((entry) => entry.type === "error")) {
+            fragments[ethers.utils.ErrorFragment.from(fragment).format()] = fragment;
+        }
+    }
+    return new ethers.utils.Interface(Object.values(fragments));
+}
+
+const errorsInterface = getErrorsInterface();
+
+// Plain explanations of errors by their names
+const explanations = {
+    OwnerOnly: (args) => "Only the owner " + args.owner + " can call this, the sender is " + args.sender,
+    ZeroAddress: () => "A zero address is provided or configured",
+    ZeroValue: () => "A zero value or empty data is provided",
+    ZeroData: () => "Empty data is provided",
+    AlreadyInitialized: () => "The contract is already initialized",
+    InitializationFailed: () => "The proxy initialization call failed",
+    ZeroImplementationAddress: () => "The proxy implementation address is zero",
+    ZeroKarmaData: () => "The karma proxy initialization data is empty",
+    IncorrectDataLength: (args) => "The data length is " + args.provided + ", expected " + args.expected,
+    WrongArrayLength: (args) => "Arrays have different lengths: " + args.numValues1 + " and " + args.numValues2,
+    InsufficientBalance: (args) => "The balance of " + args.current + " is lower than the required " + args.required,
+    NoDepositAllowed: (args) => "The payment type does not accept native value, " + args.amount + " is sent",
+    Overflow: (args) => "The value of " + args.provided + " exceeds the max of " + args.max,
+    OutOfBounds: (args) => "The value of " + args.provided + " is out of bounds [" + args.min + ", " + args.max + "]",
+    ReentrancyGuard: () => "Reentrancy is detected",
+    UnauthorizedAccount: (args) => "The account " + args.account + " is not authorized: not a marketplace mech, " +
+        "factory or drainer",
+    MarketplaceOnly: (args) => "Only the marketplace " + args.marketplace + " can call this, the sender is " +
+        args.sender,
+    WrongServiceState: (args) => "The service " + args.serviceId + " is in the state " + args.state +
+        ", it must be deployed",
+    AlreadyRequested: (args) => "The request " + args.requestId + " is already registered",
+    WrongPaymentType: (args) => "The payment type " + (getPaymentTypeName(args.paymentType) || args.paymentType) +
+        " does not match the mech one",
+    TransferFailed: (args) => "The transfer of " + args.amount + " of " + args.token + " from " + args.from + " to " +
+        args.to + " failed",
+    IncorrectSignatureLength: (args) => "The signature length is " + args.provided + ", expected " + args.expected,
+    SignatureNotValidated: (args) => "The signature of " + args.msgHash + " is not valid for the requester " +
+        args.requester,
+    Error: (args) => args.reason,
+    Panic: (args) => "Panic code " + ethers.BigNumber.from(args.code).toHexString()
+};
+
+// Gets the revert data of the error thrown by ethers, searching nested provider errors
+function getRevertData(error, depth = 0) {
+    if (!error || typeof error !== "object" || depth > 5) {
+        return null;
+    }
+    if (typeof error.data === "string" && ethers.utils.isHexString(error.data) && error.data.length >= 10) {
+        return error.data;
+    }
+    for (const key of ["data", "error", "cause"]) {
+        const data = getRevertData(error[key], depth + 1);
+        if (data) {
+            return data;
+        }
+    }
+    if (typeof error.body === "string") {
+        try {
+            return getRevertData(JSON.parse(error.body).error, depth + 1);
+        } catch (parseError) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// Decodes the revert data into the named error with arguments and its explanation, or null for unknown errors
+function decodeError(data) {
+    let error;
+    try {
+        const builtinError = builtinErrors[data.slice(0, 10)];
+        if (builtinError) {
+            error = Object.assign({ args: ethers.utils.defaultAbiCoder.decode(builtinError.inputs.map((input) =>
+                input.type), ethers.utils.hexDataSlice(data, 4)) }, builtinError);
+        } else {
+            const parsed = errorsInterface.parseError(data);
+            error = { name: parsed.name, signature: parsed.signature, inputs: parsed.errorFragment.inputs,
+                args: parsed.args };
+        }
+    } catch (parseError) {
+        return null;
+    }
+    const args = {};
+    error.inputs.forEach((input, i) => {
+        args[input.name] = ethers.BigNumber.isBigNumber(error.args[i]) ? error.args[i].toString() : error.args[i];
+    });
+    const formatted = error.inputs.map((input) => input.name + "=" + args[input.name]).join(", ");
+    return {
+        name: error.name,
+        signature: error.signature,
+        args,
+        explanation: explanations[error.name] ? explanations[error.name](args) : null,
+        message: error.name + "(" + formatted + ")"
+    };
+}
+
+// Decodes the error thrown by ethers, returns the error with the decoded revert in its message, or the original one
+// The original error and the decoded revert are kept as cause and decoded
+function decodeRevert(error) {
+    const decoded = decodeError(getRevertData(error));
+    if (!decoded) {
+        return error;
+    }
+    const decodedError = new Error("Reverted with " + decoded.message + (decoded.explanation ? ": " +
+        decoded.explanation : ""));
+    decodedError.decoded = decoded;
+    decodedError.cause = error;
+    return decodedError;
+}
+
+module.exports = {
+    errorsInterface,
+    explanations,
+    getRevertData,
+    decodeError,
+    decodeRevert
+};
@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+// Contracts which events are decoded: marketplace, karma, mechs, mech factories and balance trackers
+const eventSources = ["MechMarketplace", "MechMarketplaceProxy", "Karma", "KarmaProxy", "OlasMech", "MechFixedPriceNative",
+    "MechFixedPriceToken", "MechNvmSubscriptionNative", "MechFactoryFixedPriceNative", "MechFactoryFixedPriceToken",
+    "MechFactoryNvmSubscription", "MechFactoryNvmSubscriptionNative", "BalanceTrackerFixedPriceNative",
+    "BalanceTrackerFixedPriceToken", "BalanceTrackerNvmSubscription", "BalanceTrackerNvmSubscriptionNative"];
+
+// Gets the interface of all the events, events with the same signature are declared in several contracts
+function getEventsInterface() {
+    const fragments = {};
+    for (const contractName of eventSources) {
+        const abi = require("../../abis/0.8.28/" + contractName + ".json").abi;
+        for (const fragment of abi.filter((entry) => entry.type === "event")) {
+            fragments[ethers.utils.EventFragment.from(fragment).format()] = fragment;
+        }
+    }
+    return new ethers.utils.Interface(Object.values(fragments));
+}
+
+const eventsInterface = getEventsInterface();
+
+// Parses the log into the typed event: the event name, its named arguments, the emitting contract and the log position
+// Returns null for logs of unknown events
+function parseLog(log) {
+    let parsed;
+    try {
+        parsed = eventsInterface.parseLog(log);
+    } catch (error) {
+        return null;
+    }
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+        args[input.name] = parsed.args[i];
+    });
+    return {
+        name: parsed.name,
+        signature: parsed.signature,
+        args,
+        address: ethers.utils.getAddress(log.address),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+    };
+}
+
+// Checks if the event matches the event name and the emitting contract address, if they are set
+function matchEvent(event, name, address) {
+    return event && (!name || event.name === name) && (!address || event.address === ethers.utils.getAddress(address));
+}
+
+// Parses logs into typed events in the emission order, optionally filtered by the event name and the contract address
+function parseLogs(logs, name = null, address = null) {
+    return logs.map(parseLog).filter((event) => matchEvent(event, name, address));
+}
+
+// Parses events of the transaction receipt, optionally filtered by the event name and the contract address
+function parseReceipt(receipt, name = null, address = null) {
+    return parseLogs(receipt.logs, name, address);
+}
+
+// Gets the first event of the transaction receipt with the event name, optionally emitted by the contract address
+function getReceiptEvent(receipt, name, address = null) {
+    const event = parseReceipt(receipt, name, address)[0];
+    if (!event) {
+        throw new Error("Transaction " + receipt.transactionHash + " has no " + name + " event" +
+            (address ? " of " + address : ""));
+    }
+    return event;
+}
+
+// Number of blocks of one getLogs request, public RPCs reject log queries of wider block ranges
+const logsBlockRange = 10000;
+
+// Gets logs of the filter block range with consecutive requests of at most blockRange blocks each
+async function getPagedLogs(provider, filter, blockRange = logsBlockRange) {
+    const fromBlock = Number(filter.fromBlock || 0);
+    const toBlock = filter.toBlock === undefined || filter.toBlock === "latest" ? await provider.getBlockNumber() :
+        Number(filter.toBlock);
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        logs.push(...await provider.getLogs(Object.assign({}, filter, { fromBlock: start, toBlock: end })));
+    }
+    return logs;
+}
+
+// Gets typed events of the block range, optionally filtered by event names and the contract address
+async function getEvents(provider, { address = null, names = [], fromBlock = 0, toBlock = "latest" } = {}) {
+    const filter = { fromBlock, toBlock };
+    if (address) {
+        filter.address = address;
+    }
+    if (names.length > 0) {
+        filter.topics = [names.map((name) => eventsInterface.getEventTopic(name))];
+    }
+    return parseLogs(await getPagedLogs(provider, filter));
+}
+
+module.exports = {
+    eventsInterface,
+    parseLog,
+    parseLogs,
+    parseReceipt,
+    getReceiptEvent,
+    logsBlockRange,
+    getPagedLogs,
+    getEvents
+};
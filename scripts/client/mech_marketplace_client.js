@@ -0,0 +1,212 @@
+const { ethers } = require("ethers");
+const { getRequestIds } = require("./request_id");
+const { decodeRevert } = require("./errors");
+const { getReceiptEvent } = require("./events");
+const { paymentTypes, getPaymentTypeName } = require("../deployment/constants");
+const mechMarketplaceABI = require("../../abis/0.8.28/MechMarketplace.json").abi;
+const mechABI = require("../../abis/0.8.28/OlasMech.json").abi;
+const balanceTrackerTokenABI = require("../../abis/0.8.28/BalanceTrackerFixedPriceToken.json").abi;
+const balanceTrackerNvmABI = require("../../abis/0.8.28/BalanceTrackerNvmSubscriptionNative.json").abi;
+
+const erc20ABI = [
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)"
+];
+const erc1155ABI = ["function balanceOf(address account, uint256 id) view returns (uint256)"];
+
+// Absolute response timeout must fit into uint32
+const maxTimestamp = 2 ** 32 - 1;
+
+// Sends the contract transaction and waits for its receipt, reverts are thrown with decoded custom errors
+async function sendTransaction(contract, method, args) {
+    try {
+        const tx = await contract[method](...args);
+        return await tx.wait();
+    } catch (error) {
+        throw decodeRevert(error);
+    }
+}
+
+// Client of MechMarketplace requests: validates requests against the on-chain parameters, works out the value to send
+// for the mech payment type, and returns request Ids of submitted requests
+class MechMarketplaceClient {
+    constructor(mechMarketplaceAddress, signer) {
+        this.signer = signer;
+        this.mechMarketplace = new ethers.Contract(mechMarketplaceAddress, mechMarketplaceABI, signer);
+    }
+
+    // Gets marketplace request parameters
+    async getParams() {
+        const [fee, minResponseTimeout, maxResponseTimeout] = await Promise.all([
+            this.mechMarketplace.fee(),
+            this.mechMarketplace.minResponseTimeout(),
+            this.mechMarketplace.maxResponseTimeout()
+        ]);
+        return { fee, minResponseTimeout: minResponseTimeout.toNumber(), maxResponseTimeout: maxResponseTimeout.toNumber() };
+    }
+
+    // Gets the marketplace domain of request Ids: the marketplace address, the chain Id and the marketplace version
+    async getDomain() {
+        const [network, version] = await Promise.all([this.signer.provider.getNetwork(),
+            this.mechMarketplace.VERSION()]);
+        return { mechMarketplace: this.mechMarketplace.address, chainId: network.chainId, version };
+    }
+
+    // Gets the mech payment type, its delivery rate and the balance tracker of its payment type
+    // The mech must be created via the marketplace
+    async getMech(mech) {
+        if (!ethers.utils.isAddress(mech)) {
+            throw new Error("Mech address " + mech + " is invalid");
+        }
+        const mechAddress = ethers.utils.getAddress(mech);
+        try {
+            await this.mechMarketplace.checkMech(mechAddress);
+        } catch (error) {
+            throw new Error("Mech " + mechAddress + " is not a marketplace mech: " + decodeRevert(error).message);
+        }
+
+        const mechContract = new ethers.Contract(mechAddress, mechABI, this.signer);
+        const [paymentType, maxDeliveryRate] = await Promise.all([mechContract.paymentType(),
+            mechContract.maxDeliveryRate()]);
+        const paymentTypeName = getPaymentTypeName(paymentType);
+        if (!paymentTypeName) {
+            throw new Error("Mech " + mechAddress + " payment type " + paymentType + " is not supported");
+        }
+        const balanceTracker = await this.mechMarketplace.mapPaymentTypeBalanceTrackers(paymentType);
+        if (balanceTracker === ethers.constants.AddressZero) {
+            throw new Error("Payment type " + paymentTypeName + " has no balance tracker");
+        }
+        return { address: mechAddress, paymentType, paymentTypeName, maxDeliveryRate, balanceTracker };
+    }
+
+    // Gets the native value required for the total delivery rate, and checks requester funds for other payment types:
+    // approved tokens, or subscription credits
+    async getPayment(mech, requester, totalDeliveryRate) {
+        const provider = this.signer.provider;
+        const abi = mech.paymentTypeName === "nvmSubscriptionNative" ? balanceTrackerNvmABI : balanceTrackerTokenABI;
+        const balanceTracker = new ethers.Contract(mech.balanceTracker, abi, provider);
+        const balance = await balanceTracker.mapRequesterBalances(requester);
+        const required = totalDeliveryRate.gt(balance) ? totalDeliveryRate.sub(balance) : ethers.constants.Zero;
+
+        if (mech.paymentTypeName === "fixedPriceNative") {
+            return { value: required, balance, required };
+        }
+
+        if (mech.paymentTypeName === "fixedPriceToken" && required.gt(0)) {
+            const token = new ethers.Contract(await balanceTracker.token(), erc20ABI, provider);
+            const [tokenBalance, allowance] = await Promise.all([token.balanceOf(requester),
+                token.allowance(requester, mech.balanceTracker)]);
+            if (tokenBalance.lt(required)) {
+                throw new Error("Requester token balance " + tokenBalance + " is lower than required " + required);
+            }
+            if (allowance.lt(required)) {
+                throw new Error("Requester token allowance " + allowance + " for " + mech.balanceTracker +
+                    " is lower than required " + required);
+            }
+        }
+
+        if (mech.paymentTypeName === "nvmSubscriptionNative" && required.gt(0)) {
+            const [subscriptionNFT, subscriptionTokenId] = await Promise.all([balanceTracker.subscriptionNFT(),
+                balanceTracker.subscriptionTokenId()]);
+            const subscription = new ethers.Contract(subscriptionNFT, erc1155ABI, provider);
+            const credits = await subscription.balanceOf(requester, subscriptionTokenId);
+            if (credits.lt(required)) {
+                throw new Error("Requester subscription credits " + credits + " are lower than required " + required);
+            }
+        }
+        return { value: ethers.constants.Zero, balance, required };
+    }
+
+    // Validates request parameters and gets the marketplace request arguments with the value to send
+    // Options: mech, requestDatas, responseTimeout, and optional maxDeliveryRate (the mech one by default),
+    // paymentData ("0x" by default) and value (the required one by default)
+    async prepareRequests(options) {
+        const { mech, requestDatas, responseTimeout } = options;
+        const paymentData = options.paymentData || "0x";
+        if (!Array.isArray(requestDatas) || requestDatas.length === 0) {
+            throw new Error("No request data is provided");
+        }
+        for (const requestData of requestDatas) {
+            if (!ethers.utils.isBytesLike(requestData) || ethers.utils.arrayify(requestData).length === 0) {
+                throw new Error("Request data " + requestData + " must be non-empty bytes");
+            }
+        }
+        if (!ethers.utils.isBytesLike(paymentData)) {
+            throw new Error("Payment data " + paymentData + " must be bytes");
+        }
+
+        // Response timeout must be within marketplace bounds
+        const params = await this.getParams();
+        if (!Number.isInteger(responseTimeout) || responseTimeout < params.minResponseTimeout ||
+            responseTimeout > params.maxResponseTimeout) {
+            throw new Error("Response timeout " + responseTimeout + " is out of bounds [" + params.minResponseTimeout +
+                ", " + params.maxResponseTimeout + "]");
+        }
+        const block = await this.signer.provider.getBlock("latest");
+        if (block.timestamp + responseTimeout > maxTimestamp) {
+            throw new Error("Response timeout " + responseTimeout + " overflows the absolute timestamp");
+        }
+
+        // Requests are charged with the mech delivery rate
+        const mechInfo = await this.getMech(mech);
+        const deliveryRate = mechInfo.maxDeliveryRate;
+        const maxDeliveryRate = ethers.BigNumber.from(options.maxDeliveryRate || deliveryRate);
+        if (deliveryRate.gt(maxDeliveryRate)) {
+            throw new Error("Mech delivery rate " + deliveryRate + " is higher than max delivery rate " +
+                maxDeliveryRate);
+        }
+
+        // Only native payments accept value
+        let value = options.value === undefined ? null : ethers.BigNumber.from(options.value);
+        if (value && value.gt(0) && mechInfo.paymentTypeName !== "fixedPriceNative") {
+            throw new Error("Payment type " + mechInfo.paymentTypeName + " does not accept value");
+        }
+
+        const requester = await this.signer.getAddress();
+        const payment = await this.getPayment(mechInfo, requester, deliveryRate.mul(requestDatas.length));
+        if (!value) {
+            value = payment.value;
+        } else if (value.lt(payment.value)) {
+            throw new Error("Value " + value + " is lower than required " + payment.value);
+        }
+
+        // Request Ids are known before submitting, unless other requests of the requester are submitted first
+        const [domain, nonce] = await Promise.all([this.getDomain(), this.mechMarketplace.mapNonces(requester)]);
+        const requestIds = getRequestIds(domain, mechInfo.address, requester, requestDatas, deliveryRate,
+            mechInfo.paymentType, nonce);
+
+        return { mech: mechInfo, requester, requestDatas, maxDeliveryRate, deliveryRate, paymentType: mechInfo.paymentType,
+            responseTimeout, paymentData, value, requestIds };
+    }
+
+    // Gets request Ids of the marketplace request event from the transaction receipt
+    getRequestIds(receipt) {
+        return getReceiptEvent(receipt, "MarketplaceRequest", this.mechMarketplace.address).args.requestIds;
+    }
+
+    // Posts the single request, options are the ones of prepareRequests with requestData instead of requestDatas
+    // Returns the request Id, the transaction receipt and the validated request
+    async request(options) {
+        const prepared = await this.prepareRequests(Object.assign({}, options, { requestDatas: [options.requestData] }));
+        const receipt = await sendTransaction(this.mechMarketplace, "request", [prepared.requestDatas[0],
+            prepared.maxDeliveryRate, prepared.paymentType, prepared.mech.address, prepared.responseTimeout,
+            prepared.paymentData, { value: prepared.value }]);
+        return { requestId: this.getRequestIds(receipt)[0], receipt, request: prepared };
+    }
+
+    // Posts the batch of requests, options are the ones of prepareRequests
+    // Returns request Ids, the transaction receipt and the validated request
+    async requestBatch(options) {
+        const prepared = await this.prepareRequests(options);
+        const receipt = await sendTransaction(this.mechMarketplace, "requestBatch", [prepared.requestDatas,
+            prepared.maxDeliveryRate, prepared.paymentType, prepared.mech.address, prepared.responseTimeout,
+            prepared.paymentData, { value: prepared.value }]);
+        return { requestIds: this.getRequestIds(receipt), receipt, request: prepared };
+    }
+}
+
+module.exports = {
+    paymentTypes,
+    getPaymentTypeName,
+    MechMarketplaceClient
+};
@@ -0,0 +1,54 @@
+const { ethers } = require("ethers");
+
+// MechMarketplace version, as defined in MechMarketplace
+const mechMarketplaceVersion = "1.1.0";
+// Domain separator type hash, as defined in MechMarketplace
+const domainSeparatorTypeHash = ethers.utils.id("EIP712Domain(string name,string version,uint256 chainId,address " +
+    "verifyingContract)");
+
+// Gets the marketplace domain separator for the chain Id
+// The version is hashed as the ABI-encoded string, as in MechMarketplace
+function getDomainSeparator(mechMarketplace, chainId, version = mechMarketplaceVersion) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+        [
+            domainSeparatorTypeHash,
+            ethers.utils.id("MechMarketplace"),
+            ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["string"], [version])),
+            chainId,
+            mechMarketplace
+        ]
+    ));
+}
+
+// Gets the request struct hash that is signed along with the domain separator
+function getRequestStructHash(mechMarketplace, mech, requester, data, deliveryRate, paymentType, nonce) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ["address", "address", "address", "bytes32", "uint256", "bytes32", "uint256"],
+        [mechMarketplace, mech, requester, ethers.utils.keccak256(data), deliveryRate, paymentType, nonce]
+    ));
+}
+
+// Gets the request Id, as computed by MechMarketplace getRequestId
+// The domain is the marketplace address and the chain Id, with the optional marketplace version
+function getRequestId(domain, mech, requester, data, deliveryRate, paymentType, nonce) {
+    const domainSeparator = getDomainSeparator(domain.mechMarketplace, domain.chainId, domain.version);
+    const structHash = getRequestStructHash(domain.mechMarketplace, mech, requester, data, deliveryRate, paymentType,
+        nonce);
+    return ethers.utils.solidityKeccak256(["string", "bytes32", "bytes32"], ["\x19\x01", domainSeparator, structHash]);
+}
+
+// Gets request Ids of the batch, requests take sequential nonces starting from the requester one
+function getRequestIds(domain, mech, requester, datas, deliveryRate, paymentType, nonce) {
+    return datas.map((data, i) => getRequestId(domain, mech, requester, data, deliveryRate, paymentType,
+        ethers.BigNumber.from(nonce).add(i)));
+}
+
+module.exports = {
+    mechMarketplaceVersion,
+    domainSeparatorTypeHash,
+    getDomainSeparator,
+    getRequestStructHash,
+    getRequestId,
+    getRequestIds
+};
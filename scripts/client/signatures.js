@@ -0,0 +1,167 @@
+const { ethers } = require("ethers");
+const mechABI = require("../../abis/0.8.28/OlasMech.json").abi;
+const { getDomainSeparator, getRequestStructHash } = require("./request_id");
+
+// Value for the contract signature validation: bytes4(keccak256("isValidSignature(bytes32,bytes)")
+const magicValue = "0x1626ba7e";
+// Max signature s value accepted by MechMarketplace, the secp256k1 curve order divided by 2
+const maxS = ethers.BigNumber.from("0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0");
+const curveOrder = ethers.BigNumber.from("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+// Safe 1.3.0 domain and message type hashes, as defined in GnosisSafe and CompatibilityFallbackHandler
+const safeDomainSeparatorTypeHash = ethers.utils.id("EIP712Domain(uint256 chainId,address verifyingContract)");
+const safeMessageTypeHash = ethers.utils.id("SafeMessage(bytes message)");
+
+const signatureValidatorABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+// Normalizes the 65-byte EOA signature to the one accepted by MechMarketplace: v is set to 27 or 28, and the high s
+// value is replaced with the low one flipping v
+function normalizeSignature(signature) {
+    const bytes = ethers.utils.arrayify(signature);
+    if (bytes.length !== 65) {
+        throw new Error("Signature length is " + bytes.length + ", expected 65");
+    }
+    let v = bytes[64] < 4 ? bytes[64] + 27 : bytes[64];
+    if (v !== 27 && v !== 28) {
+        throw new Error("Signature v value " + bytes[64] + " is invalid");
+    }
+    let s = ethers.BigNumber.from(bytes.slice(32, 64));
+    if (s.gt(maxS)) {
+        s = curveOrder.sub(s);
+        v = v === 27 ? 28 : 27;
+    }
+    return ethers.utils.hexConcat([bytes.slice(0, 32), ethers.utils.hexZeroPad(s.toHexString(), 32), [v]]);
+}
+
+// Verifies the request Id signature as MechMarketplace _verifySignedHash does: EIP-1271 for contract requesters, and
+// ecrecover for EOA ones that only accepts low s values
+async function verifyRequestSignature(provider, requester, requestId, signature) {
+    if ((await provider.getCode(requester)) !== "0x") {
+        const validator = new ethers.Contract(requester, signatureValidatorABI, provider);
+        try {
+            return (await validator.isValidSignature(requestId, signature)) === magicValue;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const bytes = ethers.utils.arrayify(signature);
+    if (bytes.length !== 65 || ethers.BigNumber.from(bytes.slice(32, 64)).gt(maxS)) {
+        return false;
+    }
+    try {
+        return ethers.utils.recoverAddress(requestId, normalizeSignature(signature)) === ethers.utils.getAddress(requester);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Checks if the signer is a Ledger one
+function isLedgerSigner(signer) {
+    return typeof signer._retry === "function" && Boolean(signer.path);
+}
+
+// Checks if the signer signs hashed messages without any message prefix: wallets and Ledger
+function canSignHashedMessage(signer) {
+    return typeof signer._signingKey === "function" || isLedgerSigner(signer);
+}
+
+// Signs the EIP-712 digest of the domain separator and the struct hash without any message prefix
+// Wallets sign the digest itself, and Ledger signs the hashed EIP-712 message
+async function signHashedMessage(signer, domainSeparator, structHash) {
+    if (typeof signer._signingKey === "function") {
+        const digest = ethers.utils.keccak256(ethers.utils.hexConcat(["0x1901", domainSeparator, structHash]));
+        return ethers.utils.joinSignature(signer._signingKey().signDigest(digest));
+    }
+    if (isLedgerSigner(signer)) {
+        const signature = await signer._retry((eth) => eth.signEIP712HashedMessage(signer.path,
+            domainSeparator.slice(2), structHash.slice(2)));
+        return ethers.utils.joinSignature({ r: "0x" + signature.r, s: "0x" + signature.s, v: signature.v });
+    }
+    throw new Error("Signer cannot sign hashed messages, a wallet or Ledger signer is required");
+}
+
+// Gets the request signing function of the EOA requester with a wallet or Ledger signer
+function getRequesterSigner(signer) {
+    return async (request) => normalizeSignature(await signHashedMessage(signer, request.domainSeparator,
+        request.structHash));
+}
+
+// Gets the Safe message hash parts of the request Id, as the Safe fallback handler computes for EIP-1271
+function getSafeMessage(safe, chainId, requestId) {
+    const domainSeparator = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["bytes32", "uint256", "address"],
+        [safeDomainSeparatorTypeHash, chainId, safe]));
+    const structHash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["bytes32", "bytes32"],
+        [safeMessageTypeHash, ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["bytes32"], [requestId]))]));
+    const messageHash = ethers.utils.keccak256(ethers.utils.hexConcat(["0x1901", domainSeparator, structHash]));
+    return { domainSeparator, structHash, messageHash };
+}
+
+// Gets the request signing function of the Safe requester: Safe owners sign the Safe message of the request Id, and
+// their signatures are concatenated in the ascending order of owner addresses
+// Owners other than wallets and Ledger sign with the message prefix, which v is increased by 4 for the Safe
+function getSafeRequesterSigner(safe, chainId, owners) {
+    return async (request) => {
+        const message = getSafeMessage(safe, chainId, request.requestId);
+        const signatures = [];
+        for (const owner of owners) {
+            let signature;
+            if (canSignHashedMessage(owner)) {
+                signature = normalizeSignature(await signHashedMessage(owner, message.domainSeparator,
+                    message.structHash));
+            } else {
+                const bytes = ethers.utils.arrayify(normalizeSignature(await owner.signMessage(
+                    ethers.utils.arrayify(message.messageHash))));
+                bytes[64] += 4;
+                signature = ethers.utils.hexlify(bytes);
+            }
+            signatures.push({ owner: (await owner.getAddress()).toLowerCase(), signature });
+        }
+        signatures.sort((a, b) => (a.owner < b.owner ? -1 : 1));
+        return ethers.utils.hexConcat(signatures.map(({ signature }) => signature));
+    };
+}
+
+// Builds DeliverWithSignature structs of the requester for the mech delivering them via deliverMarketplaceWithSignatures
+// Requests are { requestData, deliveryRate, deliveryData }, request Ids take sequential requester nonces
+// The signRequest function gets { requestId, domainSeparator, structHash } and returns the signature
+// Signatures are verified before they are returned, such that the mech does not submit failing deliveries
+async function buildDeliverWithSignatures(mechMarketplace, requester, mech, requests, signRequest) {
+    const provider = mechMarketplace.provider;
+    const mechContract = new ethers.Contract(mech, mechABI, provider);
+    const [network, version, nonce, paymentType] = await Promise.all([provider.getNetwork(), mechMarketplace.VERSION(),
+        mechMarketplace.mapNonces(requester), mechContract.paymentType()]);
+    const domainSeparator = getDomainSeparator(mechMarketplace.address, network.chainId, version);
+
+    const deliverWithSignatures = [];
+    const deliveryRates = [];
+    const requestIds = [];
+    for (let i = 0; i < requests.length; i++) {
+        const { requestData, deliveryRate, deliveryData } = requests[i];
+        if (!ethers.utils.isBytesLike(requestData) || ethers.utils.arrayify(requestData).length === 0) {
+            throw new Error("Request data " + requestData + " must be non-empty bytes");
+        }
+        const structHash = getRequestStructHash(mechMarketplace.address, mech, requester, requestData, deliveryRate,
+            paymentType, nonce.add(i));
+        const requestId = ethers.utils.keccak256(ethers.utils.hexConcat(["0x1901", domainSeparator, structHash]));
+
+        const signature = await signRequest({ requestId, domainSeparator, structHash });
+        if (!(await verifyRequestSignature(provider, requester, requestId, signature))) {
+            throw new Error("Signature of request " + requestId + " is not valid for requester " + requester);
+        }
+        deliverWithSignatures.push({ requestData, signature, deliveryData: deliveryData || "0x" });
+        deliveryRates.push(deliveryRate);
+        requestIds.push(requestId);
+    }
+    return { deliverWithSignatures, deliveryRates, requestIds };
+}
+
+module.exports = {
+    normalizeSignature,
+    verifyRequestSignature,
+    canSignHashedMessage,
+    signHashedMessage,
+    getRequesterSigner,
+    getSafeMessage,
+    getSafeRequesterSigner,
+    buildDeliverWithSignatures
+};
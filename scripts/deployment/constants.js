@@ -0,0 +1,16 @@
+// Payment types: keccak256 of the payment type name
+const paymentTypes = {
+    fixedPriceNative: "0xba699a34be8fe0e7725e93dcbce1701b0211a8ca61330aaeb8a05bf2ec7abed1",
+    fixedPriceToken: "0x3679d66ef546e66ce9057c4a052f317b135bc8e8c509638f7966edfd4fcf45e9",
+    nvmSubscriptionNative: "0x803dd08fe79d91027fc9024e254a0942372b92f3ccabc1bd19f4a5c2b251c316"
+};
+
+// Gets the payment type name by its hash, or null for unknown payment types
+function getPaymentTypeName(paymentType) {
+    return Object.keys(paymentTypes).find((name) => paymentTypes[name] === paymentType.toLowerCase()) || null;
+}
+
+module.exports = {
+    paymentTypes,
+    getPaymentTypeName
+};
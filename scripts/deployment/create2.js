@@ -0,0 +1,93 @@
+const { ethers } = require("hardhat");
+
+// CreateX factory, deployed at the same address on all the supported chains: https://github.com/pcaversaccio/createx
+const createXAddress = "0xba5Ed099633D3B313e4D5F7bdc1305d3c28ba5Ed";
+const createXAbi = [
+    "function deployCreate2(bytes32 salt, bytes initCode) payable returns (address)",
+    "function deployCreate2AndInit(bytes32 salt, bytes initCode, bytes data, (uint256 constructorAmount, uint256 initCallAmount) values) payable returns (address)",
+    "event ContractCreation(address indexed newContract, bytes32 indexed salt)"
+];
+const createX = new ethers.utils.Interface(createXAbi);
+
+// Gets the CREATE2 deployer address: CreateX, unless overridden by the create2DeployerAddress globals parameter
+function getDeployerAddress(parsedData) {
+    return ethers.utils.getAddress(parsedData.create2DeployerAddress || createXAddress);
+}
+
+// Gets the CreateX salt: the deployer address, the zero byte to disable the cross-chain redeploy protection,
+// and 11 bytes of the create2Salt hash
+// The salt is only usable by the deployer, such that no one else is able to take the address on any chain
+function getSalt(deployer, saltLabel) {
+    const entropy = ethers.utils.hexDataSlice(ethers.utils.id(saltLabel), 0, 11);
+    return ethers.utils.hexConcat([ethers.utils.getAddress(deployer), "0x00", entropy]);
+}
+
+// Gets the salt CreateX actually deploys with, as guarded by the msg.sender
+function getGuardedSalt(deployer, salt) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["address", "bytes32"], [deployer, salt]));
+}
+
+// Predicts the contract address from the init code
+function predictAddress(parsedData, deployer, initCode) {
+    const salt = getSalt(deployer, parsedData.create2Salt);
+    return ethers.utils.getCreate2Address(getDeployerAddress(parsedData), getGuardedSalt(deployer, salt),
+        ethers.utils.keccak256(initCode));
+}
+
+// Gets the init code of the deploy step, i.e. the contract bytecode with its constructor arguments
+async function getInitCode(step, parsedData) {
+    const factory = await ethers.getContractFactory(step.contractName);
+    return factory.getDeployTransaction(...(await step.args(parsedData))).data;
+}
+
+// Predicts the contract address of the deploy step
+async function predictStepAddress(step, parsedData, deployer) {
+    return predictAddress(parsedData, deployer, await getInitCode(step, parsedData));
+}
+
+// Gets the CREATE2 deployment transaction of the step and the predicted contract address
+// Ownable contracts set their owner to the msg.sender during the construction, i.e. to the CREATE2 deployer.
+// Such contracts are called by the CREATE2 deployer within the same transaction: proxies transfer the ownership back
+// to the deployer, and the subscription balance tracker sets the subscription right away
+async function getCreate2Transaction(step, parsedData, deployer) {
+    const initCode = await getInitCode(step, parsedData);
+    const salt = getSalt(deployer, parsedData.create2Salt);
+
+    let data;
+    if (step.create2Init) {
+        const init = step.create2Init;
+        const initFactory = await ethers.getContractFactory(init.contractName);
+        const initData = initFactory.interface.encodeFunctionData(init.method, await init.args(parsedData, deployer));
+        data = createX.encodeFunctionData("deployCreate2AndInit", [salt, initCode, initData, [0, 0]]);
+    } else {
+        data = createX.encodeFunctionData("deployCreate2", [salt, initCode]);
+    }
+
+    return {
+        txRequest: { to: getDeployerAddress(parsedData), data },
+        address: predictAddress(parsedData, deployer, initCode)
+    };
+}
+
+// Gets the deployed contract address from the receipt of either a regular or a CREATE2 deployment
+function getDeployedAddress(receipt) {
+    if (receipt.contractAddress) {
+        return receipt.contractAddress;
+    }
+
+    const topic = createX.getEventTopic("ContractCreation");
+    const log = receipt.logs.find((log) => log.topics[0] === topic);
+    return log ? createX.parseLog(log).args.newContract : null;
+}
+
+module.exports = {
+    createXAddress,
+    getDeployerAddress,
+    getSalt,
+    getGuardedSalt,
+    predictAddress,
+    getInitCode,
+    predictStepAddress,
+    getCreate2Transaction,
+    getDeployedAddress
+};
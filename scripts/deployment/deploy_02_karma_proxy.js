@@ -1,80 +1,4 @@
-/*global process*/
+const { runScript } = require("./steps");
 
-const { ethers } = require("hardhat");
-const { LedgerSigner } = require("@anders-t/ethers-ledger");
-
-async function main() {
-    const fs = require("fs");
-    const globalsFile = "globals.json";
-    const dataFromJSON = fs.readFileSync(globalsFile, "utf8");
-    let parsedData = JSON.parse(dataFromJSON);
-    const useLedger = parsedData.useLedger;
-    const derivationPath = parsedData.derivationPath;
-    const providerName = parsedData.providerName;
-    const gasPriceInGwei = parsedData.gasPriceInGwei;
-    const karmaAddress = parsedData.karmaAddress;
-
-    let networkURL = parsedData.networkURL;
-    if (providerName === "polygon") {
-        if (!process.env.ALCHEMY_API_KEY_MATIC) {
-            console.log("set ALCHEMY_API_KEY_MATIC env variable");
-        }
-        networkURL += process.env.ALCHEMY_API_KEY_MATIC;
-    } else if (providerName === "polygonMumbai") {
-        if (!process.env.ALCHEMY_API_KEY_MUMBAI) {
-            console.log("set ALCHEMY_API_KEY_MUMBAI env variable");
-            return;
-        }
-        networkURL += process.env.ALCHEMY_API_KEY_MUMBAI;
-    }
-
-    const provider = new ethers.providers.JsonRpcProvider(networkURL);
-    const signers = await ethers.getSigners();
-
-    let EOA;
-    if (useLedger) {
-        EOA = new LedgerSigner(provider, derivationPath);
-    } else {
-        EOA = signers[0];
-    }
-    // EOA address
-    const deployer = await EOA.getAddress();
-    console.log("EOA is:", deployer);
-
-    // Assemble the karma proxy data
-    const karma = await ethers.getContractAt("Karma", karmaAddress);
-    const proxyData = karma.interface.encodeFunctionData("initialize", []);
-
-    // Transaction signing and execution
-    console.log("2. EOA to deploy Karma Proxy");
-    console.log("You are signing the following transaction: KarmaProxy.connect(EOA).deploy()");
-    const gasPrice = ethers.utils.parseUnits(gasPriceInGwei, "gwei");
-    const KarmaProxy = await ethers.getContractFactory("KarmaProxy");
-    const karmaProxy = await KarmaProxy.connect(EOA).deploy(karmaAddress, proxyData, { gasPrice });
-    const result = await karmaProxy.deployed();
-
-    // Transaction details
-    console.log("Contract deployment: KarmaProxy");
-    console.log("Contract address:", karmaProxy.address);
-    console.log("Transaction:", result.deployTransaction.hash);
-
-    // Wait for half a minute for the transaction completion
-    await new Promise(r => setTimeout(r, 30000));
-
-    // Writing updated parameters back to the JSON file
-    parsedData.karmaProxyAddress = karmaProxy.address;
-    fs.writeFileSync(globalsFile, JSON.stringify(parsedData));
-
-    // Contract verification
-    if (parsedData.contractVerification) {
-        const execSync = require("child_process").execSync;
-        execSync("npx hardhat verify --constructor-args scripts/deployment/verify_02_karma_proxy.js --network " + providerName + " " + karmaProxy.address, { encoding: "utf-8" });
-    }
-}
-
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
+// 2. EOA to deploy Karma Proxy
+runScript(["02"]);
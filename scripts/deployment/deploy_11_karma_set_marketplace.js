@@ -1,65 +1,4 @@
-/*global process*/
+const { runScript } = require("./steps");
 
-const { ethers } = require("hardhat");
-const { LedgerSigner } = require("@anders-t/ethers-ledger");
-
-async function main() {
-    const fs = require("fs");
-    const globalsFile = "globals.json";
-    const dataFromJSON = fs.readFileSync(globalsFile, "utf8");
-    let parsedData = JSON.parse(dataFromJSON);
-    const useLedger = parsedData.useLedger;
-    const derivationPath = parsedData.derivationPath;
-    const providerName = parsedData.providerName;
-    const gasPriceInGwei = parsedData.gasPriceInGwei;
-    const karmaProxyAddress = parsedData.karmaProxyAddress;
-    const mechMarketplaceProxyAddress = parsedData.mechMarketplaceProxyAddress;
-
-    let networkURL = parsedData.networkURL;
-    if (providerName === "polygon") {
-        if (!process.env.ALCHEMY_API_KEY_MATIC) {
-            console.log("set ALCHEMY_API_KEY_MATIC env variable");
-        }
-        networkURL += process.env.ALCHEMY_API_KEY_MATIC;
-    } else if (providerName === "polygonMumbai") {
-        if (!process.env.ALCHEMY_API_KEY_MUMBAI) {
-            console.log("set ALCHEMY_API_KEY_MUMBAI env variable");
-            return;
-        }
-        networkURL += process.env.ALCHEMY_API_KEY_MUMBAI;
-    }
-
-    const provider = new ethers.providers.JsonRpcProvider(networkURL);
-    const signers = await ethers.getSigners();
-
-    let EOA;
-    if (useLedger) {
-        EOA = new LedgerSigner(provider, derivationPath);
-    } else {
-        EOA = signers[0];
-    }
-    // EOA address
-    const deployer = await EOA.getAddress();
-    console.log("EOA is:", deployer);
-
-    // Get the contract instance
-    const karma = await ethers.getContractAt("Karma", karmaProxyAddress);
-
-    // Transaction signing and execution
-    console.log("11. EOA to set Mech Marketplace statuses");
-    console.log("You are signing the following transaction: KarmaProxy.connect(EOA).setMechMarketplaceStatuses()");
-    const gasPrice = ethers.utils.parseUnits(gasPriceInGwei, "gwei");
-    const result = await karma.connect(EOA).setMechMarketplaceStatuses([mechMarketplaceProxyAddress], [true], { gasPrice });
-
-    // Transaction details
-    console.log("Contract deployment: KarmaProxy");
-    console.log("Contract address:", karma.address);
-    console.log("Transaction:", result.hash);
-}
-
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
+// 11. EOA to set Mech Marketplace statuses
+runScript(["11"]);
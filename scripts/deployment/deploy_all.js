@@ -0,0 +1,198 @@
+/*global process*/
+
+const { ethers, network } = require("hardhat");
+const { readGlobals, writeGlobals, getSigner } = require("./helpers");
+const { steps, isSafeStep, executeStep, verifyStepContract, exportSafeSteps } = require("./steps");
+const { getStateFile, readState, writeState, recordStep, getPendingSteps } = require("./state");
+const { checkGlobals } = require("./validate");
+const { createSender } = require("./sender");
+const { getDeployedAddress } = require("./create2");
+const { getManifestFile, readManifest, writeManifest, recordDeployment } = require("./manifest");
+const { deployLocalStack, executeLocalSafeBatch } = require("./local_stack");
+const { checkChainSetup } = require("../audit_chains/audit_contracts_setup");
+const { createResults, getFailures } = require("../audit_chains/results");
+
+// Dry run flag to execute all the steps on the in-process hardhat chain
+const dryRun = process.argv.includes("--dry-run");
+
+// Checks the step transactions that were sent during the previous run
+// All the transactions of the step share the same nonce, such that at most one of them can be mined
+// Returns the step record if the transaction succeeded, or null if the step needs to be executed again
+async function resumeSentStep(step, stepState, provider, parsedData) {
+    let receipt = null;
+    for (const txHash of stepState.txHashes) {
+        receipt = receipt || await provider.getTransactionReceipt(txHash);
+    }
+    if (!receipt) {
+        throw new Error("Step " + step.id + " transactions " + stepState.txHashes.join(", ") +
+            " are still pending, re-run after one of them is mined or replace them");
+    }
+
+    if (receipt.status !== 1) {
+        return null;
+    }
+
+    const record = { txHashes: [receipt.transactionHash] };
+    if (!step.method) {
+        record.address = getDeployedAddress(receipt);
+        parsedData[step.globalsKey] = record.address;
+    }
+    return record;
+}
+
+// Executes all the steps on the in-process hardhat chain without touching globals, state and manifest files
+// CREATE2 and Safe settings of the globals are rehearsed as well: the Safe batch is executed by the impersonated Safe
+// Returns the local stack
+async function runDryRun(parsedData) {
+    if (network.name !== "hardhat") {
+        throw new Error("Dry run must be executed on the in-process hardhat network, current network is " + network.name);
+    }
+
+    console.log("Dry run of " + parsedData.providerName + " deployment on the local chain");
+    const signers = await ethers.getSigners();
+    const EOA = signers[0];
+    console.log("EOA is:", EOA.address);
+
+    const stack = await deployLocalStack(parsedData, EOA,
+        { safeAddress: parsedData.useSafe ? parsedData.safeAddress : undefined });
+    if (stack.safeBatch) {
+        await executeLocalSafeBatch(stack.safeBatch);
+    }
+
+    // Audit the resulting setup
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log("\nVerifying deployed contracts setup... If no error is output, then the contracts are correct.");
+    const results = createResults();
+    await checkChainSetup(chainId, ethers.provider, stack.globals, stack.configuration.contracts,
+        { results, network: network.name + " (dry run of " + parsedData.providerName + ")",
+            deploymentBlock: stack.configuration.deploymentBlock });
+    const failures = getFailures(results);
+    if (failures.length > 0) {
+        throw new Error("Dry run setup audit failed: " + failures.length + " of " + results.checks.length +
+            " checks did not pass");
+    }
+    console.log("All " + results.checks.length + " setup checks passed");
+    return stack;
+}
+
+async function main() {
+    const parsedData = readGlobals();
+    const providerName = parsedData.providerName;
+
+    if (dryRun) {
+        await runDryRun(parsedData);
+        return;
+    }
+
+    // The hardhat network must correspond to the globals one
+    if (network.name !== providerName) {
+        throw new Error("Run with --network " + providerName + ", current network is " + network.name);
+    }
+
+    const EOA = await getSigner(parsedData);
+    // EOA address
+    const deployer = await EOA.getAddress();
+    console.log("EOA is:", deployer);
+
+    // Check that the state file corresponds to the chain
+    const state = readState(providerName);
+    const { chainId } = await EOA.provider.getNetwork();
+    if (state.chainId && state.chainId !== chainId) {
+        throw new Error("State file " + getStateFile(providerName) + " was recorded for chain Id " + state.chainId);
+    }
+    state.chainId = chainId;
+    const manifest = readManifest(providerName);
+    if (manifest.chainId && manifest.chainId !== chainId) {
+        throw new Error("Manifest file " + getManifestFile(providerName) + " was recorded for chain Id " + manifest.chainId);
+    }
+
+    const pendingSteps = getPendingSteps(steps, state);
+    // Check globals before sending any transaction
+    await checkGlobals(parsedData, { steps: pendingSteps, provider: EOA.provider });
+    const pendingIds = pendingSteps.map((step) => step.id);
+    const completedIds = steps.map((step) => step.id).filter((id) => !pendingIds.includes(id));
+    if (completedIds.length > 0) {
+        console.log("Skipping completed steps:", completedIds.join(", "));
+    }
+
+    const sender = createSender(EOA, parsedData);
+    const safeSteps = [];
+    for (const step of pendingSteps) {
+        // Call steps are executed by the Safe owner
+        if (isSafeStep(step, parsedData)) {
+            safeSteps.push(step);
+            continue;
+        }
+
+        let record;
+        const stepState = state.steps[step.id];
+        // Resume the step which transactions were sent, but not confirmed
+        if (stepState && stepState.status === "sent") {
+            record = await resumeSentStep(step, stepState, EOA.provider, parsedData);
+            if (record) {
+                console.log("Step " + step.id + " transactions were already mined:", record.txHashes.join(", "));
+            }
+        }
+
+        if (!record) {
+            try {
+                record = await executeStep(step, sender, parsedData, {
+                    onSent: async (txHashes) => {
+                        recordStep(state, step.id, "sent", { txHashes });
+                        writeState(providerName, state);
+                    }
+                });
+            } catch (error) {
+                // Sent transactions are kept in order to be checked during the next run
+                const sent = state.steps[step.id] && state.steps[step.id].status === "sent";
+                recordStep(state, step.id, sent ? "sent" : "failed", {
+                    txHashes: sent ? state.steps[step.id].txHashes : [],
+                    error: error.message
+                });
+                writeState(providerName, state);
+                throw error;
+            }
+        }
+
+        // Writing updated parameters back to the JSON file
+        writeGlobals(parsedData);
+        recordStep(state, step.id, "completed", record);
+        writeState(providerName, state);
+        if (record.address) {
+            await recordDeployment(manifest, step, parsedData, record, EOA.provider);
+            writeManifest(providerName, manifest);
+        }
+
+        // Contract verification does not affect the step completion
+        if (record.address && parsedData.contractVerification) {
+            try {
+                await verifyStepContract(step, parsedData, manifest);
+            } catch (error) {
+                console.error("Verification of step " + step.id + " contract failed:", error.message);
+            }
+        }
+    }
+
+    if (safeSteps.length > 0) {
+        await exportSafeSteps(sender, parsedData, safeSteps, state, manifest);
+        console.log("Deployment steps are completed, execute the Safe batch to finish the setup, state file:",
+            getStateFile(providerName));
+        return;
+    }
+
+    console.log("All deployment steps are completed, state file:", getStateFile(providerName));
+    console.log("Deployment manifest:", getManifestFile(providerName));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    runDryRun
+};
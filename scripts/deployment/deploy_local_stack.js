@@ -0,0 +1,38 @@
+/*global process*/
+
+const { ethers, network } = require("hardhat");
+const { readGlobals } = require("./helpers");
+const { deployLocalStack, writeLocalStack } = require("./local_stack");
+
+// Usage: npx hardhat node, then
+// HARDHAT_NETWORK=local node scripts/deployment/deploy_local_stack.js [globals_network_type.json]
+// Deploys the full stack on the local hardhat node with the globals parameters and writes the generated
+// local_globals.json and local_configuration.json pair to audit it with:
+// node scripts/audit_chains/audit_contracts_setup.js --globals=local_globals.json --config=local_configuration.json
+const globalsFile = process.argv[2];
+const localGlobalsFile = "local_globals.json";
+const localConfigFile = "local_configuration.json";
+
+async function main() {
+    if (network.name !== "local") {
+        throw new Error("Run with HARDHAT_NETWORK=local against the hardhat node, current network is " + network.name);
+    }
+
+    const parsedData = globalsFile ? readGlobals(globalsFile) : readGlobals();
+    console.log("Local stack of " + parsedData.providerName + " deployment");
+    const signers = await ethers.getSigners();
+    const EOA = signers[0];
+    console.log("EOA is:", EOA.address);
+
+    const stack = await deployLocalStack(parsedData, EOA);
+    writeLocalStack(stack, localGlobalsFile, localConfigFile);
+    console.log("Local globals:", localGlobalsFile);
+    console.log("Local configuration:", localConfigFile);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,22 +1,37 @@
 /*global process*/
 
+const { readGlobals } = require("./helpers");
+const { readManifest, getDeploymentBlock } = require("./manifest");
+const { getFactoryMechs, verifyMechs } = require("./verify");
+
+// Usage: HARDHAT_NETWORK=network_type node scripts/deployment/e_check_00_agent_mech.js [mechAddress] [--from-block=block]
+// The mech address defaults to the one recorded by the mech registration scripts
+// Mech creation events are looked for from the block, which defaults to the deployment block recorded in the manifest
+const args = process.argv.slice(2);
+const mechAddressArg = args.find((arg) => !arg.startsWith("--"));
+const fromBlockOption = args.find((arg) => arg.startsWith("--from-block="));
+
 async function main() {
-    const fs = require("fs");
-    const globalsFile = "globals.json";
-    const dataFromJSON = fs.readFileSync(globalsFile, "utf8");
-    let parsedData = JSON.parse(dataFromJSON);
+    const parsedData = readGlobals();
     const providerName = parsedData.providerName;
-    const agentType = parsedData.agentType;
-    let agentMechAddress;
-    if (agentType === "subscription") {
-        agentMechAddress = parsedData.agentMechSubscriptionAddress;
-    } else {
-        agentMechAddress = parsedData.agentMechAddress;
+    const mechAddress = mechAddressArg || parsedData.nativeMech;
+    if (!mechAddress) {
+        throw new Error("Mech address is not provided and the nativeMech globals parameter is not set");
+    }
+
+    // Mech constructor arguments are recovered from the factory mech creation event
+    const fromBlock = fromBlockOption ? Number(fromBlockOption.split("=")[1]) :
+        getDeploymentBlock(readManifest(providerName));
+    const mech = (await getFactoryMechs(parsedData, fromBlock)).find((mech) => mech.address.toLowerCase() === mechAddress.toLowerCase());
+    if (!mech) {
+        throw new Error("Mech " + mechAddress + " is not created via any of the mech factories");
     }
 
     // Contract verification
-    const execSync = require("child_process").execSync;
-    execSync("npx hardhat verify --constructor-args scripts/deployment/verify_00_agent_mech.js --network " + providerName + " " + agentMechAddress, { encoding: "utf-8" });
+    const failed = await verifyMechs(providerName, [mech]);
+    if (failed.length > 0) {
+        throw new Error("Mech " + mechAddress + " verification failed");
+    }
 }
 
 main()
@@ -25,4 +40,3 @@ main()
         console.error(error);
         process.exit(1);
     });
-
@@ -0,0 +1,57 @@
+/*global process*/
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { LedgerSigner } = require("@anders-t/ethers-ledger");
+
+// Default globals file with deployment parameters
+const globalsFile = "globals.json";
+
+// Reads the globals file
+function readGlobals(fileName = globalsFile) {
+    const dataFromJSON = fs.readFileSync(fileName, "utf8");
+    return JSON.parse(dataFromJSON);
+}
+
+// Writes updated parameters back to the globals file
+function writeGlobals(parsedData, fileName = globalsFile) {
+    fs.writeFileSync(fileName, JSON.stringify(parsedData));
+}
+
+// Gets the network URL accounting for the provider API keys
+function getNetworkURL(parsedData) {
+    const providerName = parsedData.providerName;
+    let networkURL = parsedData.networkURL;
+    if (providerName === "polygon") {
+        if (!process.env.ALCHEMY_API_KEY_MATIC) {
+            console.log("set ALCHEMY_API_KEY_MATIC env variable");
+        }
+        networkURL += process.env.ALCHEMY_API_KEY_MATIC;
+    } else if (providerName === "polygonMumbai") {
+        if (!process.env.ALCHEMY_API_KEY_MUMBAI) {
+            throw new Error("set ALCHEMY_API_KEY_MUMBAI env variable");
+        }
+        networkURL += process.env.ALCHEMY_API_KEY_MUMBAI;
+    }
+
+    return networkURL;
+}
+
+// Gets the EOA signer: either the ledger one or the first seed-phrase account
+async function getSigner(parsedData) {
+    if (parsedData.useLedger) {
+        const provider = new ethers.providers.JsonRpcProvider(getNetworkURL(parsedData));
+        return new LedgerSigner(provider, parsedData.derivationPath);
+    }
+
+    const signers = await ethers.getSigners();
+    return signers[0];
+}
+
+module.exports = {
+    globalsFile,
+    readGlobals,
+    writeGlobals,
+    getNetworkURL,
+    getSigner
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { steps, isSafeStep, executeStep } = require("./steps");
+const { getPendingSteps } = require("./state");
+const { checkGlobals } = require("./validate");
+const { createSender } = require("./sender");
+const { transferOwnershipToSafe, buildSafeBatch, logSafeSteps } = require("./safe");
+const { recordDeployment, recordHandover, getConfigurationEntry } = require("./manifest");
+const { getDeployerAddress, predictStepAddress } = require("./create2");
+const { paymentTypes } = require("./constants");
+
+// Local networks the stack can be deployed on: the in-process hardhat chain, and the hardhat node
+const localNetworks = ["hardhat", "local"];
+
+// Deploys a contract stand-in on the local chain and records its address into the globals
+// Stand-ins are deployed with the sender of deployment steps, as the sender manages nonces explicitly
+async function deployStandIn(sender, parsedData, contractName, globalsKey, args = []) {
+    const factory = await ethers.getContractFactory(contractName);
+    const receipt = await sender.sendTransaction(factory.getDeployTransaction(...args));
+    console.log("Stand-in " + contractName + " for " + globalsKey + ":", receipt.contractAddress);
+    parsedData[globalsKey] = receipt.contractAddress;
+}
+
+// Sets the CreateX stand-in at the CREATE2 deployer address, unless the deployer is already on the local chain
+// CreateX keeps its own address as an immutable, which is replaced in the code deployed by the sender
+async function setCreate2DeployerStandIn(sender, parsedData) {
+    const provider = sender.signer.provider;
+    const deployerAddress = getDeployerAddress(parsedData);
+    if ((await provider.getCode(deployerAddress)) !== "0x") {
+        return;
+    }
+
+    const factory = await ethers.getContractFactory("CreateX");
+    const receipt = await sender.sendTransaction(factory.getDeployTransaction());
+    const code = await provider.getCode(receipt.contractAddress);
+    await provider.send("hardhat_setCode", [deployerAddress, code.split(receipt.contractAddress.slice(2).toLowerCase())
+        .join(deployerAddress.slice(2).toLowerCase())]);
+    console.log("Stand-in CreateX for the CREATE2 deployer:", deployerAddress);
+}
+
+// Gets globals keys required by the step, including the ones of the call made by the CREATE2 deployer
+function getStepRequires(step, parsedData) {
+    return step.requires.concat(parsedData.useCreate2 && step.create2Init ? step.create2Init.requires : []);
+}
+
+// Deploys the full stack on the local chain with all the deployment steps
+// Contracts that already exist on the target chain are replaced with local stand-ins, and the globals provider is the
+// local network. CREATE2 deployments use the CreateX stand-in if the deployer is not on the local chain. Returns the generated globals, the in-memory deployment manifest and the configuration chain entry
+// Options: the Safe address, if set owner-only call steps are not sent by EOA, and the stack contains their Safe batch
+async function deployLocalStack(parsedData, EOA, options = {}) {
+    if (!localNetworks.includes(network.name)) {
+        throw new Error("Local stack must be deployed on one of " + localNetworks.join(", ") + " networks, current " +
+            "network is " + network.name);
+    }
+
+    const globals = Object.assign({}, parsedData, { providerName: network.name, useLedger: false,
+        useSafe: Boolean(options.safeAddress), safeAddress: options.safeAddress, contractVerification: false });
+    const sender = createSender(EOA, globals, { confirmations: 1 });
+    if (globals.useCreate2) {
+        await setCreate2DeployerStandIn(sender, globals);
+    }
+    await deployStandIn(sender, globals, "MockServiceRegistry", "serviceRegistryAddress");
+    await deployStandIn(sender, globals, "WETH9", "wrappedNativeTokenAddress");
+    await deployStandIn(sender, globals, "ERC20Token", "olasAddress");
+    // Subscription parameters are not set for all the networks
+    // The subscription stand-in forwards payments to the NVM balance tracker, and is deployed once the tracker is
+    // With CREATE2, the subscription is set during the tracker deployment, and the stand-in is deployed for the predicted
+    // tracker address
+    const subscriptionStandIn = !globals.subscriptionNFTAddress;
+    if (subscriptionStandIn) {
+        globals.subscriptionTokenId = globals.subscriptionTokenId || "1";
+        globals.tokenCreditRatio = globals.tokenCreditRatio || ethers.constants.WeiPerEther.toString();
+    }
+
+    const pendingSteps = getPendingSteps(steps, { steps: {} });
+    await checkGlobals(globals, { steps: subscriptionStandIn ?
+        pendingSteps.filter((step) => !getStepRequires(step, globals).includes("subscriptionNFTAddress")) : pendingSteps });
+    const manifest = { providerName: globals.providerName, chainId: null, contracts: {} };
+    const safeSteps = [];
+    for (const step of pendingSteps) {
+        if (subscriptionStandIn && !globals.subscriptionNFTAddress &&
+            getStepRequires(step, globals).includes("subscriptionNFTAddress")) {
+            const balanceTracker = step.method ? globals.balanceTrackerNvmSubscriptionNativeAddress :
+                await predictStepAddress(step, globals, EOA.address);
+            await deployStandIn(sender, globals, "MockNvmSubscriptionNative", "subscriptionNFTAddress",
+                [balanceTracker, globals.tokenCreditRatio]);
+        }
+        if (isSafeStep(step, globals)) {
+            safeSteps.push(step);
+            continue;
+        }
+        const record = await executeStep(step, sender, globals);
+        if (record.address) {
+            await recordDeployment(manifest, step, globals, record, EOA.provider);
+        }
+    }
+
+    const stack = { globals, manifest, configuration: getConfigurationEntry(manifest) };
+    if (safeSteps.length > 0) {
+        await transferOwnershipToSafe(sender, globals, safeSteps,
+            { onTransferred: async (handover) => recordHandover(manifest, handover) });
+        const { chainId } = await EOA.provider.getNetwork();
+        stack.safeBatch = await buildSafeBatch(chainId, globals, safeSteps);
+        await logSafeSteps(globals, safeSteps);
+    }
+    return stack;
+}
+
+// Executes the Safe batch transactions on the local chain on behalf of the impersonated Safe
+// The Safe itself is not on the local chain, such that signatures of its owners are not needed
+async function executeLocalSafeBatch(batch) {
+    const safeAddress = batch.meta.createdFromSafeAddress;
+    await network.provider.send("hardhat_impersonateAccount", [safeAddress]);
+    await network.provider.send("hardhat_setBalance", [safeAddress, ethers.utils.hexValue(ethers.constants.WeiPerEther)]);
+    const safe = await ethers.getSigner(safeAddress);
+    console.log("Safe " + safeAddress + " executes the batch: " + batch.meta.description);
+    for (const tx of batch.transactions) {
+        const receipt = await (await safe.sendTransaction({ to: tx.to, value: tx.value, data: tx.data })).wait();
+        console.log("Safe transaction to " + tx.to + ":", receipt.transactionHash);
+    }
+    await network.provider.send("hardhat_stopImpersonatingAccount", [safeAddress]);
+}
+
+// Creates mechs of payment types on the local stack, services are owned by EOA in the service registry stand-in
+// Service Ids are assigned from 1 in the order of payment types. Returns mech addresses and their creation receipts by
+// payment type names
+async function createLocalMechs(globals, EOA, maxDeliveryRate, paymentTypeNames = Object.keys(paymentTypes)) {
+    const serviceRegistry = await ethers.getContractAt("MockServiceRegistry", globals.serviceRegistryAddress, EOA);
+    const mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress, EOA);
+    const mechCreationData = ethers.utils.defaultAbiCoder.encode(["uint256"], [maxDeliveryRate]);
+    const mechs = {};
+    const receipts = {};
+    for (const [i, paymentTypeName] of paymentTypeNames.entries()) {
+        const serviceId = i + 1;
+        await (await serviceRegistry.setServiceOwner(serviceId, EOA.address)).wait();
+        const factoryKey = "mechFactory" + paymentTypeName[0].toUpperCase() + paymentTypeName.slice(1) + "Address";
+        const tx = await mechMarketplace.create(serviceId, globals[factoryKey], mechCreationData);
+        receipts[paymentTypeName] = await tx.wait();
+        mechs[paymentTypeName] = receipts[paymentTypeName].events.find((event) => event.event === "CreateMech").args.mech;
+    }
+    return { mechs, receipts };
+}
+
+// Deploys the full stack on the local chain and creates mechs of payment types, see createLocalMechs
+// Returns the stack with mech addresses and their creation receipts by payment type names
+async function deployStackWithMechs(parsedData, EOA, maxDeliveryRate, paymentTypeNames = Object.keys(paymentTypes)) {
+    const stack = await deployLocalStack(parsedData, EOA);
+    return Object.assign(stack, await createLocalMechs(stack.globals, EOA, maxDeliveryRate, paymentTypeNames));
+}
+
+// Writes the generated globals and configuration files, the configuration file lists the single local chain
+function writeLocalStack(stack, globalsFile, configFile) {
+    fs.writeFileSync(globalsFile, JSON.stringify(stack.globals));
+    fs.writeFileSync(configFile, JSON.stringify([stack.configuration], null, 2));
+}
+
+module.exports = {
+    localNetworks,
+    deployStandIn,
+    setCreate2DeployerStandIn,
+    deployLocalStack,
+    executeLocalSafeBatch,
+    createLocalMechs,
+    deployStackWithMechs,
+    writeLocalStack
+};
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const { ethers, artifacts, config } = require("hardhat");
+const { getStorageLayout } = require("./storage");
+const { getDeployedAddress } = require("./create2");
+
+// Gets the deployment manifest file name for the network
+function getManifestFile(providerName) {
+    return "deployment_manifest_" + providerName + ".json";
+}
+
+// Reads the deployment manifest, or creates an empty one if the manifest file does not exist
+function readManifest(providerName, fileName = getManifestFile(providerName)) {
+    if (!fs.existsSync(fileName)) {
+        return { providerName, chainId: null, contracts: {} };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(fileName, "utf8"));
+    if (manifest.providerName !== providerName) {
+        throw new Error("Manifest file " + fileName + " belongs to " + manifest.providerName + ", not " + providerName);
+    }
+    return manifest;
+}
+
+// Writes the deployment manifest
+function writeManifest(providerName, manifest, fileName = getManifestFile(providerName)) {
+    fs.writeFileSync(fileName, JSON.stringify(manifest, null, 2));
+}
+
+// Formats constructor arguments: numbers as decimal strings, arrays element-wise
+function formatArgs(args) {
+    return args.map((arg) => {
+        if (ethers.BigNumber.isBigNumber(arg)) {
+            return arg.toString();
+        }
+        if (Array.isArray(arg)) {
+            return formatArgs(arg);
+        }
+        return arg;
+    });
+}
+
+// Gets the compiler version and settings the contract artifact was built with
+async function getCompiler(artifact) {
+    const buildInfo = await artifacts.getBuildInfo(artifact.sourceName + ":" + artifact.contractName);
+    if (buildInfo) {
+        const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+        return { version: buildInfo.solcVersion, settings: { optimizer, evmVersion, viaIR } };
+    }
+
+    // Fall back to the hardhat configuration if the build info is not available
+    const compiler = config.solidity.overrides[artifact.sourceName] || config.solidity.compilers[0];
+    return { version: compiler.version, settings: compiler.settings };
+}
+
+// Records the deployed contract of the step along with its provenance
+async function recordDeployment(manifest, step, parsedData, record, provider) {
+    const txHash = record.txHashes[0];
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!manifest.chainId) {
+        manifest.chainId = (await provider.getNetwork()).chainId;
+    }
+
+    const artifact = await artifacts.readArtifact(step.contractName);
+    manifest.contracts[step.contractName] = {
+        step: step.id,
+        address: getDeployedAddress(receipt),
+        txHash,
+        blockNumber: receipt.blockNumber,
+        deployer: receipt.from,
+        constructorArgs: formatArgs(await step.args(parsedData)),
+        sourceName: artifact.sourceName,
+        compiler: await getCompiler(artifact),
+        bytecodeHash: ethers.utils.keccak256(artifact.bytecode),
+        deployedBytecodeHash: ethers.utils.keccak256(artifact.deployedBytecode),
+        storageLayout: await getStorageLayout(step.contractName),
+        // CREATE2 salt of deterministic deployments
+        create2Salt: parsedData.useCreate2 ? parsedData.create2Salt : undefined,
+        verification: { status: "pending" }
+    };
+}
+
+// Records the contract verification status: pending, verified or failed
+function recordVerification(manifest, contractName, status, error) {
+    manifest.contracts[contractName].verification = {
+        status,
+        error,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Records the ownership handover of the contract from EOA to the Safe, if the contract is recorded in the manifest
+function recordHandover(manifest, handover) {
+    const contract = manifest.contracts[handover.target];
+    if (contract) {
+        contract.safeHandover = { safe: handover.safe, txHash: handover.txHash };
+    }
+}
+
+// Gets the configuration contracts list from the manifest in the deployment order
+function getConfigurationContracts(manifest) {
+    return Object.keys(manifest.contracts)
+        .sort((a, b) => manifest.contracts[a].step.localeCompare(manifest.contracts[b].step))
+        .map((name) => ({
+            name,
+            artifact: "abis/" + manifest.contracts[name].compiler.version.split("+")[0] + "/" + name + ".json",
+            address: manifest.contracts[name].address
+        }));
+}
+
+// Gets the earliest deployment block of the given values, or undefined if none is set
+function getEarliestBlock(blockNumbers) {
+    const blocks = blockNumbers.filter((blockNumber) => blockNumber !== undefined && blockNumber !== null);
+    return blocks.length > 0 ? Math.min(...blocks) : undefined;
+}
+
+// Gets the earliest deployment block of manifest contracts, or undefined if no contract is recorded
+// Chain events of the deployment are looked for starting from it
+function getDeploymentBlock(manifest) {
+    return getEarliestBlock(Object.values(manifest.contracts).map((contract) => contract.blockNumber));
+}
+
+// Gets the docs/configuration.json chain entry from the manifest
+function getConfigurationEntry(manifest) {
+    return {
+        name: manifest.providerName,
+        chainId: manifest.chainId.toString(),
+        deploymentBlock: getDeploymentBlock(manifest),
+        contracts: getConfigurationContracts(manifest)
+    };
+}
+
+// Merges the manifest chain entry into the docs/configuration.json one: manifest contracts replace the ones with the
+// same name, and contracts missing from the manifest, e.g. deployed by other means, are kept
+// The deployment block is the earliest one of both entries, as kept contracts may be deployed before manifest ones
+function mergeConfigurationEntry(config, entry) {
+    const contracts = config.contracts.map((contract) =>
+        entry.contracts.find((entryContract) => entryContract.name === contract.name) || contract);
+    const names = contracts.map((contract) => contract.name);
+    contracts.push(...entry.contracts.filter((contract) => !names.includes(contract.name)));
+    const deploymentBlock = getEarliestBlock([config.deploymentBlock, entry.deploymentBlock]);
+    return Object.assign({}, config, deploymentBlock === undefined ? {} : { deploymentBlock }, { contracts });
+}
+
+module.exports = {
+    getManifestFile,
+    readManifest,
+    writeManifest,
+    recordDeployment,
+    recordVerification,
+    recordHandover,
+    getDeploymentBlock,
+    getConfigurationContracts,
+    getConfigurationEntry,
+    mergeConfigurationEntry
+};
@@ -0,0 +1,72 @@
+/*global process*/
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { getSigner } = require("./helpers");
+const { steps } = require("./steps");
+const { checkGlobals } = require("./validate");
+const { getDeployerAddress, predictStepAddress } = require("./create2");
+
+// Usage: node scripts/deployment/predict_addresses.js [--deployer=address] globals_network_type.json ...
+const args = process.argv.slice(2);
+const files = args.filter((arg) => !arg.startsWith("--"));
+const deployerOption = args.find((arg) => arg.startsWith("--deployer="));
+
+// Predicts CREATE2 addresses of all the deployed contracts in the step order
+// Predicted addresses are substituted into the globals, as the following steps take them as constructor arguments
+async function predictAddresses(parsedData, deployer) {
+    const predicted = Object.assign({}, parsedData);
+    const addresses = {};
+    for (const step of steps.filter((step) => !step.method)) {
+        predicted[step.globalsKey] = await predictStepAddress(step, predicted, deployer);
+        addresses[step.contractName] = predicted[step.globalsKey];
+    }
+    return addresses;
+}
+
+async function main() {
+    if (files.length === 0) {
+        throw new Error("Usage: node scripts/deployment/predict_addresses.js [--deployer=address] globals_network_type.json ...");
+    }
+
+    const globals = files.map((fileName) => JSON.parse(fs.readFileSync(fileName, "utf8")));
+    let deployer;
+    if (deployerOption) {
+        deployer = ethers.utils.getAddress(deployerOption.split("=")[1]);
+    } else {
+        deployer = await (await getSigner(globals[0])).getAddress();
+    }
+    console.log("Deployer EOA:", deployer);
+
+    const predictions = [];
+    for (let i = 0; i < files.length; i++) {
+        await checkGlobals(globals[i], { requires: ["create2Salt"] });
+        console.log(files[i] + ": CREATE2 deployer " + getDeployerAddress(globals[i]) + ", salt " +
+            JSON.stringify(globals[i].create2Salt));
+        predictions.push(await predictAddresses(globals[i], deployer));
+    }
+
+    // Contracts end up at the same address if their constructor arguments are the same on all chains
+    for (const contractName of Object.keys(predictions[0])) {
+        const addresses = predictions.map((prediction) => prediction[contractName]);
+        if (addresses.every((address) => address === addresses[0])) {
+            console.log("\n" + contractName + ": " + addresses[0]);
+        } else {
+            console.log("\n" + contractName + ": addresses differ across chains");
+            files.forEach((fileName, i) => console.log("    " + fileName + ": " + addresses[i]));
+        }
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    predictAddresses
+};
@@ -0,0 +1,32 @@
+/*global process*/
+
+const { readGlobals, getSigner } = require("./helpers");
+const { checkGlobals } = require("./validate");
+const { replaceTransaction } = require("./sender");
+
+// Usage: HARDHAT_NETWORK=network_type node scripts/deployment/replace_transaction.js txHash [--cancel]
+const cancel = process.argv.includes("--cancel");
+const txHash = process.argv.slice(2).find((arg) => !arg.startsWith("--"));
+
+async function main() {
+    if (!txHash) {
+        throw new Error("Usage: HARDHAT_NETWORK=network_type node scripts/deployment/replace_transaction.js txHash [--cancel]");
+    }
+
+    const parsedData = readGlobals();
+    const EOA = await getSigner(parsedData);
+    await checkGlobals(parsedData, { provider: EOA.provider });
+    // EOA address
+    const deployer = await EOA.getAddress();
+    console.log("EOA is:", deployer);
+
+    const receipt = await replaceTransaction(EOA, parsedData, txHash, cancel);
+    console.log("Replacement transaction is mined in block", receipt.blockNumber);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+
+// Gets the Safe Transaction Builder batch file name for the network and steps
+function getSafeBatchFile(providerName, ids) {
+    return "safe_batch_" + providerName + "_" + ids.join("_") + ".json";
+}
+
+// Gets the Safe Transaction Builder transaction of the call step
+async function getSafeTransaction(step, parsedData) {
+    const args = await step.args(parsedData);
+    const factory = await ethers.getContractFactory(step.contractName);
+    const to = parsedData[step.addressKey];
+    if (!ethers.utils.isAddress(to)) {
+        throw new Error("Step " + step.id + " target " + step.target + " address is not set: " + step.addressKey);
+    }
+
+    return {
+        to: ethers.utils.getAddress(to),
+        value: "0",
+        data: factory.interface.encodeFunctionData(step.method, args),
+        contractMethod: null,
+        contractInputsValues: null
+    };
+}
+
+// Hands over ownership of Safe step targets from EOA to the Safe, such that owner-only calls of the batch do not revert
+// Targets already owned by the Safe are skipped, and targets owned by any other account fail before any handover is sent
+// Options: callback receiving each handover once it is mined: the target name, its address, the Safe and the transaction
+// hash. Returns the handovers made
+async function transferOwnershipToSafe(sender, parsedData, callSteps, options = {}) {
+    const { onTransferred = async () => {} } = options;
+    const safeAddress = ethers.utils.getAddress(parsedData.safeAddress);
+    const deployer = await sender.signer.getAddress();
+    const addressKeys = [...new Set(callSteps.map((step) => step.addressKey))];
+
+    // Check all the owners before sending any transaction
+    const targets = [];
+    for (const addressKey of addressKeys) {
+        const step = callSteps.find((s) => s.addressKey === addressKey);
+        if (!ethers.utils.isAddress(parsedData[addressKey])) {
+            throw new Error("Step " + step.id + " target " + step.target + " address is not set: " + addressKey);
+        }
+        const contract = await ethers.getContractAt(step.contractName, parsedData[addressKey]);
+        const owner = await contract.owner();
+        if (owner === safeAddress) {
+            console.log(step.target + " " + contract.address + " is already owned by the Safe " + safeAddress);
+            continue;
+        }
+        if (owner !== deployer) {
+            throw new Error(step.target + " " + contract.address + " is owned by " + owner + ", neither by EOA nor by " +
+                "the Safe " + safeAddress);
+        }
+        targets.push({ step, contract });
+    }
+
+    const handovers = [];
+    for (const { step, contract } of targets) {
+        console.log("EOA to change owner in " + step.target + " " + contract.address + " to the Safe " + safeAddress);
+        const txRequest = await contract.populateTransaction.changeOwner(safeAddress);
+        const receipt = await sender.sendTransaction(txRequest);
+        console.log("Transaction:", receipt.transactionHash);
+
+        const handover = { target: step.target, address: contract.address, safe: safeAddress,
+            txHash: receipt.transactionHash };
+        await onTransferred(handover);
+        handovers.push(handover);
+    }
+    return handovers;
+}
+
+// Builds the Safe Transaction Builder batch from transactions
+function buildSafeTransactionsBatch(chainId, parsedData, name, description, transactions) {
+    return {
+        version: "1.0",
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: "1.16.5",
+            createdFromSafeAddress: parsedData.safeAddress ? ethers.utils.getAddress(parsedData.safeAddress) : "",
+            createdFromOwnerAddress: ""
+        },
+        transactions
+    };
+}
+
+// Builds the Safe Transaction Builder batch from call steps
+async function buildSafeBatch(chainId, parsedData, callSteps) {
+    const transactions = [];
+    for (const step of callSteps) {
+        if (!step.method) {
+            throw new Error("Step " + step.id + " deploys a contract and cannot be executed via Safe");
+        }
+        transactions.push(await getSafeTransaction(step, parsedData));
+    }
+
+    const ids = callSteps.map((step) => step.id);
+    return buildSafeTransactionsBatch(chainId, parsedData, "Deployment steps " + ids.join(", "),
+        callSteps.map((step) => step.id + ". " + step.target + "." + step.method + "()").join("; "), transactions);
+}
+
+// Prints call steps of the Safe batch with their arguments
+async function logSafeSteps(parsedData, callSteps) {
+    for (const step of callSteps) {
+        console.log(Number(step.id) + ". " + step.description.replace("EOA", "Safe"));
+        console.log("Arguments:", JSON.stringify(await step.args(parsedData)));
+    }
+}
+
+// Builds and writes the Safe Transaction Builder batch from call steps, returns the batch file name
+async function writeSafeBatch(chainId, parsedData, callSteps) {
+    const batch = await buildSafeBatch(chainId, parsedData, callSteps);
+    const fileName = getSafeBatchFile(parsedData.providerName, callSteps.map((step) => step.id));
+    fs.writeFileSync(fileName, JSON.stringify(batch, null, 2));
+
+    await logSafeSteps(parsedData, callSteps);
+    console.log("Safe Transaction Builder batch:", fileName);
+    return fileName;
+}
+
+module.exports = {
+    getSafeBatchFile,
+    getSafeTransaction,
+    transferOwnershipToSafe,
+    buildSafeTransactionsBatch,
+    buildSafeBatch,
+    logSafeSteps,
+    writeSafeBatch
+};
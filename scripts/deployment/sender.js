@@ -0,0 +1,273 @@
+const { ethers } = require("hardhat");
+const { decodeRevert } = require("../client/errors");
+
+// Default fee caps in Gwei per network: max fee per gas and max priority fee per gas
+// Caps are overridden by maxFeePerGasInGwei and maxPriorityFeePerGasInGwei globals parameters
+const feeCaps = {
+    mainnet: { maxFeePerGas: "100", maxPriorityFeePerGas: "3" },
+    gnosis: { maxFeePerGas: "50", maxPriorityFeePerGas: "3" },
+    polygon: { maxFeePerGas: "1000", maxPriorityFeePerGas: "100" },
+    arbitrumOne: { maxFeePerGas: "1", maxPriorityFeePerGas: "0.01" },
+    optimistic: { maxFeePerGas: "1", maxPriorityFeePerGas: "0.01" },
+    base: { maxFeePerGas: "1", maxPriorityFeePerGas: "0.01" },
+    celo: { maxFeePerGas: "100", maxPriorityFeePerGas: "5" }
+};
+
+// Default sender options
+const defaultOptions = {
+    // Number of confirmations to wait for
+    confirmations: 1,
+    // Time in seconds after which the transaction is considered stuck and is replaced with higher fees
+    txTimeoutInSeconds: 180,
+    // Max number of replacements of a stuck transaction
+    maxReplacements: 3,
+    // Fee increase of the replacement transaction in percent, must be more than 10% for nodes to accept it
+    feeBumpPercent: 15,
+    // Gas limit margin over the estimated gas in percent
+    gasLimitMarginPercent: 20,
+    // Interval in milliseconds to poll transaction receipts with
+    pollingInterval: 4000
+};
+
+// Gets fee caps of the network, if any
+function getFeeCaps(parsedData) {
+    const caps = Object.assign({}, feeCaps[parsedData.providerName]);
+    if (parsedData.maxFeePerGasInGwei) {
+        caps.maxFeePerGas = parsedData.maxFeePerGasInGwei;
+    }
+    if (parsedData.maxPriorityFeePerGasInGwei) {
+        caps.maxPriorityFeePerGas = parsedData.maxPriorityFeePerGasInGwei;
+    }
+
+    return {
+        maxFeePerGas: caps.maxFeePerGas ? ethers.utils.parseUnits(caps.maxFeePerGas, "gwei") : null,
+        maxPriorityFeePerGas: caps.maxPriorityFeePerGas ? ethers.utils.parseUnits(caps.maxPriorityFeePerGas, "gwei") : null
+    };
+}
+
+// Gets the smaller of the value and the cap, if the cap is set
+function applyCap(value, cap) {
+    return cap && value.gt(cap) ? cap : value;
+}
+
+// Increases the value by the percentage, rounding up
+function bump(value, percent) {
+    return value.mul(100 + percent).add(99).div(100);
+}
+
+// Creates the transaction sender for the signer
+// EIP-1559 fees are estimated and capped per network, with the legacy gasPriceInGwei being used for networks not
+// supporting EIP-1559. Nonces are managed explicitly, and stuck transactions are replaced with the same nonce
+function createSender(signer, parsedData, options = {}) {
+    const settings = Object.assign({}, defaultOptions, options);
+    for (const key of ["confirmations", "txTimeoutInSeconds", "maxReplacements"]) {
+        if (parsedData[key] !== undefined && parsedData[key] !== "" && options[key] === undefined) {
+            settings[key] = Number(parsedData[key]);
+        }
+    }
+    const caps = getFeeCaps(parsedData);
+    const provider = signer.provider;
+    let nextNonce = null;
+
+    // Gets the transaction fees
+    const getFees = async () => {
+        const block = await provider.getBlock("latest");
+        if (!block.baseFeePerGas) {
+            return { type: 0, gasPrice: ethers.utils.parseUnits(parsedData.gasPriceInGwei, "gwei") };
+        }
+
+        let maxPriorityFeePerGas;
+        try {
+            maxPriorityFeePerGas = ethers.BigNumber.from(await provider.send("eth_maxPriorityFeePerGas", []));
+        } catch (error) {
+            maxPriorityFeePerGas = (await provider.getFeeData()).maxPriorityFeePerGas;
+        }
+        maxPriorityFeePerGas = applyCap(maxPriorityFeePerGas, caps.maxPriorityFeePerGas);
+        const maxFeePerGas = applyCap(block.baseFeePerGas.mul(2).add(maxPriorityFeePerGas), caps.maxFeePerGas);
+        if (maxFeePerGas.lt(block.baseFeePerGas)) {
+            throw new Error("Base fee " + ethers.utils.formatUnits(block.baseFeePerGas, "gwei") +
+                " Gwei exceeds the max fee cap of " + ethers.utils.formatUnits(maxFeePerGas, "gwei") + " Gwei");
+        }
+
+        return {
+            type: 2,
+            maxFeePerGas,
+            maxPriorityFeePerGas: maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : maxPriorityFeePerGas
+        };
+    };
+
+    // Gets fees of the replacement transaction, or null if fees cannot be increased due to caps
+    const getReplacementFees = (tx) => {
+        if (tx.type === 0) {
+            return { type: 0, gasPrice: bump(tx.gasPrice, settings.feeBumpPercent) };
+        }
+
+        const maxFeePerGas = applyCap(bump(tx.maxFeePerGas, settings.feeBumpPercent), caps.maxFeePerGas);
+        const maxPriorityFeePerGas = applyCap(bump(tx.maxPriorityFeePerGas, settings.feeBumpPercent),
+            caps.maxPriorityFeePerGas);
+        // Nodes require both fees to be increased by at least 10%
+        if (maxFeePerGas.lt(bump(tx.maxFeePerGas, 10)) || maxPriorityFeePerGas.lt(bump(tx.maxPriorityFeePerGas, 10))) {
+            return null;
+        }
+        return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    };
+
+    // Gets the next nonce of the signer
+    const getNonce = async () => {
+        if (nextNonce === null) {
+            nextNonce = await provider.getTransactionCount(await signer.getAddress(), "pending");
+        }
+        return nextNonce++;
+    };
+
+    // Waits for any of the transactions with the same nonce to be mined, or returns null after the timeout
+    const waitForAny = async (txHashes, nonce) => {
+        const deadline = Date.now() + settings.txTimeoutInSeconds * 1000;
+        for (;;) {
+            // The mined nonce is read before receipts in order not to miss the transaction mined in between
+            const mined = await provider.getTransactionCount(await signer.getAddress(), "latest");
+            for (const txHash of txHashes) {
+                const receipt = await provider.getTransactionReceipt(txHash);
+                if (receipt) {
+                    return provider.waitForTransaction(txHash, settings.confirmations);
+                }
+            }
+
+            // Check that the nonce was not used by another transaction
+            if (mined > nonce) {
+                throw new Error("Nonce " + nonce + " was used by a transaction other than " + txHashes.join(", "));
+            }
+
+            if (Date.now() >= deadline) {
+                return null;
+            }
+            await new Promise(r => setTimeout(r, settings.pollingInterval));
+        }
+    };
+
+    // Gets the revert reason of the mined transaction by replaying it at its block
+    // Nodes either throw the revert data or return it as the call result when replaying in the past block
+    const getRevertReason = async (tx, receipt) => {
+        let error;
+        try {
+            const result = await provider.call({ from: receipt.from, to: tx.to, data: tx.data, value: tx.value,
+                gasLimit: tx.gasLimit }, receipt.blockNumber);
+            error = { data: result };
+        } catch (callError) {
+            error = callError;
+        }
+        const decodedError = decodeRevert(error);
+        return decodedError !== error ? ": " + decodedError.message : "";
+    };
+
+    // Sends the transaction and waits for its confirmations, replacing it if it is stuck
+    // The callback receives all the transaction hashes sent with the same nonce
+    const sendTransaction = async (txRequest, onSent = async () => {}) => {
+        const tx = Object.assign({}, txRequest);
+        delete tx.from;
+        if (!tx.gasLimit) {
+            let gasEstimate;
+            try {
+                gasEstimate = await signer.estimateGas(tx);
+            } catch (error) {
+                throw decodeRevert(error);
+            }
+            tx.gasLimit = gasEstimate.mul(100 + settings.gasLimitMarginPercent).div(100);
+        }
+        Object.assign(tx, await getFees());
+
+        try {
+            tx.nonce = await getNonce();
+            tx.chainId = (await provider.getNetwork()).chainId;
+            const txHashes = [(await signer.sendTransaction(tx)).hash];
+            await onSent(txHashes.slice());
+
+            for (let replacements = 0; ; replacements++) {
+                const receipt = await waitForAny(txHashes, tx.nonce);
+                if (receipt) {
+                    if (receipt.status !== 1) {
+                        throw new Error("Transaction " + receipt.transactionHash + " reverted" +
+                            await getRevertReason(tx, receipt));
+                    }
+                    return receipt;
+                }
+
+                if (replacements >= settings.maxReplacements) {
+                    throw new Error("Transaction with nonce " + tx.nonce + " is not mined: " + txHashes.join(", "));
+                }
+                const fees = getReplacementFees(tx);
+                if (!fees) {
+                    console.log("Transaction " + txHashes[txHashes.length - 1] + " is stuck, fees are at their caps");
+                    continue;
+                }
+
+                Object.assign(tx, fees);
+                const replacement = await signer.sendTransaction(tx);
+                console.log("Transaction " + txHashes[txHashes.length - 1] + " is stuck, replaced with " + replacement.hash);
+                txHashes.push(replacement.hash);
+                await onSent(txHashes.slice());
+            }
+        } catch (error) {
+            // Re-read the nonce from the network for the next transaction
+            nextNonce = null;
+            throw decodeRevert(error);
+        }
+    };
+
+    return {
+        signer,
+        settings,
+        getFees,
+        sendTransaction
+    };
+}
+
+// Replaces the pending transaction with the same nonce and higher fees
+// If cancel is set, the replacement is a zero value transfer to self
+async function replaceTransaction(signer, parsedData, txHash, cancel = false, options = {}) {
+    const sender = createSender(signer, parsedData, options);
+    const pending = await signer.provider.getTransaction(txHash);
+    if (!pending) {
+        throw new Error("Transaction " + txHash + " is not found");
+    }
+    if (pending.blockNumber) {
+        throw new Error("Transaction " + txHash + " is already mined in block " + pending.blockNumber);
+    }
+
+    const address = await signer.getAddress();
+    const fees = await sender.getFees();
+    const percent = sender.settings.feeBumpPercent;
+    const tx = {
+        to: cancel ? address : pending.to,
+        data: cancel ? "0x" : pending.data,
+        value: cancel ? 0 : pending.value,
+        gasLimit: cancel ? 21000 : pending.gasLimit,
+        nonce: pending.nonce,
+        chainId: pending.chainId
+    };
+
+    // The replacement fees must exceed the pending ones
+    if (fees.type === 2) {
+        const pendingMaxFee = pending.maxFeePerGas || pending.gasPrice;
+        const pendingPriorityFee = pending.maxPriorityFeePerGas || pending.gasPrice;
+        tx.type = 2;
+        tx.maxFeePerGas = fees.maxFeePerGas.gt(bump(pendingMaxFee, percent)) ? fees.maxFeePerGas : bump(pendingMaxFee, percent);
+        tx.maxPriorityFeePerGas = fees.maxPriorityFeePerGas.gt(bump(pendingPriorityFee, percent)) ?
+            fees.maxPriorityFeePerGas : bump(pendingPriorityFee, percent);
+    } else {
+        tx.type = 0;
+        tx.gasPrice = fees.gasPrice.gt(bump(pending.gasPrice, percent)) ? fees.gasPrice : bump(pending.gasPrice, percent);
+    }
+
+    const replacement = await signer.sendTransaction(tx);
+    console.log((cancel ? "Cancelling" : "Speeding up") + " transaction " + txHash + " with " + replacement.hash);
+    return signer.provider.waitForTransaction(replacement.hash, sender.settings.confirmations);
+}
+
+module.exports = {
+    feeCaps,
+    defaultOptions,
+    getFeeCaps,
+    createSender,
+    replaceTransaction
+};
@@ -0,0 +1,93 @@
+const fs = require("fs");
+
+// Gets the deployment state file name for the network
+function getStateFile(providerName) {
+    return "deployment_state_" + providerName + ".json";
+}
+
+// Reads the deployment state, or creates an empty one if the state file does not exist
+function readState(providerName, fileName = getStateFile(providerName)) {
+    if (!fs.existsSync(fileName)) {
+        return { providerName, steps: {} };
+    }
+
+    const state = JSON.parse(fs.readFileSync(fileName, "utf8"));
+    if (state.providerName !== providerName) {
+        throw new Error("State file " + fileName + " belongs to " + state.providerName + ", not " + providerName);
+    }
+    return state;
+}
+
+// Writes the deployment state
+function writeState(providerName, state, fileName = getStateFile(providerName)) {
+    fs.writeFileSync(fileName, JSON.stringify(state, null, 2));
+}
+
+// Records the step status along with its transaction hashes and the deployed contract address, if any
+function recordStep(state, id, status, record = {}) {
+    state.steps[id] = {
+        status,
+        txHashes: record.txHashes || [],
+        address: record.address,
+        error: record.error,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Records the ownership handover of the Safe step target from EOA to the Safe, made before the Safe batch is written
+function recordSafeHandover(state, handover) {
+    state.safeHandovers = Object.assign({}, state.safeHandovers, {
+        [handover.target]: {
+            address: handover.address,
+            safe: handover.safe,
+            txHash: handover.txHash,
+            updatedAt: new Date().toISOString()
+        }
+    });
+}
+
+// Checks if the step is completed
+function isCompleted(state, id) {
+    return state.steps[id] !== undefined && state.steps[id].status === "completed";
+}
+
+// Gets not yet completed steps in the order that satisfies all step dependencies
+function getPendingSteps(steps, state) {
+    const ids = steps.map((step) => step.id);
+    const ordered = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    // Depth-first traversal of step dependencies
+    const visit = (step) => {
+        if (visited.has(step.id)) {
+            return;
+        }
+        if (visiting.has(step.id)) {
+            throw new Error("Cyclic dependency of deployment step " + step.id);
+        }
+        visiting.add(step.id);
+        for (const dependency of step.dependsOn) {
+            if (!ids.includes(dependency)) {
+                throw new Error("Deployment step " + step.id + " depends on unknown step " + dependency);
+            }
+            visit(steps[ids.indexOf(dependency)]);
+        }
+        visiting.delete(step.id);
+        visited.add(step.id);
+        ordered.push(step);
+    };
+    steps.forEach(visit);
+
+    return ordered.filter((step) => !isCompleted(state, step.id));
+}
+
+module.exports = {
+    getStateFile,
+    readState,
+    writeState,
+    recordStep,
+    recordSafeHandover,
+    isCompleted,
+    getPendingSteps
+};
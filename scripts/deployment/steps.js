@@ -0,0 +1,414 @@
+/*global process*/
+
+const { ethers } = require("hardhat");
+const { readGlobals, writeGlobals, getSigner } = require("./helpers");
+const { readState, writeState, recordStep, recordSafeHandover } = require("./state");
+const { transferOwnershipToSafe, writeSafeBatch } = require("./safe");
+const { checkGlobals } = require("./validate");
+const { readManifest, writeManifest, recordDeployment, recordHandover } = require("./manifest");
+const { verifyManifestContract } = require("./verify");
+const { createSender } = require("./sender");
+const { getCreate2Transaction, getDeployedAddress } = require("./create2");
+const { paymentTypes } = require("./constants");
+
+// Gets the encoded proxy initialization payload
+async function getInitPayload(contractName, args) {
+    const factory = await ethers.getContractFactory(contractName);
+    return factory.interface.encodeFunctionData("initialize", args);
+}
+
+// Deployment steps in their strict sequential order
+// Deploy steps define the contract name, constructor arguments and the globals key to store the contract address to
+// Call steps define the target contract name, its address globals key, the method and its arguments
+// Required keys are the globals keys that must be set before the step is executed
+// Deploy steps creating contracts that set their owner to the deployment msg.sender define the call made by the
+// CREATE2 deployer right after the deployment, and call steps made by that call refer to their CREATE2 init step
+// Call steps of contracts that are owned by the deploying EOA for good, i.e. without changeOwner, are sent by EOA even
+// if the Safe is used
+const steps = [
+    {
+        id: "01",
+        script: "deploy_01_karma.js",
+        description: "EOA to deploy Karma",
+        dependsOn: [],
+        requires: [],
+        contractName: "Karma",
+        args: async () => [],
+        globalsKey: "karmaAddress"
+    },
+    {
+        id: "02",
+        script: "deploy_02_karma_proxy.js",
+        description: "EOA to deploy Karma Proxy",
+        dependsOn: ["01"],
+        requires: ["karmaAddress"],
+        contractName: "KarmaProxy",
+        args: async (parsedData) => [parsedData.karmaAddress, await getInitPayload("Karma", [])],
+        globalsKey: "karmaProxyAddress",
+        create2Init: {
+            contractName: "Karma",
+            method: "changeOwner",
+            requires: [],
+            args: async (parsedData, deployer) => [deployer]
+        }
+    },
+    {
+        id: "03",
+        script: "deploy_03_mech_marketplace.js",
+        description: "EOA to deploy Mech Marketplace",
+        dependsOn: ["02"],
+        requires: ["serviceRegistryAddress", "karmaProxyAddress"],
+        contractName: "MechMarketplace",
+        args: async (parsedData) => [parsedData.serviceRegistryAddress, parsedData.karmaProxyAddress],
+        globalsKey: "mechMarketplaceAddress"
+    },
+    {
+        id: "04",
+        script: "deploy_04_mech_marketplace_proxy.js",
+        description: "EOA to deploy Mech Marketplace Proxy",
+        dependsOn: ["03"],
+        requires: ["mechMarketplaceAddress", "fee", "minResponseTimeout", "maxResponseTimeout"],
+        contractName: "MechMarketplaceProxy",
+        args: async (parsedData) => [parsedData.mechMarketplaceAddress, await getInitPayload("MechMarketplace",
+            [parsedData.fee, parsedData.minResponseTimeout, parsedData.maxResponseTimeout])],
+        globalsKey: "mechMarketplaceProxyAddress",
+        create2Init: {
+            contractName: "MechMarketplace",
+            method: "changeOwner",
+            requires: [],
+            args: async (parsedData, deployer) => [deployer]
+        }
+    },
+    {
+        id: "05",
+        script: "deploy_05_mech_factory_nvm_subscription_native.js",
+        description: "EOA to deploy Mech Factory NVM Subscription",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress"],
+        contractName: "MechFactoryNvmSubscriptionNative",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress],
+        globalsKey: "mechFactoryNvmSubscriptionNativeAddress"
+    },
+    {
+        id: "06",
+        script: "deploy_06_balance_tracker_nvm_subscription_native.js",
+        description: "EOA to deploy Balance Tracker NVM Subscription Native",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress", "drainerAddress", "wrappedNativeTokenAddress"],
+        contractName: "BalanceTrackerNvmSubscriptionNative",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress, parsedData.drainerAddress,
+            parsedData.wrappedNativeTokenAddress],
+        globalsKey: "balanceTrackerNvmSubscriptionNativeAddress",
+        create2Init: {
+            contractName: "BalanceTrackerNvmSubscriptionNative",
+            method: "setSubscription",
+            requires: ["subscriptionNFTAddress", "subscriptionTokenId", "tokenCreditRatio"],
+            args: async (parsedData) => [parsedData.subscriptionNFTAddress, parsedData.subscriptionTokenId,
+                parsedData.tokenCreditRatio]
+        }
+    },
+    {
+        id: "07",
+        script: "deploy_07_mech_factory_fixed_price_native.js",
+        description: "EOA to deploy Mech Factory Fixed Price Native",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress"],
+        contractName: "MechFactoryFixedPriceNative",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress],
+        globalsKey: "mechFactoryFixedPriceNativeAddress"
+    },
+    {
+        id: "08",
+        script: "deploy_08_balance_tracker_fixed_price_native.js",
+        description: "EOA to deploy Balance Tracker Fixed Price Native",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress", "drainerAddress", "wrappedNativeTokenAddress"],
+        contractName: "BalanceTrackerFixedPriceNative",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress, parsedData.drainerAddress,
+            parsedData.wrappedNativeTokenAddress],
+        globalsKey: "balanceTrackerFixedPriceNativeAddress"
+    },
+    {
+        id: "09",
+        script: "deploy_09_mech_factory_fixed_price_token.js",
+        description: "EOA to deploy Mech Factory Fixed Price Token",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress"],
+        contractName: "MechFactoryFixedPriceToken",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress],
+        globalsKey: "mechFactoryFixedPriceTokenAddress"
+    },
+    {
+        id: "10",
+        script: "deploy_10_balance_tracker_fixed_price_token.js",
+        description: "EOA to deploy Balance Tracker Fixed Price Token",
+        dependsOn: ["04"],
+        requires: ["mechMarketplaceProxyAddress", "drainerAddress", "olasAddress"],
+        contractName: "BalanceTrackerFixedPriceToken",
+        args: async (parsedData) => [parsedData.mechMarketplaceProxyAddress, parsedData.drainerAddress,
+            parsedData.olasAddress],
+        globalsKey: "balanceTrackerFixedPriceTokenAddress"
+    },
+    {
+        id: "11",
+        script: "deploy_11_karma_set_marketplace.js",
+        description: "EOA to set Mech Marketplace statuses",
+        dependsOn: ["02", "04"],
+        requires: ["karmaProxyAddress", "mechMarketplaceProxyAddress"],
+        contractName: "Karma",
+        target: "KarmaProxy",
+        addressKey: "karmaProxyAddress",
+        method: "setMechMarketplaceStatuses",
+        args: async (parsedData) => [[parsedData.mechMarketplaceProxyAddress], [true]]
+    },
+    {
+        id: "12",
+        script: "deploy_12_marketplace_set_factories.js",
+        description: "EOA to set Mech factories",
+        dependsOn: ["04", "05", "07", "09"],
+        requires: ["mechMarketplaceProxyAddress", "mechFactoryFixedPriceNativeAddress",
+            "mechFactoryFixedPriceTokenAddress", "mechFactoryNvmSubscriptionNativeAddress"],
+        contractName: "MechMarketplace",
+        target: "MechMarketplaceProxy",
+        addressKey: "mechMarketplaceProxyAddress",
+        method: "setMechFactoryStatuses",
+        args: async (parsedData) => [
+            [parsedData.mechFactoryFixedPriceNativeAddress, parsedData.mechFactoryFixedPriceTokenAddress,
+                parsedData.mechFactoryNvmSubscriptionNativeAddress],
+            [true, true, true]
+        ]
+    },
+    {
+        id: "13",
+        script: "deploy_13_marketplace_set_balance_trackers.js",
+        description: "EOA to set Balance trackers",
+        dependsOn: ["04", "06", "08", "10"],
+        requires: ["mechMarketplaceProxyAddress", "balanceTrackerFixedPriceNativeAddress",
+            "balanceTrackerFixedPriceTokenAddress", "balanceTrackerNvmSubscriptionNativeAddress"],
+        contractName: "MechMarketplace",
+        target: "MechMarketplaceProxy",
+        addressKey: "mechMarketplaceProxyAddress",
+        method: "setPaymentTypeBalanceTrackers",
+        args: async (parsedData) => [
+            [paymentTypes.fixedPriceNative, paymentTypes.fixedPriceToken, paymentTypes.nvmSubscriptionNative],
+            [parsedData.balanceTrackerFixedPriceNativeAddress, parsedData.balanceTrackerFixedPriceTokenAddress,
+                parsedData.balanceTrackerNvmSubscriptionNativeAddress]
+        ]
+    },
+    {
+        id: "14",
+        script: "deploy_14_balance_tracker_nvm_subscription_set.js",
+        description: "EOA to set Balance trackers NVM subscription",
+        dependsOn: ["06"],
+        requires: ["balanceTrackerNvmSubscriptionNativeAddress", "subscriptionNFTAddress",
+            "subscriptionTokenId", "tokenCreditRatio"],
+        contractName: "BalanceTrackerNvmSubscriptionNative",
+        target: "BalanceTrackerNvmSubscriptionNative",
+        addressKey: "balanceTrackerNvmSubscriptionNativeAddress",
+        method: "setSubscription",
+        create2InitStep: "06",
+        ownedByEOA: true,
+        args: async (parsedData) => [parsedData.subscriptionNFTAddress, parsedData.subscriptionTokenId,
+            parsedData.tokenCreditRatio]
+    },
+    {
+        id: "15",
+        script: "deploy_15_16_change_owners.js",
+        description: "EOA to change owner in KarmaProxy",
+        dependsOn: ["11"],
+        requires: ["karmaProxyAddress", "bridgeMediatorAddress"],
+        contractName: "Karma",
+        target: "KarmaProxy",
+        addressKey: "karmaProxyAddress",
+        method: "changeOwner",
+        args: async (parsedData) => [parsedData.bridgeMediatorAddress]
+    },
+    {
+        id: "16",
+        script: "deploy_15_16_change_owners.js",
+        description: "EOA to change owner in MechMarketplaceProxy",
+        dependsOn: ["12", "13"],
+        requires: ["mechMarketplaceProxyAddress", "bridgeMediatorAddress"],
+        contractName: "MechMarketplace",
+        target: "MechMarketplaceProxy",
+        addressKey: "mechMarketplaceProxyAddress",
+        method: "changeOwner",
+        args: async (parsedData) => [parsedData.bridgeMediatorAddress]
+    }
+];
+
+// Gets the step by its id
+function getStep(id) {
+    const step = steps.find((s) => s.id === id);
+    if (!step) {
+        throw new Error("Unknown deployment step: " + id);
+    }
+    return step;
+}
+
+// Checks if the call step is made by the CREATE2 deployer during the contract deployment
+function isCreate2Init(step, parsedData) {
+    return Boolean(parsedData.useCreate2 && step.create2InitStep);
+}
+
+// Checks if the call step is exported as the Safe batch instead of being sent by EOA
+function isSafeStep(step, parsedData) {
+    return Boolean(parsedData.useSafe && step.method && !step.ownedByEOA && !isCreate2Init(step, parsedData));
+}
+
+// Executes a single step via the transaction sender: deploys a contract or calls the contract method
+// Options: callback receiving transaction hashes once they are broadcast
+async function executeStep(step, sender, parsedData, options = {}) {
+    const { onSent = async () => {} } = options;
+    const args = await step.args(parsedData);
+
+    // Transaction signing and execution
+    console.log(Number(step.id) + ". " + step.description);
+    if (isCreate2Init(step, parsedData)) {
+        console.log("Step is executed by the CREATE2 deployer during step " + step.create2InitStep);
+        return { txHashes: [] };
+    }
+    if (step.method) {
+        console.log("You are signing the following transaction: " + step.target + ".connect(EOA)." + step.method + "()");
+        console.log("Arguments:", JSON.stringify(args));
+        const contract = await ethers.getContractAt(step.contractName, parsedData[step.addressKey]);
+        const txRequest = await contract.populateTransaction[step.method](...args);
+        const receipt = await sender.sendTransaction(txRequest, onSent);
+
+        // Transaction details
+        console.log("Contract deployment: " + step.target);
+        console.log("Contract address:", contract.address);
+        console.log("Transaction:", receipt.transactionHash);
+
+        return { txHashes: [receipt.transactionHash] };
+    }
+
+    let receipt;
+    if (parsedData.useCreate2) {
+        // Deterministic deployment via the CREATE2 deployer
+        const deployer = await sender.signer.getAddress();
+        const { txRequest, address } = await getCreate2Transaction(step, parsedData, deployer);
+        if ((await sender.signer.provider.getCode(txRequest.to)) === "0x") {
+            throw new Error("CREATE2 deployer " + txRequest.to + " is not deployed on " + parsedData.providerName);
+        }
+        if ((await sender.signer.provider.getCode(address)) !== "0x") {
+            throw new Error("Contract " + step.contractName + " is already deployed at " + address +
+                " with the salt " + JSON.stringify(parsedData.create2Salt));
+        }
+        console.log("You are signing the following transaction: CREATE2 deployer " + txRequest.to + ".connect(EOA).deploy(" +
+            step.contractName + ")");
+        console.log("Constructor arguments:", JSON.stringify(args));
+        console.log("Predicted address:", address);
+        receipt = await sender.sendTransaction(txRequest, onSent);
+        if (getDeployedAddress(receipt) !== address) {
+            throw new Error("Contract " + step.contractName + " is deployed at " + getDeployedAddress(receipt) +
+                " instead of the predicted " + address);
+        }
+    } else {
+        console.log("You are signing the following transaction: " + step.contractName + ".connect(EOA).deploy()");
+        console.log("Constructor arguments:", JSON.stringify(args));
+        const factory = await ethers.getContractFactory(step.contractName);
+        receipt = await sender.sendTransaction(factory.getDeployTransaction(...args), onSent);
+    }
+    const contractAddress = getDeployedAddress(receipt);
+
+    // Transaction details
+    console.log("Contract deployment: " + step.contractName);
+    console.log("Contract address:", contractAddress);
+    console.log("Transaction:", receipt.transactionHash);
+
+    // Record the deployed contract address
+    parsedData[step.globalsKey] = contractAddress;
+
+    return { txHashes: [receipt.transactionHash], address: contractAddress };
+}
+
+// Verifies the deployed contract of the step with constructor arguments recorded in the manifest
+// The verification status is recorded into the manifest
+async function verifyStepContract(step, parsedData, manifest) {
+    try {
+        await verifyManifestContract(parsedData.providerName, manifest, step.contractName);
+    } finally {
+        writeManifest(parsedData.providerName, manifest);
+    }
+}
+
+// Hands over Safe step targets from EOA to the Safe and writes the Safe batch, returns the batch file name
+// Each handover is recorded in the deployment state and manifest once it is mined
+async function exportSafeSteps(sender, parsedData, safeSteps, state, manifest) {
+    const { chainId } = await sender.signer.provider.getNetwork();
+    await transferOwnershipToSafe(sender, parsedData, safeSteps, {
+        onTransferred: async (handover) => {
+            recordSafeHandover(state, handover);
+            writeState(parsedData.providerName, state);
+            recordHandover(manifest, handover);
+            writeManifest(parsedData.providerName, manifest);
+        }
+    });
+    return writeSafeBatch(chainId, parsedData, safeSteps);
+}
+
+// Runs specified steps from the standalone deployment script, recording them in the deployment state
+// If the Safe is used, call steps are exported as the Safe Transaction Builder batch instead of being sent
+async function runScriptSteps(ids) {
+    const parsedData = readGlobals();
+    const scriptSteps = ids.map(getStep);
+    const EOA = await getSigner(parsedData);
+    // Check globals before sending any transaction
+    await checkGlobals(parsedData, { steps: scriptSteps, provider: EOA.provider });
+    // EOA address
+    const deployer = await EOA.getAddress();
+    console.log("EOA is:", deployer);
+
+    const sender = createSender(EOA, parsedData);
+    const state = readState(parsedData.providerName);
+    const manifest = readManifest(parsedData.providerName);
+    const safeSteps = [];
+    for (const step of scriptSteps) {
+        if (isSafeStep(step, parsedData)) {
+            safeSteps.push(step);
+            continue;
+        }
+
+        const record = await executeStep(step, sender, parsedData);
+
+        // Writing updated parameters back to the JSON file
+        writeGlobals(parsedData);
+        recordStep(state, step.id, "completed", record);
+        writeState(parsedData.providerName, state);
+        if (record.address) {
+            await recordDeployment(manifest, step, parsedData, record, EOA.provider);
+            writeManifest(parsedData.providerName, manifest);
+        }
+
+        // Contract verification
+        if (record.address && parsedData.contractVerification) {
+            await verifyStepContract(step, parsedData, manifest);
+        }
+    }
+
+    if (safeSteps.length > 0) {
+        await exportSafeSteps(sender, parsedData, safeSteps, state, manifest);
+    }
+}
+
+// Runs the standalone deployment script steps and exits the process
+function runScript(ids) {
+    runScriptSteps(ids)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    steps,
+    getStep,
+    isCreate2Init,
+    isSafeStep,
+    executeStep,
+    verifyStepContract,
+    exportSafeSteps,
+    runScript
+};
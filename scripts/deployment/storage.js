@@ -0,0 +1,74 @@
+const { artifacts } = require("hardhat");
+
+// Normalizes solc storage layout variables: type identifiers are replaced with type labels and struct members
+// The normalized layout does not depend on AST Ids and can be compared across compilations
+function normalizeStorage(storage, types) {
+    return storage.map((variable) => {
+        const type = types[variable.type];
+        const normalized = {
+            label: variable.label,
+            slot: variable.slot,
+            offset: variable.offset,
+            type: type.label,
+            numberOfBytes: type.numberOfBytes
+        };
+        if (type.members) {
+            normalized.members = normalizeStorage(type.members, types);
+        }
+        return normalized;
+    });
+}
+
+// Gets the normalized storage layout of the contract from its build info
+// The storage layout is part of the build info if the storageLayout output is selected in hardhat.config.js
+async function getStorageLayout(contractName) {
+    const artifact = await artifacts.readArtifact(contractName);
+    const buildInfo = await artifacts.getBuildInfo(artifact.sourceName + ":" + artifact.contractName);
+    const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+    if (!output || !output.storageLayout) {
+        return null;
+    }
+
+    return normalizeStorage(output.storageLayout.storage, output.storageLayout.types || {});
+}
+
+// Compares variables of the old and new storage layouts
+function compareVariables(oldStorage, newStorage, path, errors, warnings) {
+    oldStorage.forEach((oldVariable, i) => {
+        const name = path + oldVariable.label;
+        const newVariable = newStorage[i];
+        if (!newVariable) {
+            errors.push(name + " is removed");
+            return;
+        }
+
+        if (newVariable.slot !== oldVariable.slot || newVariable.offset !== oldVariable.offset) {
+            errors.push(name + " is moved from slot " + oldVariable.slot + ", offset " + oldVariable.offset +
+                " to slot " + newVariable.slot + ", offset " + newVariable.offset);
+        }
+        if (newVariable.type !== oldVariable.type || newVariable.numberOfBytes !== oldVariable.numberOfBytes) {
+            errors.push(name + " type is changed from " + oldVariable.type + " to " + newVariable.type);
+        }
+        if (newVariable.label !== oldVariable.label) {
+            warnings.push(name + " is renamed to " + newVariable.label);
+        }
+        if (oldVariable.members) {
+            compareVariables(oldVariable.members, newVariable.members || [], name + ".", errors, warnings);
+        }
+    });
+}
+
+// Checks that the new storage layout is compatible with the old one: all the old variables must keep their slots,
+// offsets and types, and new variables can only be appended
+function compareStorageLayouts(oldStorage, newStorage) {
+    const errors = [];
+    const warnings = [];
+    compareVariables(oldStorage, newStorage, "", errors, warnings);
+    return { errors, warnings };
+}
+
+module.exports = {
+    normalizeStorage,
+    getStorageLayout,
+    compareStorageLayouts
+};
@@ -0,0 +1,41 @@
+/*global process*/
+
+const fs = require("fs");
+const { getConfigurationEntry, mergeConfigurationEntry } = require("./manifest");
+
+// Configuration file with contract addresses of all chains
+const configFile = "docs/configuration.json";
+
+// Updates docs/configuration.json chain entries from deployment manifests provided as arguments
+async function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        throw new Error("Usage: node scripts/deployment/update_configuration.js deployment_manifest_network.json ...");
+    }
+
+    const configs = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    for (const fileName of files) {
+        const manifest = JSON.parse(fs.readFileSync(fileName, "utf8"));
+        const entry = getConfigurationEntry(manifest);
+
+        // Merge contracts into the chain entry, or add a new one
+        const index = configs.findIndex((config) => config["chainId"] === entry.chainId);
+        if (index < 0) {
+            configs.push(entry);
+            console.log("Added chain " + entry.name + " (" + entry.chainId + ") from " + fileName);
+        } else {
+            configs[index] = mergeConfigurationEntry(configs[index], entry);
+            console.log("Updated " + entry.contracts.length + " contract(s) of chain " + entry.name + " (" +
+                entry.chainId + ") from " + fileName);
+        }
+    }
+
+    fs.writeFileSync(configFile, JSON.stringify(configs, null, 2));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,219 @@
+/*global process*/
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { readGlobals, writeGlobals, getSigner } = require("./helpers");
+const { getStep, executeStep } = require("./steps");
+const { checkGlobals } = require("./validate");
+const { getManifestFile, readManifest, writeManifest, recordDeployment } = require("./manifest");
+const { getStorageLayout, compareStorageLayouts } = require("./storage");
+const { createSender } = require("./sender");
+const { buildSafeTransactionsBatch } = require("./safe");
+const { buildProposal, printProposal, getProposalFile } = require("../governance/proposal");
+
+// Upgradable contracts: proxy and implementation globals keys, the implementation deployment step and immutables
+// that the new implementation must keep
+const upgradable = {
+    MechMarketplace: {
+        proxyName: "MechMarketplaceProxy",
+        proxyKey: "mechMarketplaceProxyAddress",
+        stepId: "03",
+        immutables: ["serviceRegistry", "karma", "chainId"]
+    },
+    Karma: {
+        proxyName: "KarmaProxy",
+        proxyKey: "karmaProxyAddress",
+        stepId: "01",
+        immutables: []
+    }
+};
+
+// Output types of the changeImplementation() call
+const outputs = ["direct", "safe", "governance"];
+
+// Usage: HARDHAT_NETWORK=network_type node scripts/deployment/upgrade.js <MechMarketplace|Karma>
+//     [--output=direct|safe|governance] [--implementation=address] [--reference=storage_layout.json]
+const usage = "Usage: HARDHAT_NETWORK=network_type node scripts/deployment/upgrade.js <MechMarketplace|Karma> " +
+    "[--output=direct|safe|governance] [--implementation=address] [--reference=storage_layout.json]";
+const args = process.argv.slice(2);
+const contractName = args.find((arg) => !arg.startsWith("--"));
+const getOption = (name) => {
+    const option = args.find((arg) => arg.startsWith("--" + name + "="));
+    return option ? option.slice(name.length + 3) : null;
+};
+
+// Gets the storage layout of the live implementation: from the manifest if it recorded the live implementation,
+// or from the reference storage layout file
+function getLiveStorageLayout(manifest, oldImplementation, referenceFile) {
+    if (referenceFile) {
+        return JSON.parse(fs.readFileSync(referenceFile, "utf8"));
+    }
+
+    const record = manifest.contracts[contractName];
+    if (record && record.storageLayout && record.address.toLowerCase() === oldImplementation.toLowerCase()) {
+        return record.storageLayout;
+    }
+    throw new Error("Storage layout of the live implementation " + oldImplementation + " is not recorded in the " +
+        "manifest, provide it with --reference=storage_layout.json");
+}
+
+// Checks that the new implementation keeps the immutables of the live one, read via the proxy
+async function checkImmutables(immutables, proxyAddress, newImplementation) {
+    const errors = [];
+    const live = await ethers.getContractAt(contractName, proxyAddress);
+    const upgraded = await ethers.getContractAt(contractName, newImplementation);
+    for (const name of immutables) {
+        const liveValue = (await live[name]()).toString();
+        const newValue = (await upgraded[name]()).toString();
+        if (liveValue.toLowerCase() !== newValue.toLowerCase()) {
+            errors.push(name + " is " + newValue + ", while the live one is " + liveValue);
+        }
+    }
+    return errors;
+}
+
+// Gets the output type based on the proxy owner: EOA owner sends the transaction directly, the bridge mediator owner
+// requires the governance proposal, any other owner is considered a Safe
+function getDefaultOutput(owner, deployer, parsedData) {
+    if (owner.toLowerCase() === deployer.toLowerCase()) {
+        return "direct";
+    }
+    if (parsedData.bridgeMediatorAddress && owner.toLowerCase() === parsedData.bridgeMediatorAddress.toLowerCase()) {
+        return "governance";
+    }
+    return "safe";
+}
+
+async function main() {
+    const config = upgradable[contractName];
+    if (!config) {
+        throw new Error(usage);
+    }
+    const output = getOption("output");
+    if (output && !outputs.includes(output)) {
+        throw new Error("Unknown output " + output + ", expected one of: " + outputs.join(", "));
+    }
+    const step = getStep(config.stepId);
+
+    const parsedData = readGlobals();
+    const EOA = await getSigner(parsedData);
+    const requires = [config.proxyKey].concat(step.requires);
+    if (output === "governance") {
+        requires.push("bridgeMediatorAddress");
+    }
+    await checkGlobals(parsedData, { requires, provider: EOA.provider });
+    const providerName = parsedData.providerName;
+    const chainId = (await EOA.provider.getNetwork()).chainId;
+    // EOA address
+    const deployer = await EOA.getAddress();
+    console.log("EOA is:", deployer);
+
+    // Live implementation and owner
+    const proxyAddress = parsedData[config.proxyKey];
+    const proxy = await ethers.getContractAt(config.proxyName, proxyAddress);
+    const oldImplementation = await proxy.getImplementation();
+    const owner = await (await ethers.getContractAt(contractName, proxyAddress)).owner();
+    console.log(config.proxyName + " " + proxyAddress + " implementation:", oldImplementation);
+    console.log(config.proxyName + " owner:", owner);
+
+    // Check the storage layout compatibility before deploying anything
+    const manifest = readManifest(providerName);
+    const oldLayout = getLiveStorageLayout(manifest, oldImplementation, getOption("reference"));
+    const newLayout = await getStorageLayout(contractName);
+    if (!newLayout) {
+        throw new Error("Storage layout of " + contractName + " is not found, recompile the contracts");
+    }
+    const layout = compareStorageLayouts(oldLayout, newLayout);
+    layout.warnings.forEach((warning) => console.log("Storage layout warning: " + warning));
+    if (layout.errors.length > 0) {
+        throw new Error("Incompatible storage layout:\n    " + layout.errors.join("\n    "));
+    }
+    console.log("Storage layout is compatible");
+
+    // Deploy the new implementation, or use the already deployed one
+    const upgradeData = Object.assign({}, parsedData);
+    const sender = createSender(EOA, parsedData);
+    let newImplementation = getOption("implementation");
+    let record = null;
+    if (newImplementation) {
+        newImplementation = ethers.utils.getAddress(newImplementation);
+        if ((await EOA.provider.getCode(newImplementation)) === "0x") {
+            throw new Error("New implementation " + newImplementation + " has no code");
+        }
+    } else {
+        record = await executeStep(step, sender, upgradeData);
+        newImplementation = record.address;
+    }
+
+    const immutableErrors = await checkImmutables(config.immutables, proxyAddress, newImplementation);
+    if (immutableErrors.length > 0) {
+        throw new Error("New implementation immutables do not match the live ones:\n    " + immutableErrors.join("\n    "));
+    }
+    if (config.immutables.length > 0) {
+        console.log("Immutables match: " + config.immutables.join(", "));
+    }
+
+    // Record the new implementation
+    if (record) {
+        await recordDeployment(manifest, step, upgradeData, record, EOA.provider);
+    }
+    manifest.upgrades = manifest.upgrades || [];
+    const upgrade = {
+        contractName,
+        proxy: proxyAddress,
+        oldImplementation,
+        newImplementation,
+        output: output || getDefaultOutput(owner, deployer, parsedData),
+        createdAt: new Date().toISOString()
+    };
+    manifest.upgrades.push(upgrade);
+
+    // Produce the changeImplementation() call
+    const implementation = await ethers.getContractAt(contractName, proxyAddress);
+    if (upgrade.output === "direct") {
+        if (owner.toLowerCase() !== deployer.toLowerCase()) {
+            throw new Error("EOA " + deployer + " is not the " + config.proxyName + " owner " + owner);
+        }
+        console.log("You are signing the following transaction: " + config.proxyName + ".connect(EOA).changeImplementation()");
+        const txRequest = await implementation.populateTransaction.changeImplementation(newImplementation);
+        const receipt = await sender.sendTransaction(txRequest);
+        if ((await proxy.getImplementation()).toLowerCase() !== newImplementation.toLowerCase()) {
+            throw new Error(config.proxyName + " implementation is not changed");
+        }
+        console.log("Transaction:", receipt.transactionHash);
+        upgrade.txHash = receipt.transactionHash;
+        parsedData[step.globalsKey] = newImplementation;
+        writeGlobals(parsedData);
+    } else if (upgrade.output === "safe") {
+        const batch = buildSafeTransactionsBatch(chainId, parsedData, "Upgrade " + contractName,
+            config.proxyName + ".changeImplementation(" + newImplementation + ")", [{
+                to: ethers.utils.getAddress(proxyAddress),
+                value: "0",
+                data: implementation.interface.encodeFunctionData("changeImplementation", [newImplementation]),
+                contractMethod: null,
+                contractInputsValues: null
+            }]);
+        upgrade.file = "safe_batch_" + providerName + "_upgrade_" + contractName + ".json";
+        fs.writeFileSync(upgrade.file, JSON.stringify(batch, null, 2));
+        console.log("Safe Transaction Builder batch:", upgrade.file);
+    } else {
+        const proposal = buildProposal(parsedData, {
+            description: "Upgrade " + contractName + " implementation to " + newImplementation,
+            changes: [{ contract: config.proxyName, method: "changeImplementation", args: [newImplementation] }]
+        });
+        printProposal(proposal);
+        upgrade.file = getProposalFile(providerName);
+        fs.writeFileSync(upgrade.file, JSON.stringify(proposal, null, 2));
+        console.log("\nProposal payload:", upgrade.file);
+    }
+
+    writeManifest(providerName, manifest);
+    console.log("Deployment manifest:", getManifestFile(providerName));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,229 @@
+/*global process*/
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const schema = require("./globals.schema.json");
+
+// Max marketplace fee factor, as defined in MechMarketplace
+const maxFeeFactor = 10000;
+// Max response timeout value, as defined in MechMarketplace
+const maxTimeout = 2 ** 32 - 1;
+
+// Checks if the value is unset: empty strings are treated as unset values
+function isUnset(value) {
+    return value === undefined || value === null || value === "";
+}
+
+// Gets the JSON type of the value
+function getType(value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (Number.isInteger(value)) {
+        return "integer";
+    }
+    return typeof value;
+}
+
+// Resolves the schema definition reference
+function resolve(definition) {
+    if (definition["$ref"]) {
+        return schema.definitions[definition["$ref"].split("/").pop()];
+    }
+    return definition;
+}
+
+// Checks the value against the property schema definition, returns the error message or null
+function checkProperty(key, value, definition) {
+    const resolved = resolve(definition);
+    const types = [].concat(resolved.type);
+    const type = getType(value);
+    if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+        return key + ": expected " + types.join(" or ") + ", got " + type;
+    }
+    if (type === "string" && resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+        return key + ": " + JSON.stringify(value) + " does not match " + resolved.pattern;
+    }
+    if (type === "integer" && resolved.minimum !== undefined && value < resolved.minimum) {
+        return key + ": " + value + " is less than " + resolved.minimum;
+    }
+    return null;
+}
+
+// Checks the value is a checksummed non-zero address, returns the error message or null
+function checkAddress(key, value) {
+    if (value === ethers.constants.AddressZero) {
+        return key + ": zero address";
+    }
+    // Lowercase addresses do not carry the checksum
+    if (value !== value.toLowerCase() && ethers.utils.getAddress(value.toLowerCase()) !== value) {
+        return key + ": invalid address checksum, expected " + ethers.utils.getAddress(value.toLowerCase());
+    }
+    return null;
+}
+
+// Checks numeric ranges of parameters, returns the list of error messages
+function checkRanges(parsedData) {
+    const errors = [];
+    // Malformed values are reported by the format check
+    const value = (key) => {
+        try {
+            return isUnset(parsedData[key]) ? null : ethers.BigNumber.from(parsedData[key]);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const fee = value("fee");
+    if (fee && fee.gt(maxFeeFactor)) {
+        errors.push("fee: " + fee + " is greater than " + maxFeeFactor);
+    }
+
+    const minResponseTimeout = value("minResponseTimeout");
+    const maxResponseTimeout = value("maxResponseTimeout");
+    if (minResponseTimeout && minResponseTimeout.isZero()) {
+        errors.push("minResponseTimeout: must be non-zero");
+    }
+    if (maxResponseTimeout && maxResponseTimeout.gt(maxTimeout)) {
+        errors.push("maxResponseTimeout: " + maxResponseTimeout + " is greater than " + maxTimeout);
+    }
+    if (minResponseTimeout && maxResponseTimeout && minResponseTimeout.gte(maxResponseTimeout)) {
+        errors.push("minResponseTimeout: " + minResponseTimeout + " must be less than maxResponseTimeout " +
+            maxResponseTimeout);
+    }
+
+    for (const key of ["subscriptionTokenId", "tokenCreditRatio"]) {
+        const v = value(key);
+        if (v && v.isZero()) {
+            errors.push(key + ": must be non-zero");
+        }
+    }
+
+    return errors;
+}
+
+// Validates globals, returns the list of error messages
+// Options: steps which required keys are checked, additional required keys
+function validateGlobals(parsedData, options = {}) {
+    const { steps = [], requires = [] } = options;
+    const errors = [];
+
+    // Schema required keys and property formats
+    for (const key of schema.required) {
+        if (isUnset(parsedData[key])) {
+            errors.push(key + ": required");
+        }
+    }
+    for (const key of Object.keys(schema.properties)) {
+        if (isUnset(parsedData[key])) {
+            continue;
+        }
+        const error = checkProperty(key, parsedData[key], schema.properties[key]);
+        if (error) {
+            errors.push(error);
+        } else if (resolve(schema.properties[key]) === schema.definitions.address) {
+            const addressError = checkAddress(key, parsedData[key]);
+            if (addressError) {
+                errors.push(addressError);
+            }
+        }
+    }
+
+    // Keys required by steps, except for the ones produced by the steps themselves
+    const produced = steps.map((step) => step.globalsKey).filter((key) => key);
+    for (const step of steps) {
+        const stepRequires = step.requires.concat(parsedData.useCreate2 === true && step.create2Init ?
+            step.create2Init.requires : []);
+        for (const key of stepRequires) {
+            if (!produced.includes(key) && isUnset(parsedData[key])) {
+                errors.push(key + ": required by step " + step.id + " (" + step.description + ")");
+            }
+        }
+    }
+    for (const key of requires) {
+        if (isUnset(parsedData[key])) {
+            errors.push(key + ": required");
+        }
+    }
+
+    if (parsedData.useCreate2 === true && isUnset(parsedData.create2Salt)) {
+        errors.push("create2Salt: required by useCreate2");
+    }
+    if (parsedData.useSafe === true && isUnset(parsedData.safeAddress)) {
+        errors.push("safeAddress: required by useSafe");
+    }
+
+    errors.push(...checkRanges(parsedData));
+
+    // The provider must be one of configured networks
+    if (!isUnset(parsedData.providerName) && !hre.config.networks[parsedData.providerName]) {
+        errors.push("providerName: " + parsedData.providerName + " is not configured in hardhat.config.js");
+    }
+
+    return errors;
+}
+
+// Checks that the provider chain corresponds to the globals provider name
+async function validateChain(parsedData, provider) {
+    const errors = [];
+    if (hre.network.name !== "hardhat" && hre.network.name !== parsedData.providerName) {
+        errors.push("providerName: " + parsedData.providerName + " does not match the network " + hre.network.name);
+    }
+
+    const networkConfig = hre.config.networks[parsedData.providerName];
+    if (provider && networkConfig && networkConfig.chainId) {
+        const { chainId } = await provider.getNetwork();
+        if (chainId !== networkConfig.chainId) {
+            errors.push("providerName: " + parsedData.providerName + " chain Id is " + networkConfig.chainId +
+                ", but the provider chain Id is " + chainId);
+        }
+    }
+
+    return errors;
+}
+
+// Validates globals and throws an error listing all the problems found
+// Options: steps and additional required keys, provider to check the chain Id with
+async function checkGlobals(parsedData, options = {}) {
+    const errors = validateGlobals(parsedData, options);
+    if (options.provider) {
+        errors.push(...(await validateChain(parsedData, options.provider)));
+    }
+
+    if (errors.length > 0) {
+        throw new Error("Invalid globals:\n    " + errors.join("\n    "));
+    }
+}
+
+// Validates formats and ranges of globals files provided as arguments
+async function main() {
+    const files = process.argv.slice(2);
+    let numErrors = 0;
+    for (const fileName of files) {
+        const errors = validateGlobals(JSON.parse(fs.readFileSync(fileName, "utf8")));
+        errors.forEach((error) => console.error(fileName + ": " + error));
+        numErrors += errors.length;
+    }
+
+    if (numErrors > 0) {
+        throw new Error("Found " + numErrors + " problem(s) in globals files");
+    }
+    console.log("All globals files are valid");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    schema,
+    validateGlobals,
+    validateChain,
+    checkGlobals
+};
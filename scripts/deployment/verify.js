@@ -0,0 +1,214 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { chainConfig } = require("@nomiclabs/hardhat-etherscan/dist/src/ChainConfig");
+const { recordVerification } = require("./manifest");
+const { getPagedLogs } = require("../client/events");
+
+// Default verification options
+const defaultOptions = {
+    // Number of verification attempts
+    attempts: 5,
+    // Interval in milliseconds between attempts, doubled after each one
+    retryInterval: 15000,
+    // Number of explorer polls to confirm the verification
+    polls: 10,
+    // Interval in milliseconds to poll the explorer with
+    pollingInterval: 5000
+};
+
+// Mech factories: globals key, mech creation event and the created mech contract name
+const mechFactories = [
+    {
+        contractName: "MechFactoryFixedPriceNative",
+        globalsKey: "mechFactoryFixedPriceNativeAddress",
+        event: "CreateMechFixedPriceNative",
+        mechName: "MechFixedPriceNative"
+    },
+    {
+        contractName: "MechFactoryFixedPriceToken",
+        globalsKey: "mechFactoryFixedPriceTokenAddress",
+        event: "CreateMechFixedPriceToken",
+        mechName: "MechFixedPriceToken"
+    },
+    {
+        contractName: "MechFactoryNvmSubscriptionNative",
+        globalsKey: "mechFactoryNvmSubscriptionNativeAddress",
+        event: "CreateMechNvmSubscriptionNative",
+        mechName: "MechNvmSubscriptionNative"
+    }
+];
+
+// Explorer errors that are expected to go away with time: the contract is not yet indexed, rate limits and
+// network failures
+const retryableErrors = /does not have bytecode|unable to locate contractcode|failed to send|failure during etherscan status polling|rate limit|too many requests|timeout|timed out|ECONNRESET|ETIMEDOUT|50[234]/i;
+
+// Gets the explorer API of the network: etherscan.customChains first, then the explorers known to hardhat-etherscan
+// Blockscout explorers provide the same Etherscan compatible API
+function getExplorer(providerName) {
+    const etherscan = hre.config.etherscan;
+    const customChain = etherscan.customChains.find((chain) => chain.network === providerName);
+    const chain = customChain || chainConfig[providerName];
+    if (!chain) {
+        throw new Error("No explorer is configured for " + providerName + " in etherscan.customChains");
+    }
+
+    const apiKey = typeof etherscan.apiKey === "string" ? etherscan.apiKey : (etherscan.apiKey || {})[providerName];
+    return { apiURL: chain.urls.apiURL, browserURL: chain.urls.browserURL, apiKey: apiKey || "" };
+}
+
+// Checks if the contract source code is verified on the explorer
+async function isVerified(explorer, address) {
+    const url = new URL(explorer.apiURL);
+    url.search = new URLSearchParams({
+        module: "contract",
+        action: "getsourcecode",
+        address,
+        apikey: explorer.apiKey
+    }).toString();
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error("Explorer " + explorer.apiURL + " responded with the status " + response.status);
+    }
+    const json = await response.json();
+    return Array.isArray(json.result) && json.result.length > 0 && Boolean(json.result[0].SourceCode);
+}
+
+// Waits for the interval in milliseconds
+function delay(interval) {
+    return new Promise((resolve) => setTimeout(resolve, interval));
+}
+
+// Submits the contract verification to the explorer via the hardhat-etherscan verify task
+async function submitVerification(address, contract, constructorArguments) {
+    await hre.run("verify:verify", { address, contract, constructorArguments, noCompile: true });
+}
+
+// Verifies the contract with the constructor arguments, retrying on transient explorer errors
+// After the verification is submitted, the explorer is polled until it serves the verified source code
+// Options: settings overriding the default ones, the explorer API of the network and the verification submission
+async function verifyContract(providerName, address, contract, constructorArguments, options = {}) {
+    const settings = Object.assign({}, defaultOptions, options);
+    const explorer = options.explorer || getExplorer(providerName);
+    const submit = options.submit || submitVerification;
+
+    let interval = settings.retryInterval;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await submit(address, contract, constructorArguments);
+            break;
+        } catch (error) {
+            if (/already verified/i.test(error.message)) {
+                break;
+            }
+            if (attempt >= settings.attempts || !retryableErrors.test(error.message)) {
+                throw error;
+            }
+            console.log("Verification attempt " + attempt + " of " + address + " failed, retrying in " +
+                interval / 1000 + "s: " + error.message.split("\n")[0]);
+            await delay(interval);
+            interval *= 2;
+        }
+    }
+
+    for (let poll = 0; poll < settings.polls; poll++) {
+        try {
+            if (await isVerified(explorer, address)) {
+                console.log("Contract " + address + " is verified: " + explorer.browserURL);
+                return;
+            }
+        } catch (error) {
+            console.log("Explorer poll failed:", error.message);
+        }
+        await delay(settings.pollingInterval);
+    }
+    throw new Error("Contract " + address + " verification is not confirmed by " + explorer.apiURL);
+}
+
+// Verifies the contract recorded in the deployment manifest with its recorded constructor arguments
+// The verification status is recorded into the manifest
+async function verifyManifestContract(providerName, manifest, contractName, options = {}) {
+    const contract = manifest.contracts[contractName];
+    if (!contract) {
+        throw new Error("Contract " + contractName + " is not recorded in the manifest");
+    }
+
+    try {
+        await verifyContract(providerName, contract.address, contract.sourceName + ":" + contractName,
+            contract.constructorArgs, options);
+        recordVerification(manifest, contractName, "verified");
+    } catch (error) {
+        recordVerification(manifest, contractName, "failed", error.message);
+        throw error;
+    }
+}
+
+// Gets all the mechs created via the factories since the block, along with their constructor arguments
+// The block is required, as mechs are only created after the factories are deployed, and events are fetched in bounded
+// block ranges. Mech constructor arguments are the marketplace, service registry, service Id and max delivery rate
+async function getFactoryMechs(parsedData, fromBlock) {
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+        throw new Error("Block to look for mech creation events from is not set, record the deployment in the " +
+            "manifest or set --from-block: " + fromBlock);
+    }
+
+    const mechs = [];
+    for (const factoryConfig of mechFactories) {
+        const factoryAddress = parsedData[factoryConfig.globalsKey];
+        if (!factoryAddress) {
+            continue;
+        }
+
+        const factory = await hre.ethers.getContractAt(factoryConfig.contractName, factoryAddress);
+        const mechMarketplace = await factory.mechMarketplace();
+        const marketplace = await hre.ethers.getContractAt("MechMarketplace", mechMarketplace);
+        const serviceRegistry = await marketplace.serviceRegistry();
+        const mechArtifact = await hre.artifacts.readArtifact(factoryConfig.mechName);
+        const logs = await getPagedLogs(hre.ethers.provider, Object.assign({ fromBlock },
+            factory.filters[factoryConfig.event]()));
+        for (const log of logs) {
+            const event = Object.assign({}, log, { args: factory.interface.parseLog(log).args });
+            mechs.push({
+                address: event.args.mech,
+                contractName: factoryConfig.mechName,
+                contract: mechArtifact.sourceName + ":" + factoryConfig.mechName,
+                constructorArgs: [mechMarketplace, serviceRegistry, event.args.serviceId.toString(),
+                    event.args.maxDeliveryRate.toString()],
+                blockNumber: event.blockNumber
+            });
+        }
+    }
+    return mechs;
+}
+
+// Verifies mechs one by one, returns the list of failed mech addresses
+async function verifyMechs(providerName, mechs, options = {}) {
+    const failed = [];
+    for (const mech of mechs) {
+        console.log("Verifying " + mech.contractName + " " + mech.address);
+        try {
+            await verifyContract(providerName, mech.address, mech.contract, mech.constructorArgs, options);
+        } catch (error) {
+            console.error("Verification of " + mech.address + " failed:", error.message);
+            failed.push(mech.address);
+        }
+    }
+    return failed;
+}
+
+// Writes the constructor arguments module for the hardhat verify --constructor-args option
+function writeConstructorArgs(fileName, constructorArgs) {
+    fs.writeFileSync(fileName, "module.exports = " + JSON.stringify(constructorArgs, null, 4) + ";\n");
+}
+
+module.exports = {
+    defaultOptions,
+    mechFactories,
+    getExplorer,
+    isVerified,
+    verifyContract,
+    verifyManifestContract,
+    getFactoryMechs,
+    verifyMechs,
+    writeConstructorArgs
+};
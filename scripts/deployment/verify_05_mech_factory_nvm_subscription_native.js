@@ -1,9 +0,0 @@
-const fs = require("fs");
-const globalsFile = "globals.json";
-const dataFromJSON = fs.readFileSync(globalsFile, "utf8");
-const parsedData = JSON.parse(dataFromJSON);
-const mechMarketplaceProxyAddress = parsedData.mechMarketplaceProxyAddress;
-
-module.exports = [
-    mechMarketplaceProxyAddress
-];
\ No newline at end of file
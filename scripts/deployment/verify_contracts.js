@@ -0,0 +1,72 @@
+/*global process*/
+
+const { network } = require("hardhat");
+const { readGlobals } = require("./helpers");
+const { getManifestFile, readManifest, writeManifest, getDeploymentBlock } = require("./manifest");
+const { verifyManifestContract, getFactoryMechs, verifyMechs, writeConstructorArgs } = require("./verify");
+
+// Usage: HARDHAT_NETWORK=network_type node scripts/deployment/verify_contracts.js [ContractName ...] [--mechs]
+// [--from-block=block] [--write-args]
+// Contracts are verified with constructor arguments recorded in the deployment manifest. By default, all the manifest
+// contracts that are not yet verified are verified. The --mechs flag verifies all the mechs created via the factories
+// since the block, which defaults to the deployment block recorded in the manifest
+const args = process.argv.slice(2);
+const contractNames = args.filter((arg) => !arg.startsWith("--"));
+const withMechs = args.includes("--mechs");
+const writeArgs = args.includes("--write-args");
+const fromBlockOption = args.find((arg) => arg.startsWith("--from-block="));
+
+async function main() {
+    const parsedData = readGlobals();
+    const providerName = parsedData.providerName;
+    if (network.name !== providerName) {
+        throw new Error("Network " + network.name + " does not match the globals provider " + providerName);
+    }
+
+    const manifest = readManifest(providerName);
+    const names = contractNames.length > 0 ? contractNames : Object.keys(manifest.contracts)
+        .filter((name) => manifest.contracts[name].verification.status !== "verified");
+
+    // Generate constructor arguments files for the manual verification
+    if (writeArgs) {
+        for (const name of names) {
+            const fileName = "verify_" + providerName + "_" + name + ".js";
+            writeConstructorArgs(fileName, manifest.contracts[name].constructorArgs);
+            console.log("npx hardhat verify --constructor-args " + fileName + " --network " + providerName + " " +
+                manifest.contracts[name].address);
+        }
+        return;
+    }
+
+    const failed = [];
+    for (const name of names) {
+        console.log("Verifying " + name + " " + manifest.contracts[name].address);
+        try {
+            await verifyManifestContract(providerName, manifest, name);
+        } catch (error) {
+            console.error("Verification of " + name + " failed:", error.message);
+            failed.push(name);
+        }
+        writeManifest(providerName, manifest);
+    }
+
+    if (withMechs) {
+        // Mechs are only created after factories are deployed
+        const fromBlock = fromBlockOption ? Number(fromBlockOption.split("=")[1]) : getDeploymentBlock(manifest);
+        const mechs = await getFactoryMechs(parsedData, fromBlock);
+        console.log("Found " + mechs.length + " mechs created via factories");
+        failed.push(...(await verifyMechs(providerName, mechs)));
+    }
+
+    console.log("Deployment manifest:", getManifestFile(providerName));
+    if (failed.length > 0) {
+        throw new Error("Verification failed: " + failed.join(", "));
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
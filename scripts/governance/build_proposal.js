@@ -0,0 +1,77 @@
+/*global process*/
+
+const fs = require("fs");
+const { getNetworkURL } = require("../deployment/helpers");
+const { checkGlobals } = require("../deployment/validate");
+const { buildProposal, printProposal, getProposalFile, unwrapFromBridge } = require("./proposal");
+
+// Usage: node scripts/governance/build_proposal.js changes.json [globals.json] [--simulate]
+const simulate = process.argv.includes("--simulate");
+const files = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+
+// Executes L2 calls on the local fork of the network on behalf of the impersonated bridge mediator
+async function simulateCalls(parsedData, calls) {
+    const { ethers, network } = require("hardhat");
+    if (network.name !== "hardhat") {
+        throw new Error("Simulation must be executed on the in-process hardhat network, current network is " + network.name);
+    }
+
+    const bridgeMediator = parsedData.bridgeMediatorAddress;
+    await network.provider.request({
+        method: "hardhat_reset",
+        params: [{ forking: { jsonRpcUrl: getNetworkURL(parsedData) } }]
+    });
+    await network.provider.request({ method: "hardhat_impersonateAccount", params: [bridgeMediator] });
+    await network.provider.request({
+        method: "hardhat_setBalance",
+        params: [bridgeMediator, ethers.utils.hexValue(ethers.utils.parseEther("1000"))]
+    });
+    const signer = await ethers.getSigner(bridgeMediator);
+
+    let success = true;
+    for (let i = 0; i < calls.length; i++) {
+        try {
+            const tx = await signer.sendTransaction({ to: calls[i].to, value: calls[i].value, data: calls[i].data });
+            const receipt = await tx.wait();
+            console.log("Call " + i + " succeeded, gas used:", receipt.gasUsed.toString());
+        } catch (error) {
+            success = false;
+            console.error("Call " + i + " failed:", error.message);
+        }
+    }
+
+    return success;
+}
+
+async function main() {
+    if (files.length === 0) {
+        throw new Error("Usage: node scripts/governance/build_proposal.js changes.json [globals.json] [--simulate]");
+    }
+
+    // Intended changes: { description, gasLimit, changes: [{ contract, method, args }] }
+    const proposal = JSON.parse(fs.readFileSync(files[0], "utf8"));
+    const parsedData = JSON.parse(fs.readFileSync(files[1] || "globals.json", "utf8"));
+    await checkGlobals(parsedData, { requires: ["bridgeMediatorAddress"] });
+    const providerName = parsedData.providerName;
+
+    const output = buildProposal(parsedData, proposal);
+    printProposal(output);
+    const outputFile = getProposalFile(providerName);
+    fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
+    console.log("\nProposal payload:", outputFile);
+
+    if (simulate) {
+        console.log("\nSimulating calls on the fork of " + providerName + " on behalf of the bridge mediator");
+        const { calls } = unwrapFromBridge(providerName, output.calldatas[0]);
+        if (!(await simulateCalls(parsedData, calls))) {
+            throw new Error("Simulation failed");
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
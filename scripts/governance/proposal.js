@@ -0,0 +1,238 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+// L1 bridge contracts relaying governance messages to L2 bridge mediators
+// amb: Gnosis AMB, the mediator executes processMessageFromForeign(data)
+// fxPortal: Polygon FxRoot, the mediator receives data via the FxChild
+// optimism: L1CrossDomainMessenger, the mediator executes processMessageFromSource(data)
+const bridges = {
+    gnosis: { type: "amb", l1Bridge: "0x4C36d2919e407f0Cc2Ee3c993ccF8ac26d9CE64e" },
+    polygon: { type: "fxPortal", l1Bridge: "0xfe5e5D361b2ad62c541bAb87C45a0B9B018389a2" },
+    optimistic: { type: "optimism", l1Bridge: "0x25ace71c97B33Cc4729CF772ae268934F7ab5fA1" },
+    base: { type: "optimism", l1Bridge: "0x866E82a600A1414e583f7F13623F1aC5d58b0Afa" }
+};
+
+// Bridge and bridge mediator function fragments
+const bridgeAbis = {
+    amb: ["function requireToPassMessage(address _contract, bytes _data, uint256 _gas)"],
+    fxPortal: ["function sendMessageToChild(address _receiver, bytes _data)"],
+    optimism: ["function sendMessage(address _target, bytes _message, uint32 _minGasLimit)"]
+};
+const mediatorAbis = {
+    amb: ["function processMessageFromForeign(bytes data)"],
+    optimism: ["function processMessageFromSource(bytes data)"]
+};
+
+// Default gas limit for the message execution on L2
+const defaultGasLimit = 2000000;
+
+// Contracts owned by the bridge mediator: ABI artifact and globals address key
+const governedContracts = {
+    KarmaProxy: { artifact: "abis/0.8.28/Karma.json", addressKey: "karmaProxyAddress" },
+    MechMarketplaceProxy: { artifact: "abis/0.8.28/MechMarketplace.json", addressKey: "mechMarketplaceProxyAddress" }
+};
+
+// Gets the contract interface from the ABI artifact
+function getInterface(artifact) {
+    const parsedFile = JSON.parse(fs.readFileSync(artifact, "utf8"));
+    return new ethers.utils.Interface(parsedFile["abi"]);
+}
+
+// Gets the bridge configuration of the network
+function getBridge(providerName) {
+    const bridge = bridges[providerName];
+    if (!bridge) {
+        throw new Error("Governance bridge is not supported for the network: " + providerName);
+    }
+    return bridge;
+}
+
+// Encodes intended changes into L2 calls: { contract, method, args[, value, address] }
+function encodeChanges(changes, parsedData) {
+    return changes.map((change, i) => {
+        const governed = governedContracts[change.contract];
+        if (!governed) {
+            throw new Error("Change " + i + ": unknown governed contract " + change.contract);
+        }
+        const to = change.address || parsedData[governed.addressKey];
+        if (!ethers.utils.isAddress(to)) {
+            throw new Error("Change " + i + ": " + change.contract + " address is not set: " + governed.addressKey);
+        }
+
+        const iface = getInterface(governed.artifact);
+        const fragment = iface.getFunction(change.method);
+        if (fragment.constant) {
+            throw new Error("Change " + i + ": " + change.method + " does not change the state");
+        }
+
+        return {
+            contract: change.contract,
+            to: ethers.utils.getAddress(to),
+            value: ethers.BigNumber.from(change.value || 0),
+            data: iface.encodeFunctionData(fragment, change.args || [])
+        };
+    });
+}
+
+// Packs L2 calls in the bridge mediator format: target (20 bytes), value (12 bytes), payload length (4 bytes), payload
+function packCalls(calls) {
+    return ethers.utils.hexConcat(calls.map((call) => ethers.utils.solidityPack(
+        ["address", "uint96", "uint32", "bytes"],
+        [call.to, call.value, ethers.utils.hexDataLength(call.data), call.data]
+    )));
+}
+
+// Unpacks L2 calls from the bridge mediator format
+function unpackCalls(packedData) {
+    const calls = [];
+    let offset = 0;
+    const length = ethers.utils.hexDataLength(packedData);
+    while (offset < length) {
+        const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(packedData, offset, offset + 20));
+        const value = ethers.BigNumber.from(ethers.utils.hexDataSlice(packedData, offset + 20, offset + 32));
+        const payloadLength = ethers.BigNumber.from(ethers.utils.hexDataSlice(packedData, offset + 32, offset + 36))
+            .toNumber();
+        offset += 36;
+        if (offset + payloadLength > length) {
+            throw new Error("Packed data is truncated at offset " + offset);
+        }
+        const data = ethers.utils.hexDataSlice(packedData, offset, offset + payloadLength);
+        offset += payloadLength;
+        calls.push({ to, value, data });
+    }
+    return calls;
+}
+
+// Wraps L2 calls into the L1 proposal call to the bridge of the network
+function wrapForBridge(providerName, bridgeMediator, calls, gasLimit = defaultGasLimit) {
+    const bridge = getBridge(providerName);
+    const packedData = packCalls(calls);
+    const bridgeIface = new ethers.utils.Interface(bridgeAbis[bridge.type]);
+
+    let calldata;
+    if (bridge.type === "fxPortal") {
+        calldata = bridgeIface.encodeFunctionData("sendMessageToChild", [bridgeMediator, packedData]);
+    } else {
+        const mediatorIface = new ethers.utils.Interface(mediatorAbis[bridge.type]);
+        const mediatorData = mediatorIface.encodeFunctionData(mediatorIface.fragments[0], [packedData]);
+        calldata = bridgeIface.encodeFunctionData(bridgeIface.fragments[0], [bridgeMediator, mediatorData, gasLimit]);
+    }
+
+    return { target: bridge.l1Bridge, value: "0", calldata, packedData };
+}
+
+// Decodes the L1 proposal call back into L2 calls
+function unwrapFromBridge(providerName, calldata) {
+    const bridge = getBridge(providerName);
+    const bridgeIface = new ethers.utils.Interface(bridgeAbis[bridge.type]);
+    const bridgeArgs = bridgeIface.decodeFunctionData(bridgeIface.fragments[0], calldata);
+
+    let packedData = bridgeArgs[1];
+    if (bridge.type !== "fxPortal") {
+        const mediatorIface = new ethers.utils.Interface(mediatorAbis[bridge.type]);
+        packedData = mediatorIface.decodeFunctionData(mediatorIface.fragments[0], bridgeArgs[1])[0];
+    }
+
+    return {
+        bridgeMethod: bridgeIface.fragments[0].name,
+        bridgeMediator: bridgeArgs[0],
+        gasLimit: bridgeArgs.length > 2 ? bridgeArgs[2].toString() : undefined,
+        calls: unpackCalls(packedData)
+    };
+}
+
+// Formats decoded argument values: numbers as decimal strings, arrays element-wise
+function formatValue(value) {
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue);
+    }
+    return value;
+}
+
+// Gets the human-readable description of L2 calls decoded with governed contract ABIs
+function describeCalls(calls, parsedData) {
+    return calls.map((call) => {
+        const name = Object.keys(governedContracts).find((key) =>
+            parsedData[governedContracts[key].addressKey] &&
+            ethers.utils.getAddress(parsedData[governedContracts[key].addressKey]) === call.to);
+        if (!name) {
+            return { to: call.to, value: call.value.toString(), data: call.data, decoded: null };
+        }
+
+        const iface = getInterface(governedContracts[name].artifact);
+        const parsed = iface.parseTransaction({ data: call.data, value: call.value });
+        return {
+            to: call.to,
+            value: call.value.toString(),
+            data: call.data,
+            decoded: name + "." + parsed.signature,
+            args: parsed.functionFragment.inputs.map((input, i) => ({
+                name: input.name,
+                type: input.type,
+                value: formatValue(parsed.args[i])
+            }))
+        };
+    });
+}
+
+// Builds the L1 proposal from intended changes: { description, gasLimit, changes: [{ contract, method, args }] }
+// The final calldata is decoded back in order to make sure it carries the intended changes
+function buildProposal(parsedData, proposal) {
+    const providerName = parsedData.providerName;
+    const bridgeMediator = parsedData.bridgeMediatorAddress;
+    const calls = encodeChanges(proposal.changes, parsedData);
+    const wrapped = wrapForBridge(providerName, bridgeMediator, calls, proposal.gasLimit || defaultGasLimit);
+    const unwrapped = unwrapFromBridge(providerName, wrapped.calldata);
+
+    return {
+        providerName,
+        description: proposal.description || "",
+        targets: [wrapped.target],
+        values: [wrapped.value],
+        calldatas: [wrapped.calldata],
+        bridgeMediator,
+        bridgeMethod: unwrapped.bridgeMethod,
+        gasLimit: unwrapped.gasLimit,
+        packedData: wrapped.packedData,
+        summary: describeCalls(unwrapped.calls, parsedData)
+    };
+}
+
+// Prints the human-readable proposal summary
+function printProposal(output) {
+    console.log("L1 proposal call: " + output.targets[0] + "." + output.bridgeMethod + "()");
+    console.log("Bridge mediator:", output.bridgeMediator);
+    if (output.gasLimit) {
+        console.log("L2 gas limit:", output.gasLimit);
+    }
+    output.summary.forEach((call, i) => {
+        console.log("\nCall " + i + ": " + (call.decoded || "undecoded call") + " at " + call.to + ", value: " + call.value);
+        if (call.args) {
+            call.args.forEach((arg) => console.log("    " + arg.name + " (" + arg.type + "): " + JSON.stringify(arg.value)));
+        }
+    });
+}
+
+// Gets the proposal output file name for the network
+function getProposalFile(providerName) {
+    return "governance_proposal_" + providerName + ".json";
+}
+
+module.exports = {
+    bridges,
+    defaultGasLimit,
+    governedContracts,
+    getBridge,
+    encodeChanges,
+    packCalls,
+    unpackCalls,
+    wrapForBridge,
+    unwrapFromBridge,
+    describeCalls,
+    buildProposal,
+    printProposal,
+    getProposalFile
+};
@@ -1,18 +1,23 @@
 const { ethers } = require('hardhat')
 const { LedgerSigner } = require('@anders-t/ethers-ledger')
+const { checkGlobals } = require('../deployment/validate')
+const { createSender } = require('../deployment/sender')
+const { getReceiptEvent } = require('../client/events')
 
 async function main() {
 	const fs = require('fs')
 	const globalsFile = 'globals_gnosis.json'
 	const dataFromJSON = fs.readFileSync(globalsFile, 'utf8')
 	let parsedData = JSON.parse(dataFromJSON)
+	await checkGlobals(parsedData, {
+		requires: ['mechMarketplaceProxyAddress', 'mechFactoryNvmSubscriptionNativeAddress', 'serviceId', 'payload']
+	})
 	const useLedger = parsedData.useLedger
 	const derivationPath = parsedData.derivationPath
 	const providerName = parsedData.providerName
-	const gasPriceInGwei = parsedData.gasPriceInGwei
 	const mechMarketplaceProxyAddress = parsedData.mechMarketplaceProxyAddress
 	const mechFactoryNvmSubscriptionNativeAddress =
-		parsedData.NvmSubscriptionNativeAddress
+		parsedData.mechFactoryNvmSubscriptionNativeAddress
 	const privateKey = parsedData.privateKey
 	const payload = parsedData.payload
 	const serviceId = parsedData.serviceId
@@ -61,23 +66,27 @@ async function main() {
 	console.log(
 		'You are signing the following transaction: MechMarketplaceProxy.connect(EOA).create()'
 	)
-	const gasPrice = ethers.utils.parseUnits(gasPriceInGwei, 'gwei')
-	const result = await mechMarketplace
+	// Gas limit is estimated, fees are capped per network
+	const sender = createSender(EOA, parsedData)
+	const txRequest = await mechMarketplace
 		.connect(EOA)
-		.create(
+		.populateTransaction.create(
 			serviceId,
 			mechFactoryNvmSubscriptionNativeAddress,
-			maxDeliveryRate,
-			{ gasLimit: 6000000 }
+			maxDeliveryRate
 		)
-
-	const tx = await result.wait()
-	const nativeMech = '0x' + tx.logs[0].topics[1].slice(26)
+	const tx = await sender.sendTransaction(txRequest)
+	// The mech address is taken from the marketplace CreateMech event
+	const nativeMech = getReceiptEvent(
+		tx,
+		'CreateMech',
+		mechMarketplaceProxyAddress
+	).args.mech
 
 	// Transaction details
 	console.log('Contract deployment: Mech')
 	console.log('Contract address:', nativeMech)
-	console.log('Transaction:', result.hash)
+	console.log('Transaction:', tx.transactionHash)
 
 	// Writing updated parameters back to the JSON file
 	parsedData.nativeMech = nativeMech
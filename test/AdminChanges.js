@@ -0,0 +1,157 @@
+/*global describe, context, before, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getAllowList, getValueAnomalies, buildContractTimeline } = require("../scripts/audit_chains/admin");
+const { paymentTypes } = require("../scripts/deployment/constants");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployLocalStack } = require("../scripts/deployment/local_stack");
+const { auditChainChanges } = require("../scripts/audit_chains/audit_admin_changes");
+const { getFromBlock } = require("../scripts/audit_chains/audit_contracts_setup");
+const { createResults, getFailures } = require("../scripts/audit_chains/results");
+
+describe("AdminChanges", function () {
+    const address = (i) => ethers.utils.getAddress("0x" + i.toString(16).padStart(40, "0"));
+    const deployer = address(1);
+    const bridgeMediator = address(2);
+    const intruder = address(3);
+    const relayer = address(4);
+    const globals = { mechMarketplaceAddress: address(10), mechMarketplaceProxyAddress: address(11) };
+    const allowLists = { gnosis: { fee: { min: 0, max: 100 }, implementations: [address(12)] } };
+    const allowList = getAllowList(allowLists, "gnosis", globals, paymentTypes);
+
+    // Gets the change sent by the sender, the expected owner takes part in the transaction if it is one of callers
+    function change(event, args, sender, callers = [sender]) {
+        return { contract: "MechMarketplaceProxy", event, args, sender, callers };
+    }
+
+    // Gets the marketplace parameters change
+    function paramsChange(fee, sender, callers) {
+        return change("MarketplaceParamsUpdated", { fee: ethers.BigNumber.from(fee),
+            minResponseTimeout: ethers.BigNumber.from(60), maxResponseTimeout: ethers.BigNumber.from(300) },
+        sender, callers);
+    }
+
+    context("Ownership", async function () {
+        it("Changes before and after the handover to the bridge mediator", async function () {
+            const timeline = buildContractTimeline([
+                paramsChange(10, deployer),
+                change("OwnerUpdated", { owner: bridgeMediator }, deployer),
+                // The bridge mediator call is relayed by another account, and the mediator emits its own events
+                paramsChange(20, relayer, [relayer, address(5), bridgeMediator])
+            ], deployer, bridgeMediator, allowList);
+            expect(timeline.map((c) => [c.signer, c.expectedOwner, c.anomalies])).to.deep.equal([
+                [deployer, deployer, []],
+                [deployer, deployer, []],
+                [bridgeMediator, bridgeMediator, []]
+            ]);
+        });
+
+        it("Handover through the Safe", async function () {
+            const safe = address(7);
+            // Safe transactions are executed by one of Safe owners, and the Safe emits its own events
+            const changes = [
+                paramsChange(10, deployer),
+                change("OwnerUpdated", { owner: safe }, deployer),
+                paramsChange(20, relayer, [relayer, safe]),
+                change("OwnerUpdated", { owner: bridgeMediator }, relayer, [relayer, safe]),
+                paramsChange(30, relayer, [relayer, address(5), bridgeMediator])
+            ];
+            const timeline = buildContractTimeline(changes, deployer, bridgeMediator, allowList, safe);
+            expect(timeline.map((c) => [c.signer, c.expectedOwner, c.anomalies])).to.deep.equal([
+                [deployer, deployer, []],
+                [deployer, deployer, []],
+                [safe, safe, []],
+                [safe, safe, []],
+                [bridgeMediator, bridgeMediator, []]
+            ]);
+
+            // Ownership is not transferred back
+            const back = buildContractTimeline(changes.slice(0, 2).concat([change("OwnerUpdated", { owner: deployer },
+                relayer, [relayer, safe])]), deployer, bridgeMediator, allowList, safe);
+            expect(back[2].anomalies).to.deep.equal(["ownership is transferred to " + deployer + ", expected Safe " +
+                safe + " or bridge mediator " + bridgeMediator]);
+
+            // Without the Safe, the handover to it and its changes are anomalies
+            expect(buildContractTimeline(changes, deployer, bridgeMediator, allowList).map((c) => c.anomalies))
+                .to.deep.equal([
+                    [],
+                    ["ownership is transferred to " + safe + ", expected deployer " + deployer + " or bridge mediator " +
+                        bridgeMediator],
+                    ["changed by " + relayer + ", expected owner " + deployer],
+                    ["changed by " + relayer + ", expected owner " + deployer],
+                    []
+                ]);
+        });
+
+        it("Changes by unexpected owners", async function () {
+            const timeline = buildContractTimeline([
+                // The tracked owner is not the one who sent the change
+                paramsChange(10, intruder),
+                change("OwnerUpdated", { owner: intruder }, deployer),
+                paramsChange(20, intruder),
+                change("OwnerUpdated", { owner: bridgeMediator }, deployer),
+                // The deployer is no longer the owner after the handover
+                paramsChange(30, deployer)
+            ], deployer, bridgeMediator, allowList);
+            expect(timeline.map((c) => c.anomalies)).to.deep.equal([
+                ["changed by " + intruder + ", expected owner " + deployer],
+                ["ownership is transferred to " + intruder + ", expected deployer " + deployer + " or bridge mediator " +
+                    bridgeMediator],
+                ["changed by " + intruder + ", expected owner " + deployer],
+                [],
+                ["changed by " + deployer + ", expected owner " + bridgeMediator]
+            ]);
+        });
+
+        it("Changes without callers are attributed to the sender", async function () {
+            const timeline = buildContractTimeline([{ event: "SubscriptionSet", args: { token: address(6) },
+                sender: deployer }], deployer, bridgeMediator, getAllowList({}, "gnosis",
+                Object.assign({ subscriptionNFTAddress: address(6) }, globals), paymentTypes));
+            expect(timeline[0].signer).to.equal(deployer);
+            expect(timeline[0].anomalies).to.deep.equal([]);
+        });
+    });
+
+    context("Values", async function () {
+        it("Fee outside of the allowed range", async function () {
+            expect(getValueAnomalies(paramsChange(100, deployer), allowList)).to.deep.equal([]);
+            expect(getValueAnomalies(paramsChange(101, deployer), allowList)).to.deep.equal([
+                "fee 101 is outside of the allowed range [0, 100]"]);
+            // Value anomalies are reported along with the signer ones
+            expect(buildContractTimeline([paramsChange(500, intruder)], deployer, bridgeMediator, allowList)[0].anomalies)
+                .to.deep.equal(["fee 500 is outside of the allowed range [0, 100]", "changed by " + intruder +
+                    ", expected owner " + deployer]);
+        });
+
+        it("Implementations", async function () {
+            const implementation = (value) => change("ImplementationUpdated", { implementation: value }, deployer);
+            expect(getValueAnomalies(implementation(address(10)), allowList)).to.deep.equal([]);
+            expect(getValueAnomalies(implementation(address(12).toLowerCase()), allowList)).to.deep.equal([]);
+            expect(getValueAnomalies(implementation(address(13)), allowList)).to.deep.equal([
+                "implementation " + address(13) + " is not allowed"]);
+        });
+    });
+
+    context("Local stack", async function () {
+        let stack;
+
+        before(async function () {
+            const signers = await ethers.getSigners();
+            stack = await deployLocalStack(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), signers[0]);
+        });
+
+        it("Deployment changes are made by the expected owners", async function () {
+            const results = createResults();
+            const stackAllowList = getAllowList({}, "gnosis", stack.globals, paymentTypes);
+            const config = stack.configuration;
+            await auditChainChanges(ethers.provider, config, stack.globals, stackAllowList,
+                await getFromBlock(ethers.provider, config), { results, chainId: config.chainId, network: config.name });
+
+            // Setup changes by the deployer, and ownership handovers to the bridge mediator
+            expect(results.checks.map((check) => check.check.split(" ")[0])).to.include.members(["OwnerUpdated",
+                "SetMechMarketplaceStatuses", "SetMechFactoryStatuses", "SetPaymentTypeBalanceTrackers"]);
+            expect(getFailures(results)).to.deep.equal([]);
+        });
+    });
+});
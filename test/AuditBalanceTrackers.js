@@ -0,0 +1,248 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployStackWithMechs } = require("../scripts/deployment/local_stack");
+const { getReceiptEvent } = require("../scripts/client/events");
+const { balanceTrackers, replayBalanceEvents, getMechBalancesSum,
+    getLiabilities } = require("../scripts/audit_chains/balances");
+const { auditBalanceTracker } = require("../scripts/audit_chains/audit_balance_trackers");
+const { getFromBlock } = require("../scripts/audit_chains/audit_contracts_setup");
+const { createResults, getFailures } = require("../scripts/audit_chains/results");
+
+describe("AuditBalanceTrackers", function () {
+    let stack;
+    let globals;
+    let snapshot;
+    let deployer;
+    let requester;
+    let mechMarketplace;
+    const mechDeliveryRate = 1000;
+    const responseTimeout = 100;
+    const fee = 333;
+    // Half a token per credit
+    const tokenCreditRatio = ethers.constants.WeiPerEther.div(2);
+    const data = "0x" + "0".repeat(62) + "01";
+
+    // Gets the tracker contract by its configuration
+    async function getTracker(trackerConfig) {
+        return ethers.getContractAt(trackerConfig.name, globals[trackerConfig.globalsKey]);
+    }
+
+    // Replays tracker events the same way as the solvency audit does
+    async function replay(trackerConfig) {
+        const tracker = await getTracker(trackerConfig);
+        const logs = await ethers.provider.getLogs({ address: tracker.address, fromBlock: 0 });
+        const events = logs.map((log) => Object.assign({ blockNumber: log.blockNumber, logIndex: log.logIndex },
+            tracker.interface.parseLog(log)));
+        const options = { credits: trackerConfig.credits };
+        if (trackerConfig.credits) {
+            options.tokenCreditRatio = await tracker.tokenCreditRatio();
+        }
+        return { tracker, options, state: replayBalanceEvents(events, options) };
+    }
+
+    // Checks replayed balances match on-chain ones, returns the replay
+    async function checkReplay(trackerConfig) {
+        const result = await replay(trackerConfig);
+        const { tracker, state } = result;
+        expect(state.errors).to.deep.equal([]);
+        expect(state.collectedFees).to.equal(await tracker.collectedFees());
+        for (const mech of Object.keys(state.mechBalances)) {
+            expect(state.mechBalances[mech]).to.equal(await tracker.mapMechBalances(mech));
+        }
+        if (!trackerConfig.credits) {
+            let requesterBalances = ethers.BigNumber.from(0);
+            for (const account of state.requesters) {
+                requesterBalances = requesterBalances.add(await tracker.mapRequesterBalances(account));
+            }
+            expect(state.requesterBalances).to.equal(requesterBalances);
+        }
+        return result;
+    }
+
+    // Gets the native and wrapped native balance of the tracker
+    async function getNativeHoldings(tracker) {
+        const weth = await ethers.getContractAt("WETH9", globals.wrappedNativeTokenAddress);
+        return (await ethers.provider.getBalance(tracker.address)).add(await weth.balanceOf(tracker.address));
+    }
+
+    // Gets the marketplace fee of the mech balance rounded up, as charged by trackers
+    function getFee(balance) {
+        return ethers.BigNumber.from(balance).mul(fee).add(9999).div(10000);
+    }
+
+    // Posts the request to the mech at its delivery rate, returns the request Id
+    async function request(mech, value = 0) {
+        const mechContract = await ethers.getContractAt("OlasMech", mech);
+        const tx = await mechMarketplace.connect(requester).request(data, mechDeliveryRate, await mechContract.paymentType(),
+            mech, responseTimeout, "0x", { value });
+        return getReceiptEvent(await tx.wait(), "MarketplaceRequest").args.requestIds[0];
+    }
+
+    // Delivers requests by the mech operator
+    async function deliver(mech, requestIds, datas = requestIds.map(() => "0xaa")) {
+        const mechContract = await ethers.getContractAt("OlasMech", mech);
+        await (await mechContract.deliverToMarketplace(requestIds, datas)).wait();
+    }
+
+    // Native payments: overpaid value and deposits, the mech payment and drained fees
+    async function payNative() {
+        const tracker = await getTracker(balanceTrackers[0]);
+        const mech = stack.mechs.fixedPriceNative;
+        const firstId = await request(mech, mechDeliveryRate + 100);
+        await tracker.depositFor(requester.address, { value: 2000 });
+        const secondId = await request(mech);
+        await deliver(mech, [firstId, secondId]);
+        await tracker.processPaymentByMultisig(mech);
+        return tracker;
+    }
+
+    // Token payments: the deposit and the missing funds pulled from the requester
+    async function payToken() {
+        const tracker = await getTracker(balanceTrackers[1]);
+        const token = await ethers.getContractAt("ERC20Token", globals.olasAddress);
+        const mech = stack.mechs.fixedPriceToken;
+        await token.mint(requester.address, 500 + mechDeliveryRate);
+        await token.connect(requester).approve(tracker.address, 500 + mechDeliveryRate);
+        await tracker.connect(requester).deposit(500);
+        const requestId = await request(mech);
+        await deliver(mech, [requestId]);
+        await tracker.processPaymentByMultisig(mech);
+        return tracker;
+    }
+
+    // Subscription payments: credits are bought for native funds, and the mech charges a part of requested credits
+    async function payCredits() {
+        const tracker = await getTracker(balanceTrackers[2]);
+        const subscription = await ethers.getContractAt("MockNvmSubscriptionNative", globals.subscriptionNFTAddress);
+        const mech = stack.mechs.nvmSubscriptionNative;
+        await subscription.connect(requester).mint(globals.subscriptionTokenId, mechDeliveryRate,
+            { value: tokenCreditRatio.mul(mechDeliveryRate).div(ethers.constants.WeiPerEther) });
+        const requestId = await request(mech);
+        await deliver(mech, [requestId], [ethers.utils.defaultAbiCoder.encode(["uint256", "bytes"], [600, "0xaa"])]);
+        await tracker.processPaymentByMultisig(mech);
+        return tracker;
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+        requester = signers[1];
+
+        // Deploy the full stack with the non-zero fee and a mech of each payment type
+        stack = await deployStackWithMechs(Object.assign(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"),
+            { fee: fee.toString(), tokenCreditRatio: tokenCreditRatio.toString() }), deployer, mechDeliveryRate);
+        globals = stack.globals;
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Replay of local stack payments", async function () {
+        it("Native payments", async function () {
+            const tracker = await payNative();
+            let { state, options } = await checkReplay(balanceTrackers[0]);
+            // The overpaid value stays on the requester balance, and the fee of the mech balance is rounded up
+            expect(state.requesterBalances).to.equal(100 + 2000 - mechDeliveryRate);
+            expect(state.collectedFees).to.equal(getFee(2 * mechDeliveryRate));
+            expect(state.collectedFees).to.equal(67);
+            expect(getMechBalancesSum(state.mechBalances)).to.equal(0);
+            expect(getLiabilities(state, options)).to.equal(await getNativeHoldings(tracker));
+
+            // Drained fees are wrapped and sent to the drainer
+            await tracker.drain();
+            ({ state, options } = await checkReplay(balanceTrackers[0]));
+            expect(state.collectedFees).to.equal(0);
+            expect(getLiabilities(state, options)).to.equal(await getNativeHoldings(tracker));
+        });
+
+        it("Token payments", async function () {
+            const tracker = await payToken();
+            const { state, options } = await checkReplay(balanceTrackers[1]);
+            // The deposit is spent first, and only the rest of the delivery rate is pulled from the requester
+            expect(state.requesterBalances).to.equal(0);
+            expect(state.collectedFees).to.equal(getFee(mechDeliveryRate));
+            const token = await ethers.getContractAt("ERC20Token", globals.olasAddress);
+            expect(getLiabilities(state, options)).to.equal(await token.balanceOf(tracker.address));
+        });
+
+        it("Subscription payments", async function () {
+            const tracker = await payCredits();
+            const { state, options } = await checkReplay(balanceTrackers[2]);
+            // Unused credits are returned to the requester, and delivered ones are converted into tokens with the fee
+            // rounded up: 300 * 333 / 10000 = 9.99
+            expect(await tracker.mapRequesterBalances(requester.address)).to.equal(mechDeliveryRate - 600);
+            expect(state.collectedFees).to.equal(getFee(300));
+            expect(state.collectedFees).to.equal(10);
+
+            // The tracker balance only rises with subscription payments received, and is not reduced by withdrawals
+            expect(state.trackerBalance).to.equal(500);
+            expect(await tracker.trackerBalance()).to.equal(500);
+            expect(await getNativeHoldings(tracker)).to.equal(500 - 290);
+            expect(getLiabilities(state, options)).to.equal(10);
+        });
+
+        it("Mech balance adjustments", async function () {
+            const mech = stack.mechs.fixedPriceNative;
+            const event = (name, blockNumber, args) => ({ name, blockNumber, logIndex: 0, args });
+            const adjusted = (blockNumber, deliveryRate, balance, rateDiff) => event("MechBalanceAdjusted",
+                blockNumber, { mech, deliveryRate: ethers.BigNumber.from(deliveryRate),
+                    balance: ethers.BigNumber.from(balance), rateDiff: ethers.BigNumber.from(rateDiff) });
+            const events = [
+                event("Deposit", 1, { account: requester.address, amount: ethers.BigNumber.from(3000) }),
+                event("RequesterBalanceAdjusted", 1, { requester: requester.address, deliveryRate: 3000 }),
+                adjusted(1, 1000, 1000, 500),
+                adjusted(1, 500, 2000, 200),
+                event("Withdraw", 2, { account: mech, amount: ethers.BigNumber.from(2500) }),
+                event("Drained", 3, { collectedFees: ethers.BigNumber.from(1) })
+            ];
+            const state = replayBalanceEvents(events);
+            // Rate difference refunds are returned to requesters whether or not the mech balance is consistent
+            expect(state.requesterBalances).to.equal(700);
+            expect(state.errors).to.deep.equal([
+                "block 1, log 0: mech " + mech + " balance 2000 is not the previous balance 1000 plus the delivery " +
+                    "rate 500",
+                "block 2, log 0: withdrawn 2500 to " + mech + " exceeds its balance 2000",
+                "block 3, log 0: drained 1 exceeds collected fees"
+            ]);
+        });
+    });
+
+    context("Solvency audit", async function () {
+        // Audits all the balance trackers, returns failed checks as contract and check names
+        async function audit() {
+            const results = createResults();
+            const blockTag = await ethers.provider.getBlockNumber();
+            // Events are replayed from the stack deployment block
+            const fromBlock = await getFromBlock(ethers.provider, stack.configuration);
+            for (const trackerConfig of balanceTrackers) {
+                await auditBalanceTracker(ethers.provider, trackerConfig, stack.configuration.contracts, fromBlock,
+                    blockTag, { results, chainId: "31337", network: "hardhat" });
+            }
+            return getFailures(results).map((check) => [check.contract, check.check]);
+        }
+
+        it("Local stack payments pass the audit", async function () {
+            await payNative();
+            await payToken();
+            await payCredits();
+            expect(await audit()).to.deep.equal([]);
+        });
+
+        it("Subscription tracker shortfall is not covered by the tracker balance", async function () {
+            const tracker = await payCredits();
+            await helpers.setBalance(tracker.address, 5);
+            expect(await tracker.trackerBalance()).to.equal(500);
+            expect(await audit()).to.deep.equal([["BalanceTrackerNvmSubscriptionNative", "solvency"]]);
+        });
+    });
+});
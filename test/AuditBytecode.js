@@ -0,0 +1,124 @@
+/*global describe, context, before, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getImmutableReferences, decodeImmutable, getDifferences, compareBytecode,
+    getExpectedImmutables } = require("../scripts/audit_chains/bytecode");
+
+describe("AuditBytecode", function () {
+    const address = "0x" + "ab".repeat(20);
+    const word = (value) => ethers.utils.hexZeroPad(value, 32).slice(2);
+    // Reference bytecode with zero placeholders of an address immutable at bytes 4 and 40, and a uint immutable at 76
+    const prefix = "0x60806040";
+    const reference = prefix + word("0x") + "5b5b5b5b" + word("0x") + "5b5b5b5b" + word("0x") + "00";
+    const immutables = [
+        { name: "karma", type: "contract IKarma", references: [{ start: 4, length: 32 }, { start: 40, length: 32 }] },
+        { name: "chainId", type: "uint256", references: [{ start: 76, length: 32 }] }
+    ];
+
+    // Gets the bytecode with immutable values filled in
+    function fill(karmaWord, secondKarmaWord, chainIdWord) {
+        return prefix + karmaWord + "5b5b5b5b" + secondKarmaWord + "5b5b5b5b" + chainIdWord + "00";
+    }
+
+    context("Immutables masking", async function () {
+        it("Immutable values are decoded and masked", async function () {
+            const onChain = fill(word(address), word(address), word("0x64"));
+            expect(compareBytecode(onChain, reference, immutables)).to.deep.equal({
+                values: { karma: ethers.utils.getAddress(address), chainId: "100" },
+                errors: [],
+                differences: []
+            });
+            // Case of hex characters does not matter
+            expect(compareBytecode(onChain.toUpperCase().replace("0X", "0x"), reference, immutables).differences)
+                .to.deep.equal([]);
+        });
+
+        it("References of the same immutable hold different values", async function () {
+            const onChain = fill(word(address), word("0x01"), word("0x64"));
+            const result = compareBytecode(onChain, reference, immutables);
+            expect(result.errors).to.deep.equal(["karma references hold different values: " +
+                ethers.utils.getAddress(address) + " and " + ethers.utils.getAddress("0x" + "00".repeat(19) + "01")]);
+            expect(result.differences).to.deep.equal([]);
+        });
+
+        it("Bytes outside of immutables are compared", async function () {
+            // Tampered bytes next to the immutable are reported, consecutive bytes are merged into ranges
+            const onChain = fill(word(address), word(address), word("0x64")).replace("5b5b5b5b", "5b00005b")
+                .replace(/00$/, "ff");
+            expect(compareBytecode(onChain, reference, immutables).differences).to.deep.equal([
+                { start: 37, end: 38 }, { start: 108, end: 108 }]);
+
+            // Immutable values are reported as differences without immutable references
+            expect(compareBytecode(onChain, reference, []).differences).to.deep.equal([{ start: 16, end: 35 },
+                { start: 37, end: 38 }, { start: 52, end: 71 }, { start: 107, end: 108 }]);
+        });
+
+        it("Bytecode length", async function () {
+            const onChain = fill(word(address), word(address), word("0x64")) + "fe";
+            const result = compareBytecode(onChain, reference, immutables);
+            expect(result.errors).to.deep.equal(["bytecode length is 110 bytes, expected 109"]);
+            expect(result.differences).to.deep.equal([{ start: 109, end: 109 }]);
+            expect(getDifferences("0x0102", "0x0102")).to.deep.equal([]);
+        });
+
+        it("Immutable types", async function () {
+            expect(decodeImmutable("address", "0x" + word(address))).to.equal(ethers.utils.getAddress(address));
+            expect(decodeImmutable("uint256", "0x" + word("0x0100"))).to.equal("256");
+            expect(decodeImmutable("bool", "0x" + word("0x01"))).to.equal("true");
+            expect(decodeImmutable("bytes32", "0x" + word("0x01"))).to.equal("0x" + word("0x01"));
+        });
+
+        it("Expected immutable values", async function () {
+            const globals = { karmaProxyAddress: address, serviceRegistryAddress: "" };
+            const names = ["karma", "serviceRegistry", "chainId", "limit", "unknown"].map((name) => ({ name }));
+            expect(getExpectedImmutables(names, globals, 100, { limit: "5" })).to.deep.equal({
+                karma: ethers.utils.getAddress(address),
+                serviceRegistry: null,
+                chainId: "100",
+                limit: "5",
+                unknown: null
+            });
+        });
+    });
+
+    context("Deployed contracts", async function () {
+        let compiled;
+        let signers;
+
+        before(async function () {
+            signers = await ethers.getSigners();
+            compiled = await getImmutableReferences("MechMarketplace");
+        });
+
+        it("Implementations deployed with different immutables match the compiled bytecode", async function () {
+            const MechMarketplace = await ethers.getContractFactory("MechMarketplace");
+            const { chainId } = await ethers.provider.getNetwork();
+            expect(compiled.immutables.map((immutable) => immutable.name).sort()).to.deep.equal(["chainId", "karma",
+                "serviceRegistry"]);
+
+            for (const [serviceRegistry, karma] of [[signers[1], signers[2]], [signers[3], signers[4]]]) {
+                const mechMarketplace = await MechMarketplace.deploy(serviceRegistry.address, karma.address);
+                await mechMarketplace.deployed();
+                const onChain = await ethers.provider.getCode(mechMarketplace.address);
+                expect(onChain).to.not.equal(compiled.deployedBytecode);
+                expect(compareBytecode(onChain, compiled.deployedBytecode, compiled.immutables)).to.deep.equal({
+                    values: { chainId: chainId.toString(), karma: karma.address, serviceRegistry: serviceRegistry.address },
+                    errors: [],
+                    differences: []
+                });
+            }
+        });
+
+        it("Bytecode of another contract differs", async function () {
+            const Karma = await ethers.getContractFactory("Karma");
+            const karma = await Karma.deploy();
+            await karma.deployed();
+            const onChain = await ethers.provider.getCode(karma.address);
+            const result = compareBytecode(onChain, compiled.deployedBytecode, compiled.immutables);
+            expect(result.differences.length).to.be.greaterThan(0);
+            // Immutable positions of another contract hold unrelated bytes
+            expect(result.errors[result.errors.length - 1]).to.match(/^bytecode length is \d+ bytes, expected \d+$/);
+        });
+    });
+});
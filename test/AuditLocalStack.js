@@ -0,0 +1,138 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { paymentTypes } = require("../scripts/deployment/constants");
+const { deployLocalStack, createLocalMechs } = require("../scripts/deployment/local_stack");
+const { checkChainSetup, getFromBlock } = require("../scripts/audit_chains/audit_contracts_setup");
+const { createResults, getFailures } = require("../scripts/audit_chains/results");
+
+describe("AuditLocalStack", function () {
+    let stack;
+    let globals;
+    let snapshot;
+    let signers;
+    let deployer;
+    let owner;
+    let mechMarketplace;
+    let karma;
+    const maxDeliveryRate = 1000;
+
+    // Audits the local stack setup, returns failed checks as contract and check names
+    async function audit() {
+        const results = createResults();
+        const { chainId } = await ethers.provider.getNetwork();
+        await checkChainSetup(chainId, ethers.provider, globals, stack.configuration.contracts,
+            { results, network: "hardhat" });
+        return getFailures(results).map((check) => [check.contract, check.check]);
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners();
+        deployer = signers[0];
+
+        // Deploy the full stack with the gnosis deployment parameters
+        stack = await deployLocalStack(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), deployer);
+        globals = stack.globals;
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+        karma = await ethers.getContractAt("Karma", globals.karmaProxyAddress);
+
+        // Contracts are owned by the bridge mediator after the deployment
+        await helpers.impersonateAccount(globals.bridgeMediatorAddress);
+        await helpers.setBalance(globals.bridgeMediatorAddress, ethers.utils.parseEther("1"));
+        owner = await ethers.getSigner(globals.bridgeMediatorAddress);
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Correct setup", async function () {
+        it("Deployed stack passes the audit", async function () {
+            expect(await mechMarketplace.owner()).to.equal(globals.bridgeMediatorAddress);
+            expect(await audit()).to.deep.equal([]);
+        });
+
+        it("Mechs created via factories pass the audit", async function () {
+            await createLocalMechs(globals, deployer, maxDeliveryRate, ["fixedPriceNative", "fixedPriceToken"]);
+
+            expect(await audit()).to.deep.equal([]);
+        });
+    });
+
+    context("Deployment block", async function () {
+        it("Deployment block is recorded or found by the contract code", async function () {
+            const configuration = stack.configuration;
+            const karmaBlock = stack.manifest.contracts["Karma"].blockNumber;
+            expect(configuration.deploymentBlock).to.equal(karmaBlock);
+            expect(await getFromBlock(ethers.provider, configuration)).to.equal(karmaBlock);
+
+            // Without the recorded block, it is the first block with the code of the first configuration contract
+            const config = { name: configuration.name, contracts: configuration.contracts };
+            expect(await getFromBlock(ethers.provider, config)).to.equal(karmaBlock);
+            config.contracts = [{ name: "Karma", address: signers[1].address }];
+            await expect(getFromBlock(ethers.provider, config)).to.be.rejectedWith("No contract code at " +
+                signers[1].address);
+        });
+    });
+
+    context("Broken setup", async function () {
+        it("Wrong owner", async function () {
+            await mechMarketplace.connect(owner).changeOwner(signers[1].address);
+            expect(await audit()).to.deep.equal([["MechMarketplaceProxy", "owner()"]]);
+        });
+
+        it("Missing factory whitelist", async function () {
+            await mechMarketplace.connect(owner).setMechFactoryStatuses([globals.mechFactoryFixedPriceTokenAddress],
+                [false]);
+            expect(await audit()).to.deep.equal([["MechMarketplaceProxy", "mapMechFactories()"]]);
+        });
+
+        it("Wrong balance tracker", async function () {
+            await mechMarketplace.connect(owner).setPaymentTypeBalanceTrackers([paymentTypes.fixedPriceNative],
+                [globals.balanceTrackerFixedPriceTokenAddress]);
+            expect(await audit()).to.deep.equal([["MechMarketplaceProxy", "mapPaymentTypeBalanceTrackers()"]]);
+        });
+
+        it("Marketplace is not whitelisted in Karma", async function () {
+            await karma.connect(owner).setMechMarketplaceStatuses([globals.mechMarketplaceProxyAddress], [false]);
+            expect(await audit()).to.deep.equal([["KarmaProxy", "mapMechMarketplaces()"]]);
+        });
+
+        it("Unexpected implementation", async function () {
+            // Upgrade Karma proxy to the marketplace implementation
+            await karma.connect(owner).changeImplementation(globals.mechMarketplaceAddress);
+            const failures = await audit();
+            expect(failures).to.deep.include(["KarmaProxy", "KARMA_PROXY slot"]);
+        });
+
+        it("Bytecode build mismatch does not skip other checks", async function () {
+            // The KarmaProxy configuration artifact is the one of another contract
+            const contracts = stack.configuration.contracts;
+            const proxyArtifact = contracts.find((contract) => contract["name"] === "MechMarketplaceProxy")["artifact"];
+            stack.configuration.contracts = contracts.map((contract) => contract["name"] === "KarmaProxy" ?
+                Object.assign({}, contract, { artifact: proxyArtifact }) : contract);
+            await karma.connect(owner).changeOwner(signers[1].address);
+            try {
+                expect(await audit()).to.deep.equal([["KarmaProxy", "bytecode"], ["KarmaProxy", "owner()"]]);
+            } finally {
+                stack.configuration.contracts = contracts;
+            }
+        });
+
+        it("Wrong globals parameter", async function () {
+            globals = Object.assign({}, stack.globals, { fee: "1" });
+            try {
+                expect(await audit()).to.deep.equal([["MechMarketplaceProxy", "fee()"]]);
+            } finally {
+                globals = stack.globals;
+            }
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/*global describe, context, before, after, it*/
+
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const { parseSourceCode, auditContractSources } = require("../scripts/audit_chains/sources");
+
+describe("AuditSources", function () {
+    let server;
+    let explorer;
+    // Explorer records by the contract address
+    const records = {};
+    const karmaPath = "contracts/Karma.sol";
+    const karmaProxyPath = "contracts/proxies/KarmaProxy.sol";
+    const settings = { optimizer: { enabled: true, runs: 1000000 }, evmVersion: "cancun" };
+
+    // Gets the explorer record with the standard JSON input
+    function getRecord(sources, inputSettings = settings, compilerVersion = "v0.8.28+commit.7893614a") {
+        const input = { language: "Solidity", sources: {}, settings: inputSettings };
+        for (const sourcePath of Object.keys(sources)) {
+            input.sources[sourcePath] = { content: sources[sourcePath] };
+        }
+        return {
+            SourceCode: "{" + JSON.stringify(input) + "}",
+            ContractName: "Karma",
+            CompilerVersion: compilerVersion,
+            OptimizationUsed: "1",
+            Runs: "1000000",
+            EVMVersion: "Default"
+        };
+    }
+
+    before(async function () {
+        const karma = fs.readFileSync(karmaPath, "utf8");
+        const karmaProxy = fs.readFileSync(karmaProxyPath, "utf8");
+        records["0x01"] = getRecord({ [karmaPath]: karma, [karmaProxyPath]: karmaProxy });
+        records["0x02"] = getRecord({ [karmaPath]: karma.replace("1.0.0", "1.0.1") });
+        records["0x03"] = getRecord({ [karmaPath]: karma, "contracts/Missing.sol": "" });
+        records["0x04"] = getRecord({ [karmaPath]: karma }, { optimizer: { enabled: true, runs: 200 },
+            evmVersion: "paris" }, "v0.8.25+commit.b61c2a91");
+        // Blockscout main and additional sources
+        records["0x05"] = { SourceCode: karma.replace(/\n/g, "\r\n"), FileName: karmaPath, ContractName: "Karma",
+            AdditionalSources: [{ Filename: karmaProxyPath, SourceCode: karmaProxy }],
+            CompilerVersion: "v0.8.28+commit.7893614a", OptimizationUsed: "true", Runs: "1000000", EVMVersion: "cancun" };
+        records["0x06"] = { SourceCode: karma, ContractName: "Karma", CompilerVersion: "v0.8.28+commit.7893614a",
+            OptimizationUsed: "1", Runs: "1000000", EVMVersion: "Default" };
+
+        // Mock explorer server
+        server = http.createServer((request, response) => {
+            const url = new URL(request.url, "http://localhost");
+            const record = records[url.searchParams.get("address")];
+            response.setHeader("Content-Type", "application/json");
+            if (url.searchParams.get("action") !== "getsourcecode") {
+                response.statusCode = 400;
+                response.end("{}");
+                return;
+            }
+            const result = record || { SourceCode: "", ContractName: "", CompilerVersion: "" };
+            response.end(JSON.stringify({ status: "1", message: "OK", result: [result] }));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        explorer = { apiURL: "http://127.0.0.1:" + server.address().port + "/api", apiKey: "" };
+    });
+
+    after(async function () {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    context("Source code records", async function () {
+        it("Parses the standard JSON input record", async function () {
+            const parsed = parseSourceCode(records["0x01"]);
+            expect(parsed.compilerVersion).to.equal("0.8.28");
+            expect(parsed.settings.optimizer.runs).to.equal(1000000);
+            expect(parsed.settings.evmVersion).to.equal("cancun");
+            expect(Object.keys(parsed.sources)).to.deep.equal([karmaPath, karmaProxyPath]);
+            expect(parsed.flattened).to.equal(false);
+        });
+
+        it("Parses the flattened record", async function () {
+            const parsed = parseSourceCode(records["0x06"]);
+            expect(parsed.flattened).to.equal(true);
+            expect(parsed.settings.evmVersion).to.equal(null);
+        });
+    });
+
+    context("Sources audit", async function () {
+        it("Identical sources and compiler settings", async function () {
+            const result = await auditContractSources(explorer, "0x01");
+            expect(result.files.map((file) => file.status)).to.deep.equal(["identical", "identical"]);
+            expect(result.errors).to.deep.equal([]);
+            expect(result.compilerErrors).to.deep.equal([]);
+        });
+
+        it("Different source", async function () {
+            const result = await auditContractSources(explorer, "0x02");
+            expect(result.errors).to.deep.equal([karmaPath + " is different"]);
+        });
+
+        it("Source missing in the repository", async function () {
+            const result = await auditContractSources(explorer, "0x03");
+            expect(result.errors).to.deep.equal(["contracts/Missing.sol is missing"]);
+        });
+
+        it("Different compiler settings", async function () {
+            const result = await auditContractSources(explorer, "0x04");
+            expect(result.errors).to.deep.equal([]);
+            expect(result.compilerErrors).to.have.lengthOf(3);
+        });
+
+        it("Blockscout sources with different line endings", async function () {
+            const result = await auditContractSources(explorer, "0x05");
+            expect(result.errors).to.deep.equal([]);
+            expect(result.compilerErrors).to.deep.equal([]);
+        });
+
+        it("Flattened sources cannot be compared", async function () {
+            const result = await auditContractSources(explorer, "0x06");
+            expect(result.errors).to.deep.equal(["sources are flattened and cannot be compared file by file"]);
+        });
+
+        it("Unverified contract", async function () {
+            let message;
+            try {
+                await auditContractSources(explorer, "0x07");
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.contain("is not verified");
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getAddressDrift, compareABIs } = require("../scripts/audit_chains/audit_configuration_drift");
+
+describe("ConfigurationDrift", function () {
+    const address = (i) => ethers.utils.getAddress("0x" + i.toString(16).padStart(40, "0"));
+    const primaryFile = "scripts/deployment/globals_gnosis_mainnet.json";
+    const deprecatedFile = "scripts/deployment/globals_gnosis_mainnet_deprecated.json";
+
+    // Gets the configuration with contracts of name => address
+    function getConfig(addresses) {
+        return { name: "gnosis", chainId: "100", contracts: Object.keys(addresses).map((name) => ({ name,
+            address: addresses[name], artifact: "abis/0.8.28/" + name + ".json" })) };
+    }
+
+    // Gets the globals list of the primary globals and the deprecated variant
+    function getGlobalsList(primary, deprecated = {}) {
+        return [
+            { fileName: primaryFile, parsedGlobals: Object.assign({ providerName: "gnosis" }, primary) },
+            { fileName: deprecatedFile, parsedGlobals: Object.assign({ providerName: "gnosis" }, deprecated) },
+            { fileName: "scripts/deployment/globals_base_mainnet.json", parsedGlobals: { providerName: "base",
+                karmaAddress: address(100) } }
+        ];
+    }
+
+    context("Addresses", async function () {
+        it("Same addresses of configuration and globals", async function () {
+            // Addresses are compared in the checksum form
+            const config = getConfig({ Karma: address(1).toLowerCase(), KarmaProxy: address(2) });
+            const globalsList = getGlobalsList({ karmaAddress: address(1), karmaProxyAddress: address(2).toLowerCase() });
+            expect(getAddressDrift(config, globalsList)).to.deep.equal([]);
+        });
+
+        it("Missing, stale and conflicting addresses", async function () {
+            const config = getConfig({ Karma: "", KarmaProxy: address(2), MechMarketplace: address(3),
+                MechMarketplaceProxy: address(40), Unknown: address(5) });
+            const globalsList = getGlobalsList({ karmaAddress: address(1), mechMarketplaceAddress: address(30),
+                mechMarketplaceProxyAddress: address(4), balanceTrackerFixedPriceTokenAddress: address(6) },
+            { mechMarketplaceProxyAddress: address(40) });
+            expect(getAddressDrift(config, globalsList).map(({ contract, status }) => [contract, status]))
+                .to.deep.equal([
+                    ["Karma", "missing"],
+                    ["KarmaProxy", "missing"],
+                    ["MechMarketplace", "conflicting"],
+                    ["MechMarketplaceProxy", "stale"],
+                    ["Unknown", "conflicting"],
+                    ["BalanceTrackerFixedPriceToken", "missing"]
+                ]);
+            const messages = getAddressDrift(config, globalsList).map(({ message }) => message);
+            expect(messages.slice(0, 4)).to.deep.equal([
+                "Missing in configuration, " + primaryFile + " karmaAddress is " + address(1),
+                "Missing in " + primaryFile + " karmaProxyAddress, configuration address is " + address(2),
+                "Configuration address " + address(3) + ", " + primaryFile + " mechMarketplaceAddress is " +
+                    address(30),
+                "Configuration address " + address(40) + " is the one of " + deprecatedFile + ", " + primaryFile +
+                    " mechMarketplaceProxyAddress is " + address(4)
+            ]);
+        });
+
+        it("Malformed addresses are reported", async function () {
+            const config = getConfig({ Karma: address(1), KarmaProxy: "0x1234", MechMarketplace: address(3) });
+            // The deprecated address is malformed, and is only looked up for the differing address
+            const globalsList = getGlobalsList({ karmaAddress: address(10), karmaProxyAddress: address(2),
+                mechMarketplaceAddress: address(3) }, { karmaAddress: "0x1234", mechMarketplaceAddress: "0x1234" });
+            const drift = getAddressDrift(config, globalsList);
+            expect(drift.map(({ contract, status }) => [contract, status])).to.deep.equal([["Karma", "conflicting"],
+                ["KarmaProxy", "conflicting"]]);
+            drift.forEach(({ message }) => expect(message).to.match(/^invalid address/));
+        });
+
+        it("Chain globals files", async function () {
+            const config = getConfig({ Karma: address(1) });
+            expect(getAddressDrift(Object.assign({}, config, { name: "celo" }), getGlobalsList({}))).to.deep.equal([
+                { contract: null, check: "globals", status: "missing", message: "No globals file with providerName celo" }
+            ]);
+
+            const globalsList = getGlobalsList({ karmaAddress: address(1) }).concat([{
+                fileName: "scripts/deployment/globals_gnosis_chiado.json", parsedGlobals: { providerName: "gnosis" } }]);
+            expect(getAddressDrift(config, globalsList)).to.deep.equal([{ contract: null, check: "globals",
+                status: "conflicting", message: "Multiple globals files: " + primaryFile +
+                    ", scripts/deployment/globals_gnosis_chiado.json" }]);
+        });
+    });
+
+    context("ABIs", async function () {
+        it("ABI fragments only in one of ABIs", async function () {
+            const referenceABI = ["function fee() view returns (uint256)", "event Deliver(address indexed mech)"];
+            // Fragments are compared regardless of their order and format
+            const jsonABI = JSON.parse(new ethers.utils.Interface(referenceABI).format(ethers.utils.FormatTypes.json));
+            expect(compareABIs(jsonABI.reverse(), referenceABI)).to.deep.equal({ added: [], removed: [] });
+
+            const abi = ["function fee() view returns (uint128)", "event Deliver(address indexed mech)",
+                "function drain()"];
+            expect(compareABIs(abi, referenceABI)).to.deep.equal({
+                added: ["function fee() view returns (uint128)", "function drain()"],
+                removed: ["function fee() view returns (uint256)"]
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployLocalStack, setCreate2DeployerStandIn } = require("../scripts/deployment/local_stack");
+const { steps, getStep, executeStep } = require("../scripts/deployment/steps");
+const { createSender } = require("../scripts/deployment/sender");
+const { createXAddress } = require("../scripts/deployment/create2");
+const { predictAddresses } = require("../scripts/deployment/predict_addresses");
+
+describe("DeploymentCreate2", function () {
+    let snapshot;
+    let deployer;
+    let stack;
+    let globals;
+    const deploySteps = steps.filter((step) => !step.method);
+
+    // Gets the signer of the deployer on the in-process hardhat chain with another chain Id
+    async function getChainSigner(chainId) {
+        const networks = Object.assign({}, hre.config.networks, {
+            hardhat: Object.assign({}, hre.config.networks.hardhat, { chainId })
+        });
+        const provider = await createProvider(Object.assign({}, hre.config, { networks }), "hardhat", hre.artifacts);
+        return new ethers.providers.Web3Provider(provider).getSigner(deployer.address);
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+
+        // Deploy the full stack with the gnosis deployment parameters via the CreateX stand-in
+        stack = await deployLocalStack(Object.assign(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"),
+            { useCreate2: true, create2Salt: "mech-marketplace-test" }), deployer);
+        globals = stack.globals;
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Deterministic addresses", async function () {
+        it("Contracts are deployed at predicted addresses", async function () {
+            expect(await ethers.provider.getCode(createXAddress)).to.not.equal("0x");
+
+            // Predictions only depend on the stand-in addresses, deployed addresses are substituted step by step
+            const predicted = await predictAddresses(globals, deployer.address);
+            for (const step of deploySteps) {
+                expect(globals[step.globalsKey]).to.equal(predicted[step.contractName]);
+                expect(stack.manifest.contracts[step.contractName].address).to.equal(predicted[step.contractName]);
+                expect(stack.manifest.contracts[step.contractName].create2Salt).to.equal("mech-marketplace-test");
+            }
+        });
+
+        it("Owners are set by the CREATE2 deployer during the deployment", async function () {
+            // Proxies are handed over back to EOA in their deployment transactions
+            for (const contractName of ["KarmaProxy", "MechMarketplaceProxy"]) {
+                const { address, blockNumber } = stack.manifest.contracts[contractName];
+                const proxy = await ethers.getContractAt("Karma", address);
+                expect(await proxy.owner({ blockTag: blockNumber })).to.equal(deployer.address);
+            }
+
+            // The subscription is set and the owner is reset in the tracker deployment transaction
+            const { address, blockNumber } = stack.manifest.contracts.BalanceTrackerNvmSubscriptionNative;
+            const balanceTracker = await ethers.getContractAt("BalanceTrackerNvmSubscriptionNative", address);
+            expect(await balanceTracker.subscriptionNFT({ blockTag: blockNumber })).to.equal(globals.subscriptionNFTAddress);
+            expect(await balanceTracker.owner({ blockTag: blockNumber })).to.equal(ethers.constants.AddressZero);
+
+            // Proxies are then handed over to the bridge mediator
+            const karma = await ethers.getContractAt("Karma", globals.karmaProxyAddress);
+            expect(await karma.owner()).to.equal(globals.bridgeMediatorAddress);
+        });
+
+        it("Contracts already deployed with the salt are not deployed again", async function () {
+            const sender = createSender(deployer, globals);
+            await expect(executeStep(getStep("01"), sender, Object.assign({}, globals))).to.be.rejectedWith(
+                "Contract Karma is already deployed at " + globals.karmaAddress + " with the salt \"mech-marketplace-test\"");
+
+            // Another salt gets another address
+            const parsedData = Object.assign({}, globals, { create2Salt: "mech-marketplace-test-2" });
+            const record = await executeStep(getStep("01"), sender, parsedData);
+            expect(record.address).to.not.equal(globals.karmaAddress);
+            expect(parsedData.karmaAddress).to.equal(record.address);
+        });
+
+        it("Addresses are the same on another chain", async function () {
+            const signer = await getChainSigner(100);
+            expect((await signer.provider.getNetwork()).chainId).to.equal(100);
+            expect((await ethers.provider.getNetwork()).chainId).to.not.equal(100);
+
+            // Contracts without chain specific constructor arguments get the same addresses
+            const parsedData = Object.assign({}, globals);
+            const sender = createSender(signer, parsedData);
+            await setCreate2DeployerStandIn(sender, parsedData);
+            for (const id of ["01", "02"]) {
+                const step = getStep(id);
+                const record = await executeStep(step, sender, parsedData);
+                expect(record.address).to.equal(globals[step.globalsKey]);
+            }
+            const karma = await ethers.getContractAt("Karma", parsedData.karmaProxyAddress, signer);
+            expect(await karma.owner()).to.equal(deployer.address);
+        });
+    });
+});
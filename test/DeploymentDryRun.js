@@ -0,0 +1,86 @@
+/*global describe, context, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { steps } = require("../scripts/deployment/steps");
+const { runDryRun } = require("../scripts/deployment/deploy_all");
+
+describe("DeploymentDryRun", function () {
+    let snapshot;
+    const globalsFile = "scripts/deployment/globals_gnosis_mainnet.json";
+    const safeAddress = ethers.utils.getAddress("0x" + "5a".repeat(20));
+
+    // Runs the dry run of the globals, returns the local stack and the printed output lines
+    async function dryRun(parsedData) {
+        const lines = [];
+        const log = console.log;
+        console.log = (...args) => lines.push(args.join(" "));
+        try {
+            const stack = await runDryRun(parsedData);
+            return { stack, lines };
+        } finally {
+            console.log = log;
+        }
+    }
+
+    // Checks that the output prints every deployed contract with its constructor arguments, and every call
+    async function checkOutput(stack, lines) {
+        for (const step of steps.filter((step) => !step.method)) {
+            const address = stack.globals[step.globalsKey];
+            expect(lines).to.include("Contract deployment: " + step.contractName);
+            expect(lines).to.include("Contract address: " + address);
+            expect(lines).to.include("Constructor arguments: " + JSON.stringify(stack.manifest.contracts[step.contractName]
+                .constructorArgs));
+        }
+        expect(lines).to.include("Dry run of gnosis deployment on the local chain");
+        expect(lines[lines.length - 1]).to.match(/^All \d+ setup checks passed$/);
+    }
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Dry run", async function () {
+        it("Steps are sent by EOA", async function () {
+            const { stack, lines } = await dryRun(readGlobals(globalsFile));
+            await checkOutput(stack, lines);
+            for (const step of steps.filter((step) => step.method)) {
+                expect(lines).to.include("You are signing the following transaction: " + step.target +
+                    ".connect(EOA)." + step.method + "()");
+            }
+            expect(stack.safeBatch).to.equal(undefined);
+        });
+
+        it("CREATE2 and Safe settings of the globals are rehearsed", async function () {
+            const parsedData = Object.assign(readGlobals(globalsFile), { useCreate2: true, create2Salt: "dry-run-test",
+                useSafe: true, safeAddress });
+            const { stack, lines } = await dryRun(parsedData);
+            await checkOutput(stack, lines);
+            const globals = stack.globals;
+
+            // Contracts are deployed at predicted addresses, and the subscription is set during the tracker deployment
+            for (const step of steps.filter((step) => !step.method)) {
+                expect(lines).to.include("Predicted address: " + globals[step.globalsKey]);
+            }
+            expect(lines).to.include("Step is executed by the CREATE2 deployer during step 06");
+
+            // Owner-only calls are printed and executed by the Safe after the handover
+            for (const step of steps.filter((step) => step.method && step.id !== "14")) {
+                expect(lines).to.include(Number(step.id) + ". " + step.description.replace("EOA", "Safe"));
+                expect(lines).to.include("Arguments: " + JSON.stringify(await step.args(globals)));
+            }
+            expect(lines).to.include("Safe " + safeAddress + " executes the batch: " + stack.safeBatch.meta.description);
+            expect(stack.manifest.contracts.KarmaProxy.safeHandover.safe).to.equal(safeAddress);
+            expect(stack.safeBatch.transactions).to.have.lengthOf(5);
+            const karma = await ethers.getContractAt("Karma", globals.karmaProxyAddress);
+            expect(await karma.mapMechMarketplaces(globals.mechMarketplaceProxyAddress)).to.equal(true);
+            expect(await karma.owner()).to.equal(globals.bridgeMediatorAddress);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { getConfigurationEntry, mergeConfigurationEntry } = require("../scripts/deployment/manifest");
+
+describe("DeploymentManifest", function () {
+    const compiler = { version: "0.8.28+commit.7893614a" };
+    const config = {
+        name: "gnosis",
+        chainId: "100",
+        contracts: [
+            { name: "Karma", artifact: "abis/0.8.28/Karma.json", address: "0x" + "11".repeat(20) },
+            { name: "AgentMech", artifact: "abis/0.8.25/AgentMech.json", address: "0x" + "22".repeat(20) },
+            { name: "KarmaProxy", artifact: "abis/0.8.28/KarmaProxy.json", address: "0x" + "33".repeat(20) }
+        ]
+    };
+
+    context("Configuration entries", async function () {
+        it("Manifest contracts are merged by names", async function () {
+            const manifest = { providerName: "gnosis", chainId: 100, contracts: {
+                KarmaProxy: { step: "02", address: "0x" + "44".repeat(20), compiler, blockNumber: 200 },
+                MechMarketplace: { step: "03", address: "0x" + "55".repeat(20), compiler, blockNumber: 150 }
+            } };
+            const merged = mergeConfigurationEntry(config, getConfigurationEntry(manifest));
+            expect(merged.name).to.equal("gnosis");
+            expect(merged.chainId).to.equal("100");
+            // The deployment block is the earliest one of manifest contracts
+            expect(merged.deploymentBlock).to.equal(150);
+            expect(mergeConfigurationEntry(Object.assign({ deploymentBlock: 100 }, config), getConfigurationEntry(manifest))
+                .deploymentBlock).to.equal(100);
+
+            // Contracts missing from the manifest are kept in place, and new ones are appended
+            expect(merged.contracts.map((contract) => [contract.name, contract.address])).to.deep.equal([
+                ["Karma", "0x" + "11".repeat(20)],
+                ["AgentMech", "0x" + "22".repeat(20)],
+                ["KarmaProxy", "0x" + "44".repeat(20)],
+                ["MechMarketplace", "0x" + "55".repeat(20)]
+            ]);
+            expect(merged.contracts[3].artifact).to.equal("abis/0.8.28/MechMarketplace.json");
+            expect(config.contracts[2].address).to.equal("0x" + "33".repeat(20));
+        });
+    });
+});
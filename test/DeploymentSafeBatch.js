@@ -0,0 +1,159 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployLocalStack } = require("../scripts/deployment/local_stack");
+const { paymentTypes } = require("../scripts/deployment/constants");
+const { steps, isSafeStep } = require("../scripts/deployment/steps");
+const { transferOwnershipToSafe } = require("../scripts/deployment/safe");
+const { createSender } = require("../scripts/deployment/sender");
+
+describe("DeploymentSafeBatch", function () {
+    let snapshot;
+    let deployer;
+    let safe;
+    let multiSend;
+    let stack;
+    let globals;
+    let karma;
+    let mechMarketplace;
+    const safeArtifactsDir = "@gnosis.pm/safe-contracts/build/artifacts/contracts/";
+
+    // Deploys the contract from the Safe contracts package artifact
+    async function deploySafeContract(artifactPath) {
+        const artifact = require(safeArtifactsDir + artifactPath);
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+        const contract = await factory.deploy();
+        await contract.deployed();
+        return contract;
+    }
+
+    // Executes Safe Transaction Builder batch transactions via the multisend delegatecall of the single owner Safe
+    async function executeSafeBatch(batch) {
+        const multiSendData = ethers.utils.hexConcat(batch.transactions.map((tx) => ethers.utils.solidityPack(
+            ["uint8", "address", "uint256", "uint256", "bytes"],
+            [0, tx.to, tx.value, ethers.utils.hexDataLength(tx.data), tx.data])));
+        const data = multiSend.interface.encodeFunctionData("multiSend", [multiSendData]);
+        // Signature pre-validated by the owner sending the transaction
+        const signature = ethers.utils.hexConcat([ethers.utils.hexZeroPad(deployer.address, 32),
+            ethers.constants.HashZero, "0x01"]);
+        const tx = await safe.execTransaction(multiSend.address, 0, data, 1, 0, 0, 0, ethers.constants.AddressZero,
+            ethers.constants.AddressZero, signature);
+        return tx.wait();
+    }
+
+    // Gets the signer of the account funded for gas
+    async function impersonate(address) {
+        await helpers.impersonateAccount(address);
+        await helpers.setBalance(address, ethers.utils.parseEther("1"));
+        return ethers.getSigner(address);
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+
+        // Single owner Safe the owner-only calls are exported for
+        const safeSingleton = await deploySafeContract("GnosisSafe.sol/GnosisSafe.json");
+        const safeProxyFactory = await deploySafeContract("proxies/GnosisSafeProxyFactory.sol/GnosisSafeProxyFactory.json");
+        multiSend = await deploySafeContract("libraries/MultiSendCallOnly.sol/MultiSendCallOnly.json");
+        const setupData = safeSingleton.interface.encodeFunctionData("setup", [[deployer.address], 1,
+            ethers.constants.AddressZero, "0x", ethers.constants.AddressZero, ethers.constants.AddressZero, 0,
+            ethers.constants.AddressZero]);
+        const safeReceipt = await (await safeProxyFactory.createProxy(safeSingleton.address, setupData)).wait();
+        safe = safeSingleton.attach(safeReceipt.events.find((event) => event.event === "ProxyCreation").args.proxy);
+
+        // Deploy the full stack with the gnosis deployment parameters in the Safe mode
+        stack = await deployLocalStack(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), deployer,
+            { safeAddress: safe.address });
+        globals = stack.globals;
+        karma = await ethers.getContractAt("Karma", globals.karmaProxyAddress);
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Safe batch", async function () {
+        it("Owner-only calls of contracts owned by EOA are not exported", async function () {
+            expect(stack.safeBatch.meta.name).to.equal("Deployment steps 11, 12, 13, 15, 16");
+            expect(stack.safeBatch.meta.createdFromSafeAddress).to.equal(safe.address);
+
+            // The NVM balance tracker subscription is set by EOA that owns the tracker, and the owner is reset after that
+            const balanceTracker = await ethers.getContractAt("BalanceTrackerNvmSubscriptionNative",
+                globals.balanceTrackerNvmSubscriptionNativeAddress);
+            expect(await balanceTracker.subscriptionNFT()).to.equal(globals.subscriptionNFTAddress);
+            expect(await balanceTracker.owner()).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("Safe executes the batch", async function () {
+            // Proxies are handed over to the Safe before the batch is executed, and handovers are recorded
+            expect(await karma.owner()).to.equal(safe.address);
+            expect(await mechMarketplace.owner()).to.equal(safe.address);
+            for (const contractName of ["KarmaProxy", "MechMarketplaceProxy"]) {
+                const { safeHandover } = stack.manifest.contracts[contractName];
+                expect(safeHandover.safe).to.equal(safe.address);
+                const receipt = await ethers.provider.getTransactionReceipt(safeHandover.txHash);
+                expect(receipt.from).to.equal(deployer.address);
+                expect(receipt.to).to.equal(stack.manifest.contracts[contractName].address);
+            }
+
+            const receipt = await executeSafeBatch(stack.safeBatch);
+            expect(receipt.events.find((event) => event.address === safe.address &&
+                event.topics[0] === safe.interface.getEventTopic("ExecutionSuccess"))).to.not.equal(undefined);
+
+            expect(await karma.mapMechMarketplaces(mechMarketplace.address)).to.equal(true);
+            expect(await mechMarketplace.mapMechFactories(globals.mechFactoryFixedPriceNativeAddress)).to.equal(true);
+            expect(await mechMarketplace.mapMechFactories(globals.mechFactoryFixedPriceTokenAddress)).to.equal(true);
+            expect(await mechMarketplace.mapMechFactories(globals.mechFactoryNvmSubscriptionNativeAddress)).to.equal(true);
+            expect(await mechMarketplace.mapPaymentTypeBalanceTrackers(paymentTypes.nvmSubscriptionNative)).to.equal(
+                globals.balanceTrackerNvmSubscriptionNativeAddress);
+            expect(await karma.owner()).to.equal(globals.bridgeMediatorAddress);
+            expect(await mechMarketplace.owner()).to.equal(globals.bridgeMediatorAddress);
+        });
+
+        it("Contracts owned by neither EOA nor the Safe fail the batch export", async function () {
+            const safeSteps = steps.filter((step) => isSafeStep(step, globals));
+            const sender = createSender(deployer, globals);
+
+            // Contracts already owned by the Safe are not handed over again
+            expect(await transferOwnershipToSafe(sender, globals, safeSteps)).to.deep.equal([]);
+            expect(await karma.owner()).to.equal(safe.address);
+
+            await executeSafeBatch(stack.safeBatch);
+            await expect(transferOwnershipToSafe(sender, globals, safeSteps)).to.be.rejectedWith(
+                "neither by EOA nor by the Safe");
+        });
+
+        it("Owners of all the targets are checked before any handover", async function () {
+            const safeSteps = steps.filter((step) => isSafeStep(step, globals));
+            const sender = createSender(deployer, globals);
+
+            // Hand the proxies back from the Safe: Karma to EOA, and the marketplace to the bridge mediator
+            const safeSigner = await impersonate(safe.address);
+            await karma.connect(safeSigner).changeOwner(deployer.address);
+            await mechMarketplace.connect(safeSigner).changeOwner(globals.bridgeMediatorAddress);
+
+            await expect(transferOwnershipToSafe(sender, globals, safeSteps)).to.be.rejectedWith("MechMarketplaceProxy " +
+                mechMarketplace.address + " is owned by " + globals.bridgeMediatorAddress);
+            expect(await karma.owner()).to.equal(deployer.address);
+
+            // Each handover is passed to the callback once it is mined
+            await mechMarketplace.connect(await impersonate(globals.bridgeMediatorAddress)).changeOwner(safe.address);
+            const transferred = [];
+            const handovers = await transferOwnershipToSafe(sender, globals, safeSteps,
+                { onTransferred: async (handover) => transferred.push(handover) });
+            expect(handovers.map((handover) => [handover.target, handover.address, handover.safe])).to.deep.equal([
+                ["KarmaProxy", karma.address, safe.address]]);
+            expect(transferred).to.deep.equal(handovers);
+            expect(await karma.owner()).to.equal(safe.address);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { createSender } = require("../scripts/deployment/sender");
+
+describe("DeploymentSender", function () {
+    let snapshot;
+    let deployer;
+    let receiver;
+    // Stuck transactions are replaced after the short timeout
+    const options = { txTimeoutInSeconds: 0.2, pollingInterval: 20, maxReplacements: 2 };
+
+    // Gets the value increased by 15% and rounded up, as replacement fees are
+    function bump15(value) {
+        return value.mul(115).add(99).div(100);
+    }
+
+    // Gets the signed pending transaction by its hash
+    async function getRawTransaction(txHash) {
+        const tx = await ethers.provider.getTransaction(txHash);
+        return ethers.utils.serializeTransaction({ type: tx.type, chainId: tx.chainId, nonce: tx.nonce, to: tx.to,
+            value: tx.value, data: tx.data, gasLimit: tx.gasLimit, maxFeePerGas: tx.maxFeePerGas,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas, accessList: tx.accessList }, { r: tx.r, s: tx.s, v: tx.v });
+    }
+
+    // Gets the zero value transfer to the receiver
+    function getTransfer() {
+        return { to: receiver.address, value: 0, gasLimit: 21000 };
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+        receiver = signers[1];
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+        // Transactions stay pending until blocks are mined explicitly
+        await network.provider.send("evm_setAutomine", [false]);
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+        await snapshot.restore();
+    });
+
+    context("Stuck transactions", async function () {
+        it("Stuck transaction is replaced with bumped fees and the same nonce", async function () {
+            const sender = createSender(deployer, { providerName: "hardhat" }, options);
+            const nonce = await deployer.getTransactionCount();
+            const sent = [];
+            let stuck;
+            const receipt = await sender.sendTransaction(getTransfer(), async (txHashes) => {
+                sent.push(txHashes);
+                if (txHashes.length === 1) {
+                    stuck = await ethers.provider.getTransaction(txHashes[0]);
+                    return;
+                }
+                // The replacement is mined
+                await helpers.mine();
+            });
+
+            // Callback receives all the transaction hashes of the nonce
+            expect(sent).to.have.lengthOf(2);
+            expect(sent[1][0]).to.equal(sent[0][0]);
+            const replacement = await ethers.provider.getTransaction(sent[1][1]);
+            expect(receipt.transactionHash).to.equal(replacement.hash);
+            expect(stuck.nonce).to.equal(nonce);
+            expect(replacement.nonce).to.equal(nonce);
+            expect(replacement.maxFeePerGas).to.equal(bump15(stuck.maxFeePerGas));
+            expect(replacement.maxPriorityFeePerGas).to.equal(bump15(stuck.maxPriorityFeePerGas));
+            expect(await ethers.provider.getTransactionReceipt(stuck.hash)).to.equal(null);
+
+            // The next transaction gets the next nonce
+            const next = sender.sendTransaction(getTransfer());
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            await helpers.mine();
+            expect((await ethers.provider.getTransaction((await next).transactionHash)).nonce).to.equal(nonce + 1);
+        });
+
+        it("Stuck transaction mined after its replacement is sent is waited for", async function () {
+            const sender = createSender(deployer, { providerName: "hardhat" }, options);
+            let rawStuck;
+            const receipt = await sender.sendTransaction(getTransfer(), async (txHashes) => {
+                if (txHashes.length === 1) {
+                    rawStuck = await getRawTransaction(txHashes[0]);
+                    return;
+                }
+                // The replacement does not make it, and the stuck transaction is mined instead
+                await network.provider.send("hardhat_dropTransaction", [txHashes[1]]);
+                await network.provider.send("eth_sendRawTransaction", [rawStuck]);
+                await helpers.mine();
+            });
+            expect(receipt.transactionHash).to.equal(ethers.utils.keccak256(rawStuck));
+            expect(receipt.status).to.equal(1);
+        });
+
+        it("Nonce used by another transaction fails the sending", async function () {
+            const sender = createSender(deployer, { providerName: "hardhat" }, options);
+            const nonce = await deployer.getTransactionCount();
+            let stuckHash;
+            const error = await sender.sendTransaction(getTransfer(), async (txHashes) => {
+                stuckHash = txHashes[0];
+                // Another transaction with the same nonce and higher fees is mined instead
+                const fees = await ethers.provider.getFeeData();
+                await deployer.sendTransaction({ to: deployer.address, value: 0, nonce,
+                    maxFeePerGas: fees.maxFeePerGas.mul(2), maxPriorityFeePerGas: fees.maxPriorityFeePerGas.mul(2) });
+                await helpers.mine();
+            }).catch((error) => error);
+            expect(error.message).to.equal("Nonce " + nonce + " was used by a transaction other than " + stuckHash);
+        });
+    });
+
+    context("Fee caps", async function () {
+        it("Base fee above the max fee cap is rejected before sending", async function () {
+            await network.provider.send("hardhat_setNextBlockBaseFeePerGas",
+                [ethers.utils.hexValue(ethers.utils.parseUnits("2", "gwei"))]);
+            await helpers.mine();
+            const sender = createSender(deployer, { providerName: "hardhat", maxFeePerGasInGwei: "1" }, options);
+            const nonce = await deployer.getTransactionCount("pending");
+            await expect(sender.sendTransaction(getTransfer())).to.be.rejectedWith("Base fee 2.0 Gwei exceeds the " +
+                "max fee cap of 1.0 Gwei");
+            expect(await deployer.getTransactionCount("pending")).to.equal(nonce);
+        });
+
+        it("Fees are capped, and the stuck transaction is not replaced above the caps", async function () {
+            await network.provider.send("hardhat_setNextBlockBaseFeePerGas",
+                [ethers.utils.hexValue(ethers.utils.parseUnits("0.1", "gwei"))]);
+            await helpers.mine();
+            const sender = createSender(deployer, { providerName: "hardhat", maxFeePerGasInGwei: "0.5" }, options);
+            // The node priority fee above the max fee cap is limited by it
+            expect(await ethers.provider.send("eth_maxPriorityFeePerGas", [])).to.equal(
+                ethers.utils.hexValue(ethers.utils.parseUnits("1", "gwei")));
+            const fees = await sender.getFees();
+            expect(fees.maxFeePerGas).to.equal(ethers.utils.parseUnits("0.5", "gwei"));
+            expect(fees.maxPriorityFeePerGas).to.equal(fees.maxFeePerGas);
+
+            // Replacements at the max fee cap are not sent
+            const sent = [];
+            await expect(sender.sendTransaction(getTransfer(), async (txHashes) => sent.push(txHashes)))
+                .to.be.rejectedWith("is not mined");
+            expect(sent).to.have.lengthOf(1);
+            expect((await ethers.provider.getTransaction(sent[0][0])).maxFeePerGas).to.equal(fees.maxFeePerGas);
+        });
+    });
+});
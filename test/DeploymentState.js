@@ -0,0 +1,78 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { steps } = require("../scripts/deployment/steps");
+const { recordStep, recordSafeHandover, getPendingSteps } = require("../scripts/deployment/state");
+
+describe("DeploymentState", function () {
+    // Gets a step with dependencies, only fields used for the ordering are set
+    function getStep(id, dependsOn = []) {
+        return { id, dependsOn };
+    }
+
+    // Gets step Ids of pending steps
+    function getPendingIds(stepsToOrder, state = { steps: {} }) {
+        return getPendingSteps(stepsToOrder, state).map((step) => step.id);
+    }
+
+    context("Pending steps", async function () {
+        it("Steps follow their dependencies", async function () {
+            // Steps are listed before their dependencies
+            const unordered = [getStep(4, [2, 3]), getStep(3, [1]), getStep(2, [1]), getStep(1)];
+            expect(getPendingIds(unordered)).to.deep.equal([1, 2, 3, 4]);
+
+            // Independent steps keep the listed order
+            expect(getPendingIds([getStep(2), getStep(1), getStep(3, [1])])).to.deep.equal([2, 1, 3]);
+        });
+
+        it("Deployment steps are ordered after their dependencies", async function () {
+            const ids = getPendingIds(steps);
+            expect(ids.length).to.equal(steps.length);
+            for (const step of steps) {
+                for (const dependency of step.dependsOn) {
+                    expect(ids.indexOf(dependency)).to.be.lessThan(ids.indexOf(step.id));
+                }
+            }
+        });
+
+        it("Completed steps are skipped", async function () {
+            const state = { steps: {} };
+            recordStep(state, 1, "completed", { address: "0x" + "11".repeat(20) });
+            recordStep(state, 2, "failed", { error: "Reverted" });
+            const stepsToOrder = [getStep(1), getStep(2, [1]), getStep(3, [1, 2])];
+            expect(getPendingIds(stepsToOrder, state)).to.deep.equal([2, 3]);
+
+            recordStep(state, 2, "completed");
+            expect(getPendingIds(stepsToOrder, state)).to.deep.equal([3]);
+            recordStep(state, 3, "completed");
+            expect(getPendingIds(stepsToOrder, state)).to.deep.equal([]);
+        });
+
+        it("Cyclic dependencies", async function () {
+            expect(() => getPendingIds([getStep(1, [1])])).to.throw("Cyclic dependency of deployment step 1");
+            expect(() => getPendingIds([getStep(1, [3]), getStep(2, [1]), getStep(3, [2])])).to.throw(
+                "Cyclic dependency of deployment step 1");
+        });
+
+        it("Unknown dependencies", async function () {
+            expect(() => getPendingIds([getStep(1), getStep(2, [1, 5])])).to.throw(
+                "Deployment step 2 depends on unknown step 5");
+        });
+    });
+
+    context("Safe handovers", async function () {
+        it("Handovers are recorded by their targets", async function () {
+            const state = { steps: {} };
+            const handover = (target, txHash) => ({ target, address: "0x" + "11".repeat(20),
+                safe: "0x" + "22".repeat(20), txHash });
+            recordSafeHandover(state, handover("KarmaProxy", "0x01"));
+            recordSafeHandover(state, handover("MechMarketplaceProxy", "0x02"));
+            expect(Object.keys(state.safeHandovers)).to.deep.equal(["KarmaProxy", "MechMarketplaceProxy"]);
+            expect(state.safeHandovers.KarmaProxy.txHash).to.equal("0x01");
+            expect(state.safeHandovers.KarmaProxy.safe).to.equal("0x" + "22".repeat(20));
+
+            // Handovers do not complete any step
+            expect(getPendingSteps(steps, state)).to.have.lengthOf(steps.length);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { steps } = require("../scripts/deployment/steps");
+const { validateGlobals } = require("../scripts/deployment/validate");
+
+describe("DeploymentValidation", function () {
+    const globals = readGlobals("scripts/deployment/globals_gnosis_mainnet.json");
+
+    // Gets globals with changed parameters, undefined values remove parameters
+    function getGlobals(changes) {
+        const parsedData = Object.assign({}, globals, changes);
+        Object.keys(parsedData).filter((key) => parsedData[key] === undefined).forEach((key) => delete parsedData[key]);
+        return parsedData;
+    }
+
+    // Gets globals before the deployment: addresses produced by deployment steps are not set yet
+    function getInitialGlobals(changes = {}) {
+        const produced = {};
+        steps.filter((step) => step.globalsKey).forEach((step) => {
+            produced[step.globalsKey] = undefined;
+        });
+        return getGlobals(Object.assign(produced, changes));
+    }
+
+    context("Schema", async function () {
+        it("Deployed globals are valid", async function () {
+            expect(validateGlobals(globals)).to.deep.equal([]);
+            expect(validateGlobals(getInitialGlobals())).to.deep.equal([]);
+        });
+
+        it("Required parameters", async function () {
+            expect(validateGlobals(getGlobals({ providerName: undefined, networkURL: "" }))).to.deep.equal([
+                "providerName: required", "networkURL: required"]);
+        });
+
+        it("Types and formats", async function () {
+            expect(validateGlobals(getGlobals({ useLedger: "true", derivationPath: "m/44'/x", fee: -1,
+                minResponseTimeout: "1e3", olasAddress: "0x1234" }))).to.deep.equal([
+                "useLedger: expected boolean, got string",
+                "derivationPath: \"m/44'/x\" does not match ^m(/[0-9]+'?)+$",
+                "olasAddress: \"0x1234\" does not match ^0x[0-9a-fA-F]{40}$",
+                "fee: -1 is less than 0",
+                "minResponseTimeout: \"1e3\" does not match ^(0x[0-9a-fA-F]+|[0-9]+)$"
+            ]);
+        });
+
+        it("Addresses", async function () {
+            // Lowercase addresses are accepted, and mixed case ones must carry the correct checksum
+            const wrongChecksum = globals.olasAddress.replace(/[A-F]/, (letter) => letter.toLowerCase());
+            expect(validateGlobals(getGlobals({ olasAddress: globals.olasAddress.toLowerCase() }))).to.deep.equal([]);
+            expect(validateGlobals(getGlobals({ olasAddress: wrongChecksum,
+                drainerAddress: "0x" + "0".repeat(40) }))).to.deep.equal([
+                "olasAddress: invalid address checksum, expected " + globals.olasAddress,
+                "drainerAddress: zero address"
+            ]);
+        });
+    });
+
+    context("Steps", async function () {
+        it("Parameters required by steps", async function () {
+            // Subscription parameters are only required by the NVM balance tracker subscription step
+            const parsedData = getInitialGlobals({ drainerAddress: "" });
+            expect(validateGlobals(parsedData, { steps })).to.deep.equal([
+                "drainerAddress: required by step 06 (EOA to deploy Balance Tracker NVM Subscription Native)",
+                "drainerAddress: required by step 08 (EOA to deploy Balance Tracker Fixed Price Native)",
+                "drainerAddress: required by step 10 (EOA to deploy Balance Tracker Fixed Price Token)",
+                "subscriptionNFTAddress: required by step 14 (EOA to set Balance trackers NVM subscription)",
+                "subscriptionTokenId: required by step 14 (EOA to set Balance trackers NVM subscription)",
+                "tokenCreditRatio: required by step 14 (EOA to set Balance trackers NVM subscription)"
+            ]);
+
+            // Steps that are not run do not require their parameters
+            const karmaSteps = steps.filter((step) => ["01", "02"].includes(step.id));
+            expect(validateGlobals(parsedData, { steps: karmaSteps })).to.deep.equal([]);
+            expect(validateGlobals(parsedData, { steps: karmaSteps, requires: ["drainerAddress"] })).to.deep.equal([
+                "drainerAddress: required"]);
+        });
+
+        it("Parameters required by CREATE2 deployments", async function () {
+            const trackerStep = steps.filter((step) => step.id === "06");
+            const parsedData = getInitialGlobals({ mechMarketplaceProxyAddress: globals.mechMarketplaceProxyAddress });
+            expect(validateGlobals(parsedData, { steps: trackerStep })).to.deep.equal([]);
+
+            // The subscription is set right after the CREATE2 deployment
+            expect(validateGlobals(Object.assign({ useCreate2: true }, parsedData), { steps: trackerStep }))
+                .to.deep.equal([
+                    "subscriptionNFTAddress: required by step 06 (EOA to deploy Balance Tracker NVM Subscription Native)",
+                    "subscriptionTokenId: required by step 06 (EOA to deploy Balance Tracker NVM Subscription Native)",
+                    "tokenCreditRatio: required by step 06 (EOA to deploy Balance Tracker NVM Subscription Native)",
+                    "create2Salt: required by useCreate2"
+                ]);
+        });
+
+        it("Safe address is required by the Safe mode", async function () {
+            expect(validateGlobals(getGlobals({ useSafe: true }))).to.deep.equal(["safeAddress: required by useSafe"]);
+            expect(validateGlobals(getGlobals({ useSafe: true, safeAddress: globals.bridgeMediatorAddress })))
+                .to.deep.equal([]);
+        });
+    });
+
+    context("Ranges", async function () {
+        it("Marketplace parameters", async function () {
+            expect(validateGlobals(getGlobals({ fee: "10001", minResponseTimeout: "0",
+                maxResponseTimeout: "4294967296" }))).to.deep.equal([
+                "fee: 10001 is greater than 10000",
+                "minResponseTimeout: must be non-zero",
+                "maxResponseTimeout: 4294967296 is greater than 4294967295"
+            ]);
+            expect(validateGlobals(getGlobals({ fee: "10000", minResponseTimeout: "300" }))).to.deep.equal([
+                "minResponseTimeout: 300 must be less than maxResponseTimeout 300"]);
+        });
+
+        it("Subscription parameters", async function () {
+            expect(validateGlobals(getGlobals({ subscriptionTokenId: "0", tokenCreditRatio: 0 }))).to.deep.equal([
+                "subscriptionTokenId: must be non-zero", "tokenCreditRatio: must be non-zero"]);
+        });
+
+        it("Provider is a configured network", async function () {
+            expect(validateGlobals(getGlobals({ providerName: "unknown" }))).to.deep.equal([
+                "providerName: unknown is not configured in hardhat.config.js"]);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+/*global describe, context, before, after, beforeEach, it*/
+
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployStackWithMechs } = require("../scripts/deployment/local_stack");
+const { getDeploymentBlock } = require("../scripts/deployment/manifest");
+const { verifyContract, verifyManifestContract, getFactoryMechs } = require("../scripts/deployment/verify");
+
+describe("DeploymentVerification", function () {
+    let server;
+    let explorer;
+    // Explorer records by the contract address: number of polls before the source is served, or the response status
+    const records = {};
+    // Explorer polls by the contract address
+    let polls;
+    // Verification submissions with the time they are made at
+    let submissions;
+    const options = { attempts: 3, retryInterval: 20, polls: 3, pollingInterval: 10 };
+
+    // Gets the submission that fails with the errors one by one, and succeeds after that
+    function submitWith(errors = []) {
+        return async (address, contract, constructorArguments) => {
+            submissions.push({ address, contract, constructorArguments, time: Date.now() });
+            if (submissions.length <= errors.length) {
+                throw new Error(errors[submissions.length - 1]);
+            }
+        };
+    }
+
+    // Verifies the contract with the mock explorer and the submission
+    function verify(address, submit) {
+        return verifyContract("gnosis", address, "contracts/Karma.sol:Karma", ["1"],
+            Object.assign({ explorer, submit }, options));
+    }
+
+    before(async function () {
+        records["0x01"] = { pendingPolls: 0 };
+        records["0x02"] = { pendingPolls: 2 };
+        records["0x03"] = { pendingPolls: Infinity };
+        records["0x04"] = { status: 502 };
+
+        // Mock explorer server serving the source code once the contract is polled enough times
+        server = http.createServer((request, response) => {
+            const url = new URL(request.url, "http://localhost");
+            const address = url.searchParams.get("address");
+            const record = records[address];
+            polls[address] = (polls[address] || 0) + 1;
+            response.setHeader("Content-Type", "application/json");
+            if (url.searchParams.get("action") !== "getsourcecode" || record.status) {
+                response.statusCode = record.status || 400;
+                response.end("{}");
+                return;
+            }
+            const sourceCode = polls[address] > record.pendingPolls ? "contract Karma {}" : "";
+            response.end(JSON.stringify({ status: "1", message: "OK", result: [{ SourceCode: sourceCode }] }));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        explorer = { apiURL: "http://127.0.0.1:" + server.address().port + "/api", browserURL: "", apiKey: "" };
+    });
+
+    after(async function () {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async function () {
+        polls = {};
+        submissions = [];
+    });
+
+    context("Explorer verification", async function () {
+        it("Submits the verification and polls the explorer until the source is served", async function () {
+            await verify("0x01", submitWith());
+            expect(submissions.map(({ address, contract, constructorArguments }) =>
+                [address, contract, constructorArguments])).to.deep.equal([["0x01", "contracts/Karma.sol:Karma", ["1"]]]);
+            expect(polls["0x01"]).to.equal(1);
+
+            // The verification is pending until the explorer indexes it
+            await verify("0x02", submitWith());
+            expect(submissions).to.have.lengthOf(2);
+            expect(polls["0x02"]).to.equal(3);
+        });
+
+        it("Transient errors are retried with the doubled interval", async function () {
+            await verify("0x01", submitWith(["Too many requests", "Failed to send contract verification request"]));
+            expect(submissions).to.have.lengthOf(3);
+            expect(submissions[1].time - submissions[0].time).to.be.at.least(options.retryInterval);
+            expect(submissions[2].time - submissions[1].time).to.be.at.least(2 * options.retryInterval);
+            expect(polls["0x01"]).to.equal(1);
+        });
+
+        it("Already verified contracts are not submitted again", async function () {
+            await verify("0x01", submitWith(["Contract source code already verified"]));
+            expect(submissions).to.have.lengthOf(1);
+            expect(polls["0x01"]).to.equal(1);
+        });
+
+        it("Failed verifications", async function () {
+            // Errors other than transient ones are not retried, and the explorer is not polled
+            await expect(verify("0x01", submitWith(["Invalid constructor arguments"]))).to.be.rejectedWith(
+                "Invalid constructor arguments");
+            expect(submissions).to.have.lengthOf(1);
+            expect(polls["0x01"]).to.equal(undefined);
+
+            // Transient errors fail the verification after all the attempts
+            submissions = [];
+            await expect(verify("0x01", submitWith(["rate limit", "rate limit", "rate limit"]))).to.be.rejectedWith(
+                "rate limit");
+            expect(submissions).to.have.lengthOf(options.attempts);
+
+            // Explorer does not serve the source, or fails to respond
+            for (const address of ["0x03", "0x04"]) {
+                await expect(verify(address, submitWith())).to.be.rejectedWith("Contract " + address +
+                    " verification is not confirmed by " + explorer.apiURL);
+                expect(polls[address]).to.equal(options.polls);
+            }
+        });
+
+        it("Verification status is recorded in the manifest", async function () {
+            const manifest = { contracts: {
+                Karma: { address: "0x02", sourceName: "contracts/Karma.sol", constructorArgs: [] },
+                KarmaProxy: { address: "0x03", sourceName: "contracts/proxies/KarmaProxy.sol", constructorArgs: [] }
+            } };
+            const settings = Object.assign({ explorer, submit: submitWith() }, options);
+            await verifyManifestContract("gnosis", manifest, "Karma", settings);
+            expect(manifest.contracts.Karma.verification.status).to.equal("verified");
+
+            await expect(verifyManifestContract("gnosis", manifest, "KarmaProxy", settings)).to.be.rejectedWith(
+                "is not confirmed");
+            expect(manifest.contracts.KarmaProxy.verification.status).to.equal("failed");
+            expect(manifest.contracts.KarmaProxy.verification.error).to.match(/is not confirmed/);
+            expect(submissions.map((submission) => submission.contract)).to.deep.equal(["contracts/Karma.sol:Karma",
+                "contracts/proxies/KarmaProxy.sol:KarmaProxy"]);
+        });
+    });
+
+    context("Factory mechs", async function () {
+        it("Mechs are looked for from the deployment block", async function () {
+            const signers = await ethers.getSigners();
+            const stack = await deployStackWithMechs(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"),
+                signers[0], 1000);
+            const globals = stack.globals;
+
+            // The start block is required
+            await expect(getFactoryMechs(globals)).to.be.rejectedWith("Block to look for mech creation events from is " +
+                "not set");
+
+            const mechs = await getFactoryMechs(globals, getDeploymentBlock(stack.manifest));
+            expect(mechs.map((mech) => mech.address)).to.have.members(Object.values(stack.mechs));
+            const mech = mechs.find((mech) => mech.address === stack.mechs.fixedPriceNative);
+            expect(mech.contractName).to.equal("MechFixedPriceNative");
+            expect(mech.constructorArgs).to.deep.equal([globals.mechMarketplaceProxyAddress,
+                globals.serviceRegistryAddress, "1", "1000"]);
+            expect(mech.blockNumber).to.equal(stack.receipts.fixedPriceNative.blockNumber);
+
+            // Mechs created before the block are not found
+            const laterBlock = stack.receipts.fixedPriceNative.blockNumber + 1;
+            expect((await getFactoryMechs(globals, laterBlock)).map((mech) => mech.address)).to.not.include(
+                stack.mechs.fixedPriceNative);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { createSender } = require("../scripts/deployment/sender");
+const { paymentTypes } = require("../scripts/deployment/constants");
+const { errorsInterface, explanations, decodeError, decodeRevert } = require("../scripts/client/errors");
+
+describe("ErrorDecoder", function () {
+    let deployer;
+    let mechMarketplace;
+    let snapshot;
+    const parsedData = { providerName: "hardhat", gasPriceInGwei: "1" };
+
+    // Gets the error thrown by the failing call
+    async function getError(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        return null;
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+        // The implementation is not initialized and has no owner, such that owner functions revert
+        const MechMarketplace = await ethers.getContractFactory("MechMarketplace");
+        mechMarketplace = await MechMarketplace.deploy(signers[1].address, signers[2].address);
+        await mechMarketplace.deployed();
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Revert data", async function () {
+        it("All custom errors have explanations", async function () {
+            for (const fragment of errorsInterface.fragments) {
+                expect(explanations[fragment.name]).to.be.a("function");
+            }
+        });
+
+        it("Decodes custom errors with arguments", async function () {
+            const decoded = decodeError(errorsInterface.encodeErrorResult("OutOfBounds", [1, 10, 100]));
+            expect(decoded.name).to.equal("OutOfBounds");
+            expect(decoded.args).to.deep.equal({ provided: "1", min: "10", max: "100" });
+            expect(decoded.message).to.equal("OutOfBounds(provided=1, min=10, max=100)");
+            expect(decoded.explanation).to.equal("The value of 1 is out of bounds [10, 100]");
+
+            const paymentType = decodeError(errorsInterface.encodeErrorResult("WrongPaymentType",
+                [paymentTypes.fixedPriceToken]));
+            expect(paymentType.explanation).to.contain("fixedPriceToken");
+        });
+
+        it("Decodes Error and Panic reverts", async function () {
+            const reason = decodeError("0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], ["reason"]).slice(2));
+            expect(reason.message).to.equal("Error(reason=reason)");
+            const panic = decodeError("0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2));
+            expect(panic.explanation).to.equal("Panic code 0x11");
+        });
+
+        it("Unknown revert data is not decoded", async function () {
+            expect(decodeError("0x12345678")).to.equal(null);
+            expect(decodeError("0x")).to.equal(null);
+            expect(decodeError(null)).to.equal(null);
+            const error = new Error("Not a revert");
+            expect(decodeRevert(error)).to.equal(error);
+        });
+    });
+
+    context("Provider errors", async function () {
+        it("Gas estimation, call and JSON-RPC body errors", async function () {
+            let error = decodeRevert(await getError(mechMarketplace.estimateGas.changeOwner(deployer.address)));
+            expect(error.decoded.name).to.equal("OwnerOnly");
+            expect(error.decoded.args.sender).to.equal(deployer.address);
+            expect(error.cause).to.be.an("error");
+
+            error = decodeRevert(await getError(mechMarketplace.checkMech(ethers.constants.AddressZero)));
+            expect(error.message).to.equal("Reverted with ZeroAddress(): A zero address is provided or configured");
+
+            const body = JSON.stringify({ error: { code: 3, data: errorsInterface.encodeErrorResult("ZeroValue", []) } });
+            expect(decodeRevert({ error: { body } }).decoded.name).to.equal("ZeroValue");
+        });
+
+        it("Sender decodes reverts of estimated and mined transactions", async function () {
+            const sender = createSender(deployer, parsedData, { pollingInterval: 100 });
+            const txRequest = await mechMarketplace.populateTransaction.changeOwner(deployer.address);
+            let error = await getError(sender.sendTransaction(txRequest));
+            expect(error.decoded.name).to.equal("OwnerOnly");
+
+            // The transaction with the gas limit is mined and replayed to get its revert reason
+            await helpers.mine();
+            await ethers.provider.send("evm_setAutomine", [false]);
+            const mined = getError(sender.sendTransaction(Object.assign({ gasLimit: 100000 }, txRequest)));
+            await new Promise(r => setTimeout(r, 200));
+            await helpers.mine();
+            await ethers.provider.send("evm_setAutomine", [true]);
+            error = await mined;
+            expect(error.message).to.contain("reverted: Reverted with OwnerOnly");
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployStackWithMechs } = require("../scripts/deployment/local_stack");
+const { parseLog, parseReceipt, getReceiptEvent, getPagedLogs, getEvents } = require("../scripts/client/events");
+
+describe("Events", function () {
+    let globals;
+    let snapshot;
+    let deployer;
+    let requester;
+    let mechMarketplace;
+    let mech;
+    let createReceipt;
+    const maxDeliveryRate = 1000;
+    const data = "0x" + "0".repeat(62) + "01";
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+        requester = signers[1];
+
+        // Deploy the full stack with the gnosis deployment parameters and create the native payment mech
+        const stack = await deployStackWithMechs(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), deployer,
+            maxDeliveryRate, ["fixedPriceNative"]);
+        globals = stack.globals;
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+        createReceipt = stack.receipts.fixedPriceNative;
+        mech = await ethers.getContractAt("MechFixedPriceNative", stack.mechs.fixedPriceNative);
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Receipts", async function () {
+        it("Mech creation events of the factory and the marketplace", async function () {
+            const factoryEvent = getReceiptEvent(createReceipt, "CreateMechFixedPriceNative");
+            expect(factoryEvent.address).to.equal(globals.mechFactoryFixedPriceNativeAddress);
+            expect(factoryEvent.args.mech).to.equal(mech.address);
+            expect(factoryEvent.args.serviceId).to.equal(1);
+            expect(factoryEvent.args.maxDeliveryRate).to.equal(maxDeliveryRate);
+
+            const event = getReceiptEvent(createReceipt, "CreateMech", mechMarketplace.address);
+            expect(event.args.mech).to.equal(mech.address);
+            expect(event.args.serviceId).to.equal(1);
+            expect(event.args.mechFactory).to.equal(globals.mechFactoryFixedPriceNativeAddress);
+            expect(event.transactionHash).to.equal(createReceipt.transactionHash);
+            expect(() => getReceiptEvent(createReceipt, "CreateMech", deployer.address)).to.throw("has no CreateMech event");
+        });
+
+        it("Request and delivery events", async function () {
+            let receipt = await (await mechMarketplace.connect(requester).request(data, maxDeliveryRate,
+                await mech.paymentType(), mech.address, 100, "0x", { value: maxDeliveryRate })).wait();
+            const requestEvent = getReceiptEvent(receipt, "MarketplaceRequest");
+            expect(requestEvent.args.requester).to.equal(requester.address);
+            expect(requestEvent.args.numRequests).to.equal(1);
+            const requestId = requestEvent.args.requestIds[0];
+            expect(parseReceipt(receipt, "Request", mech.address)[0].args.requestId).to.equal(requestId);
+            expect(parseReceipt(receipt, "RequesterBalanceAdjusted")[0].args.requester).to.equal(requester.address);
+
+            receipt = await (await mech.deliverToMarketplace([requestId], ["0xaa"])).wait();
+            const deliverEvent = getReceiptEvent(receipt, "Deliver", mech.address);
+            expect(deliverEvent.args.requestId).to.equal(requestId);
+            expect(deliverEvent.args.data).to.equal("0xaa");
+            expect(getReceiptEvent(receipt, "MarketplaceDelivery").args.deliveredRequests).to.deep.equal([true]);
+            expect(getReceiptEvent(receipt, "MechKarmaChanged").args.karmaChange).to.equal(1);
+
+            // Events are in the emission order, and logs of unknown events are skipped
+            const logIndexes = parseReceipt(receipt).map((event) => event.logIndex);
+            expect(logIndexes).to.deep.equal(logIndexes.slice().sort((a, b) => a - b));
+            expect(parseLog({ address: deployer.address, topics: [ethers.utils.id("Unknown()")], data: "0x" }))
+                .to.equal(null);
+        });
+    });
+
+    context("Block ranges", async function () {
+        it("Events filtered by names and the contract address", async function () {
+            await mechMarketplace.connect(requester).request(data, maxDeliveryRate, await mech.paymentType(),
+                mech.address, 100, "0x", { value: maxDeliveryRate });
+            // The range starts with the mech creation, as the chain is shared with other tests
+            const events = await getEvents(ethers.provider, { names: ["CreateMech", "MarketplaceRequest"],
+                fromBlock: createReceipt.blockNumber });
+            expect(events.map((event) => event.name)).to.deep.equal(["CreateMech", "MarketplaceRequest"]);
+
+            const mechEvents = await getEvents(ethers.provider, { address: mech.address,
+                fromBlock: createReceipt.blockNumber + 1 });
+            expect(mechEvents.map((event) => event.name)).to.deep.equal(["Request"]);
+        });
+
+        it("Logs are fetched in bounded block ranges", async function () {
+            const toBlock = await ethers.provider.getBlockNumber();
+            const filter = { fromBlock: createReceipt.blockNumber - 3, toBlock };
+            const logs = await ethers.provider.getLogs(filter);
+
+            // Requested ranges are consecutive, do not exceed the block range and end with the filter one
+            const ranges = [];
+            const provider = { getLogs: (rangeFilter) => {
+                ranges.push([rangeFilter.fromBlock, rangeFilter.toBlock]);
+                return ethers.provider.getLogs(rangeFilter);
+            } };
+            expect(await getPagedLogs(provider, filter, 2)).to.deep.equal(logs);
+            expect(ranges[0]).to.deep.equal([filter.fromBlock, filter.fromBlock + 1]);
+            expect(ranges[ranges.length - 1][1]).to.equal(toBlock);
+            ranges.slice(1).forEach((range, i) => expect(range[0]).to.equal(ranges[i][1] + 1));
+        });
+    });
+});
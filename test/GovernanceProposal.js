@@ -0,0 +1,89 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { bridges, encodeChanges, packCalls, unpackCalls, wrapForBridge, unwrapFromBridge,
+    buildProposal } = require("../scripts/governance/proposal");
+
+describe("GovernanceProposal", function () {
+    const globals = readGlobals("scripts/deployment/globals_gnosis_mainnet.json");
+    const newOwner = "0x" + "11".repeat(20);
+    const calls = [
+        { to: ethers.utils.getAddress("0x" + "22".repeat(20)), value: ethers.BigNumber.from(0), data: "0x12345678" },
+        { to: ethers.utils.getAddress("0x" + "33".repeat(20)), value: ethers.BigNumber.from(5), data: "0x" },
+        { to: ethers.utils.getAddress("0x" + "44".repeat(20)), value: ethers.BigNumber.from(2).pow(95),
+            data: "0x" + "ab".repeat(100) }
+    ];
+
+    context("Packed calls", async function () {
+        it("Calls are packed as target, value, payload length and payload", async function () {
+            const packedData = packCalls(calls.slice(0, 1));
+            expect(packedData).to.equal(ethers.utils.hexConcat([calls[0].to, ethers.utils.hexZeroPad("0x00", 12),
+                "0x00000004", "0x12345678"]));
+            expect(ethers.utils.hexDataLength(packCalls(calls))).to.equal(36 * 3 + 4 + 0 + 100);
+        });
+
+        it("Packed calls are unpacked back", async function () {
+            const unpacked = unpackCalls(packCalls(calls));
+            expect(unpacked.length).to.equal(calls.length);
+            unpacked.forEach((call, i) => {
+                expect(call.to).to.equal(calls[i].to);
+                expect(call.value).to.equal(calls[i].value);
+                expect(call.data).to.equal(calls[i].data);
+            });
+            expect(unpackCalls("0x")).to.deep.equal([]);
+        });
+
+        it("Truncated packed data", async function () {
+            const packedData = packCalls(calls);
+            expect(() => unpackCalls(ethers.utils.hexDataSlice(packedData, 0, 36 + 3))).to.throw(
+                "Packed data is truncated at offset 36");
+        });
+    });
+
+    context("Bridges", async function () {
+        it("Calls are wrapped and unwrapped for each bridge", async function () {
+            for (const providerName of Object.keys(bridges)) {
+                const wrapped = wrapForBridge(providerName, globals.bridgeMediatorAddress, calls, 300000);
+                expect(wrapped.target).to.equal(bridges[providerName].l1Bridge);
+
+                const unwrapped = unwrapFromBridge(providerName, wrapped.calldata);
+                expect(unwrapped.bridgeMediator).to.equal(globals.bridgeMediatorAddress);
+                expect(unwrapped.gasLimit).to.equal(bridges[providerName].type === "fxPortal" ? undefined : "300000");
+                expect(unwrapped.calls.map((call) => call.data)).to.deep.equal(calls.map((call) => call.data));
+            }
+        });
+
+        it("Unsupported bridge", async function () {
+            expect(() => wrapForBridge("celo", globals.bridgeMediatorAddress, calls)).to.throw(
+                "Governance bridge is not supported for the network: celo");
+        });
+    });
+
+    context("Proposals", async function () {
+        it("Intended changes are decoded back from the proposal", async function () {
+            const proposal = buildProposal(globals, { description: "Change owners", changes: [
+                { contract: "KarmaProxy", method: "changeOwner", args: [newOwner] },
+                { contract: "MechMarketplaceProxy", method: "changeMarketplaceParams", args: [100, 10, 1000] }
+            ] });
+            expect(proposal.targets).to.deep.equal([bridges.gnosis.l1Bridge]);
+            expect(proposal.bridgeMethod).to.equal("requireToPassMessage");
+            expect(proposal.summary.map((call) => call.to)).to.deep.equal([globals.karmaProxyAddress,
+                globals.mechMarketplaceProxyAddress]);
+            expect(proposal.summary[0].decoded).to.equal("KarmaProxy.changeOwner(address)");
+            expect(proposal.summary[0].args[0].value).to.equal(ethers.utils.getAddress(newOwner));
+            expect(proposal.summary[1].args.map((arg) => arg.value)).to.deep.equal(["100", "10", "1000"]);
+        });
+
+        it("Changes of unknown contracts or view functions", async function () {
+            expect(() => encodeChanges([{ contract: "Mech", method: "changeOwner", args: [newOwner] }], globals))
+                .to.throw("Change 0: unknown governed contract Mech");
+            expect(() => encodeChanges([{ contract: "KarmaProxy", method: "owner" }], globals)).to.throw(
+                "Change 0: owner does not change the state");
+            expect(() => encodeChanges([{ contract: "KarmaProxy", method: "changeOwner", args: [newOwner] }],
+                Object.assign({}, globals, { karmaProxyAddress: "" }))).to.throw(
+                "Change 0: KarmaProxy address is not set: karmaProxyAddress");
+        });
+    });
+});
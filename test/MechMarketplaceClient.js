@@ -0,0 +1,147 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployStackWithMechs } = require("../scripts/deployment/local_stack");
+const { paymentTypes, MechMarketplaceClient } = require("../scripts/client/mech_marketplace_client");
+
+describe("MechMarketplaceClient", function () {
+    let globals;
+    let snapshot;
+    let requester;
+    let client;
+    let token;
+    let subscription;
+    let mechs;
+    const maxDeliveryRate = 1000;
+    const responseTimeout = 100;
+    const subscriptionTokenId = 1;
+    const data = "0x" + "0".repeat(62) + "01";
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        const deployer = signers[0];
+        requester = signers[1];
+
+        // Deploy the full stack with the gnosis deployment parameters and create a mech of each payment type
+        const stack = await deployStackWithMechs(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), deployer,
+            maxDeliveryRate);
+        globals = stack.globals;
+        mechs = stack.mechs;
+        token = await ethers.getContractAt("ERC20Token", globals.olasAddress);
+        subscription = await ethers.getContractAt("MockNvmSubscriptionNative", globals.subscriptionNFTAddress);
+
+        await token.mint(requester.address, maxDeliveryRate * 10);
+        client = new MechMarketplaceClient(globals.mechMarketplaceProxyAddress, requester);
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Marketplace parameters", async function () {
+        it("Gets marketplace parameters and mech payment types", async function () {
+            const params = await client.getParams();
+            expect(params.minResponseTimeout).to.equal(Number(globals.minResponseTimeout));
+            expect(params.maxResponseTimeout).to.equal(Number(globals.maxResponseTimeout));
+
+            for (const paymentTypeName of Object.keys(mechs)) {
+                const mech = await client.getMech(mechs[paymentTypeName]);
+                expect(mech.paymentType).to.equal(paymentTypes[paymentTypeName]);
+                expect(mech.paymentTypeName).to.equal(paymentTypeName);
+                expect(mech.maxDeliveryRate).to.equal(maxDeliveryRate);
+            }
+        });
+    });
+
+    context("Requests", async function () {
+        it("Native payment request with the required value", async function () {
+            const result = await client.request({ mech: mechs.fixedPriceNative, requestData: data, responseTimeout });
+            expect(result.request.value).to.equal(maxDeliveryRate);
+            expect(result.receipt.status).to.equal(1);
+
+            const mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+            const requestInfo = await mechMarketplace.mapRequestIdInfos(result.requestId);
+            expect(requestInfo.requester).to.equal(requester.address);
+            expect(requestInfo.priorityMech).to.equal(mechs.fixedPriceNative);
+        });
+
+        it("Native payment batch with an existing requester balance", async function () {
+            let result = await client.requestBatch({ mech: mechs.fixedPriceNative, requestDatas: [data, data],
+                responseTimeout, value: maxDeliveryRate * 3 });
+            expect(result.requestIds).to.have.lengthOf(2);
+
+            // The remaining balance covers the next request
+            result = await client.request({ mech: mechs.fixedPriceNative, requestData: data, responseTimeout });
+            expect(result.request.value).to.equal(0);
+        });
+
+        it("Token payment batch", async function () {
+            await token.connect(requester).approve(globals.balanceTrackerFixedPriceTokenAddress, maxDeliveryRate * 2);
+            const result = await client.requestBatch({ mech: mechs.fixedPriceToken, requestDatas: [data, data],
+                responseTimeout });
+            expect(result.requestIds).to.have.lengthOf(2);
+            expect(result.request.value).to.equal(0);
+            expect(await token.balanceOf(globals.balanceTrackerFixedPriceTokenAddress)).to.equal(maxDeliveryRate * 2);
+        });
+
+        it("Subscription payment request", async function () {
+            await subscription.connect(requester).mint(subscriptionTokenId, maxDeliveryRate,
+                { value: maxDeliveryRate });
+            const result = await client.request({ mech: mechs.nvmSubscriptionNative, requestData: data,
+                responseTimeout });
+            expect(result.requestId).to.match(/^0x[0-9a-f]{64}$/);
+            expect(await subscription.balanceOf(requester.address, subscriptionTokenId)).to.equal(0);
+        });
+    });
+
+    context("Validation", async function () {
+        it("Response timeout out of bounds", async function () {
+            await expect(client.request({ mech: mechs.fixedPriceNative, requestData: data,
+                responseTimeout: Number(globals.maxResponseTimeout) + 1 })).to.be.rejectedWith("is out of bounds");
+        });
+
+        it("Empty request data", async function () {
+            await expect(client.requestBatch({ mech: mechs.fixedPriceNative, requestDatas: [data, "0x"],
+                responseTimeout })).to.be.rejectedWith("must be non-empty bytes");
+        });
+
+        it("Not a marketplace mech", async function () {
+            const request = { mech: requester.address, requestData: data, responseTimeout };
+            await expect(client.request(request)).to.be.rejectedWith("is not a marketplace mech");
+            await expect(client.request(request)).to.be.rejectedWith(
+                "UnauthorizedAccount(account=" + requester.address + ")");
+        });
+
+        it("Mech delivery rate is higher than the max one", async function () {
+            await expect(client.request({ mech: mechs.fixedPriceNative, requestData: data, responseTimeout,
+                maxDeliveryRate: maxDeliveryRate - 1 })).to.be.rejectedWith("is higher than max delivery rate");
+        });
+
+        it("Insufficient native value", async function () {
+            await expect(client.request({ mech: mechs.fixedPriceNative, requestData: data, responseTimeout,
+                value: maxDeliveryRate - 1 })).to.be.rejectedWith("is lower than required");
+        });
+
+        it("Value for non-native payments", async function () {
+            await expect(client.request({ mech: mechs.fixedPriceToken, requestData: data, responseTimeout,
+                value: 1 })).to.be.rejectedWith("does not accept value");
+        });
+
+        it("Insufficient token allowance", async function () {
+            await expect(client.request({ mech: mechs.fixedPriceToken, requestData: data,
+                responseTimeout })).to.be.rejectedWith("allowance");
+        });
+
+        it("Insufficient subscription credits", async function () {
+            await expect(client.request({ mech: mechs.nvmSubscriptionNative, requestData: data,
+                responseTimeout })).to.be.rejectedWith("subscription credits");
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { getImmutableReferences } = require("../scripts/audit_chains/bytecode");
+const { getDomainSeparator, getRequestId, getRequestIds } = require("../scripts/client/request_id");
+
+describe("RequestId", function () {
+    let mechMarketplace;
+    let mechMarketplaceImplementation;
+    let domain;
+    let snapshot;
+    const numRandomInputs = 50;
+    const forkedChainId = 100;
+
+    // Gets random request parameters
+    function getRandomRequest() {
+        const randomHex = (length) => ethers.utils.hexlify(ethers.utils.randomBytes(length));
+        return {
+            mech: ethers.utils.getAddress(randomHex(20)),
+            requester: ethers.utils.getAddress(randomHex(20)),
+            data: randomHex(1 + Math.floor(Math.random() * 256)),
+            deliveryRate: ethers.BigNumber.from(randomHex(1 + Math.floor(Math.random() * 32))),
+            paymentType: randomHex(32),
+            nonce: ethers.BigNumber.from(randomHex(1 + Math.floor(Math.random() * 8)))
+        };
+    }
+
+    // Checks request Ids of the contract and the calculator match for random inputs
+    async function checkRandomRequests() {
+        for (let i = 0; i < numRandomInputs; i++) {
+            const request = getRandomRequest();
+            const args = [request.mech, request.requester, request.data, request.deliveryRate, request.paymentType,
+                request.nonce];
+            expect(getRequestId(domain, ...args)).to.equal(await mechMarketplace.getRequestId(...args));
+        }
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        const MechMarketplace = await ethers.getContractFactory("MechMarketplace");
+        // Service registry and karma are not called by request Id getters
+        mechMarketplaceImplementation = await MechMarketplace.deploy(signers[1].address, signers[2].address);
+        await mechMarketplaceImplementation.deployed();
+
+        const initPayload = MechMarketplace.interface.encodeFunctionData("initialize", [10, 10, 1000]);
+        const MechMarketplaceProxy = await ethers.getContractFactory("MechMarketplaceProxy");
+        const mechMarketplaceProxy = await MechMarketplaceProxy.deploy(mechMarketplaceImplementation.address,
+            initPayload);
+        await mechMarketplaceProxy.deployed();
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", mechMarketplaceProxy.address);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        domain = { mechMarketplace: mechMarketplace.address, chainId };
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Original chain", async function () {
+        it("Domain separator", async function () {
+            expect(await mechMarketplace.DOMAIN_SEPARATOR_TYPE_HASH()).to.equal(
+                ethers.utils.id("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"));
+            expect(getDomainSeparator(domain.mechMarketplace, domain.chainId)).to.equal(
+                await mechMarketplace.domainSeparator());
+            expect(getDomainSeparator(domain.mechMarketplace, domain.chainId)).to.equal(
+                await mechMarketplace.getDomainSeparator());
+        });
+
+        it("Request Ids of random inputs", async function () {
+            await checkRandomRequests();
+        });
+
+        it("Request Ids of the batch take sequential nonces", async function () {
+            const request = getRandomRequest();
+            const datas = [request.data, request.data, "0x01"];
+            const requestIds = getRequestIds(domain, request.mech, request.requester, datas, request.deliveryRate,
+                request.paymentType, request.nonce);
+            for (let i = 0; i < datas.length; i++) {
+                expect(requestIds[i]).to.equal(await mechMarketplace.getRequestId(request.mech, request.requester,
+                    datas[i], request.deliveryRate, request.paymentType, request.nonce.add(i)));
+            }
+        });
+    });
+
+    context("Forked chain", async function () {
+        it("Domain separator is recomputed for the current chain Id", async function () {
+            // Emulate the marketplace deployed on another chain: the implementation chain Id and the recorded domain
+            // separator are the ones of the original chain
+            const { deployedBytecode, immutables } = await getImmutableReferences("MechMarketplace");
+            const chainIdWord = ethers.utils.hexZeroPad(ethers.utils.hexlify(forkedChainId), 32).slice(2);
+            let code = await ethers.provider.getCode(mechMarketplaceImplementation.address);
+            expect(code.length).to.equal(deployedBytecode.length);
+            for (const reference of immutables.find((immutable) => immutable.name === "chainId").references) {
+                const start = 2 + reference.start * 2;
+                code = code.slice(0, start) + chainIdWord + code.slice(start + 64);
+            }
+            await helpers.setCode(mechMarketplaceImplementation.address, code);
+            expect(await mechMarketplace.chainId()).to.equal(forkedChainId);
+
+            // Find the domain separator slot and set it to the original chain one
+            const domainSeparator = await mechMarketplace.domainSeparator();
+            let slot = 0;
+            while (slot < 10 && await helpers.getStorageAt(mechMarketplace.address, slot) !== domainSeparator) {
+                slot++;
+            }
+            expect(slot).to.be.lessThan(10);
+            const originalDomainSeparator = getDomainSeparator(domain.mechMarketplace, forkedChainId);
+            await helpers.setStorageAt(mechMarketplace.address, slot, originalDomainSeparator);
+            expect(await mechMarketplace.domainSeparator()).to.equal(originalDomainSeparator);
+
+            // The current chain Id is used for requests on the forked chain
+            expect(await mechMarketplace.getDomainSeparator()).to.equal(domainSeparator);
+            expect(getDomainSeparator(domain.mechMarketplace, domain.chainId)).to.equal(domainSeparator);
+            await checkRandomRequests();
+        });
+    });
+});
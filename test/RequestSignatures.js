@@ -0,0 +1,158 @@
+/*global describe, context, before, beforeEach, afterEach, it*/
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { readGlobals } = require("../scripts/deployment/helpers");
+const { deployStackWithMechs } = require("../scripts/deployment/local_stack");
+const { normalizeSignature, verifyRequestSignature, getRequesterSigner, getSafeRequesterSigner,
+    buildDeliverWithSignatures } = require("../scripts/client/signatures");
+
+describe("RequestSignatures", function () {
+    let snapshot;
+    let deployer;
+    let mechMarketplace;
+    let balanceTracker;
+    let mech;
+    let wallet;
+    let safe;
+    let safeOwners;
+    let requests;
+    const maxDeliveryRate = 1000;
+    const safeArtifactsDir = "@gnosis.pm/safe-contracts/build/artifacts/contracts/";
+
+    // Deploys the contract from the Safe contracts package artifact
+    async function deploySafeContract(artifactPath) {
+        const artifact = require(safeArtifactsDir + artifactPath);
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+        const contract = await factory.deploy();
+        await contract.deployed();
+        return contract;
+    }
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        deployer = signers[0];
+
+        // Deploy the full stack with the gnosis deployment parameters and create the native payment mech
+        const stack = await deployStackWithMechs(readGlobals("scripts/deployment/globals_gnosis_mainnet.json"), deployer,
+            maxDeliveryRate, ["fixedPriceNative"]);
+        const globals = stack.globals;
+        mechMarketplace = await ethers.getContractAt("MechMarketplace", globals.mechMarketplaceProxyAddress);
+        balanceTracker = await ethers.getContractAt("BalanceTrackerFixedPriceNative",
+            globals.balanceTrackerFixedPriceNativeAddress);
+        mech = await ethers.getContractAt("MechFixedPriceNative", stack.mechs.fixedPriceNative);
+
+        // EOA requester
+        wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await balanceTracker.depositFor(wallet.address, { value: maxDeliveryRate * 10 });
+
+        // Safe requester with a wallet owner and a JSON-RPC one, signatures are validated by the fallback handler
+        const safeSingleton = await deploySafeContract("GnosisSafe.sol/GnosisSafe.json");
+        const safeProxyFactory = await deploySafeContract("proxies/GnosisSafeProxyFactory.sol/GnosisSafeProxyFactory.json");
+        const fallbackHandler = await deploySafeContract(
+            "handler/CompatibilityFallbackHandler.sol/CompatibilityFallbackHandler.json");
+        safeOwners = [ethers.Wallet.createRandom().connect(ethers.provider), signers[1]];
+        const setupData = safeSingleton.interface.encodeFunctionData("setup", [safeOwners.map((owner) => owner.address),
+            2, ethers.constants.AddressZero, "0x", fallbackHandler.address, ethers.constants.AddressZero, 0,
+            ethers.constants.AddressZero]);
+        const safeReceipt = await (await safeProxyFactory.createProxy(safeSingleton.address, setupData)).wait();
+        safe = safeReceipt.events.find((event) => event.event === "ProxyCreation").args.proxy;
+        await balanceTracker.depositFor(safe, { value: maxDeliveryRate * 10 });
+
+        requests = [
+            { requestData: "0x01", deliveryRate: maxDeliveryRate, deliveryData: "0xaa" },
+            { requestData: "0x02", deliveryRate: maxDeliveryRate - 1, deliveryData: "0xbb" }
+        ];
+    });
+
+    beforeEach(async function () {
+        snapshot = await helpers.takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    context("Signatures", async function () {
+        it("Normalizes v and high s values", async function () {
+            const requestId = ethers.utils.id("request");
+            const signature = ethers.utils.joinSignature(wallet._signingKey().signDigest(requestId));
+            const bytes = ethers.utils.arrayify(signature);
+
+            // Ledger-like v values of 0 and 1 are accepted by the marketplace
+            const ledgerSignature = ethers.utils.hexConcat([bytes.slice(0, 64), [bytes[64] - 27]]);
+            expect(normalizeSignature(ledgerSignature)).to.equal(signature);
+            expect(await verifyRequestSignature(ethers.provider, wallet.address, requestId, ledgerSignature)).to.equal(true);
+
+            // Malleable high s signatures are not accepted by the marketplace
+            const curveOrder = ethers.BigNumber.from("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+            const highS = ethers.utils.hexZeroPad(curveOrder.sub(bytes.slice(32, 64)).toHexString(), 32);
+            const highSSignature = ethers.utils.hexConcat([bytes.slice(0, 32), highS, [bytes[64] === 27 ? 28 : 27]]);
+            expect(await verifyRequestSignature(ethers.provider, wallet.address, requestId, highSSignature)).to.equal(false);
+            expect(normalizeSignature(highSSignature)).to.equal(signature);
+
+            expect(await verifyRequestSignature(ethers.provider, deployer.address, requestId, signature)).to.equal(false);
+        });
+
+        it("Ledger signs the hashed EIP-712 message", async function () {
+            // Ledger app signs the digest of the domain separator and the struct hash, with v of 0 or 1
+            const ledger = {
+                path: "m/44'/60'/0'/0/0",
+                _retry: async (callback) => callback({
+                    signEIP712HashedMessage: async (path, domainSeparator, structHash) => {
+                        const digest = ethers.utils.keccak256("0x1901" + domainSeparator + structHash);
+                        const signature = wallet._signingKey().signDigest(digest);
+                        return { v: signature.recoveryParam, r: signature.r.slice(2), s: signature.s.slice(2) };
+                    }
+                })
+            };
+            const result = await buildDeliverWithSignatures(mechMarketplace, wallet.address, mech.address, requests,
+                getRequesterSigner(ledger));
+            await mech.deliverMarketplaceWithSignatures(wallet.address, result.deliverWithSignatures,
+                result.deliveryRates, "0x");
+            expect(await mechMarketplace.mapNonces(wallet.address)).to.equal(requests.length);
+        });
+    });
+
+    context("Signed deliveries", async function () {
+        it("EOA requester", async function () {
+            const result = await buildDeliverWithSignatures(mechMarketplace, wallet.address, mech.address, requests,
+                getRequesterSigner(wallet));
+            const paymentType = await mech.paymentType();
+            for (let i = 0; i < requests.length; i++) {
+                expect(result.requestIds[i]).to.equal(await mechMarketplace.getRequestId(mech.address, wallet.address,
+                    requests[i].requestData, requests[i].deliveryRate, paymentType, i));
+            }
+
+            await mech.deliverMarketplaceWithSignatures(wallet.address, result.deliverWithSignatures,
+                result.deliveryRates, "0x");
+            expect(await mechMarketplace.mapNonces(wallet.address)).to.equal(requests.length);
+            expect(await mechMarketplace.mapDeliveryCounts(wallet.address)).to.equal(requests.length);
+        });
+
+        it("Safe requester", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const result = await buildDeliverWithSignatures(mechMarketplace, safe, mech.address, requests,
+                getSafeRequesterSigner(safe, chainId, safeOwners));
+            await mech.deliverMarketplaceWithSignatures(safe, result.deliverWithSignatures, result.deliveryRates, "0x");
+            expect(await mechMarketplace.mapNonces(safe)).to.equal(requests.length);
+        });
+
+        it("Signatures are verified before the delivery", async function () {
+            // Signer that is not the requester
+            await expect(buildDeliverWithSignatures(mechMarketplace, deployer.address, mech.address, requests,
+                getRequesterSigner(wallet))).to.be.rejectedWith("is not valid for requester");
+
+            // Safe threshold is not reached
+            const { chainId } = await ethers.provider.getNetwork();
+            await expect(buildDeliverWithSignatures(mechMarketplace, safe, mech.address, requests,
+                getSafeRequesterSigner(safe, chainId, safeOwners.slice(0, 1)))).to.be.rejectedWith(
+                "is not valid for requester");
+
+            // JSON-RPC signers only sign prefixed messages
+            await expect(buildDeliverWithSignatures(mechMarketplace, deployer.address, mech.address, requests,
+                getRequesterSigner(deployer))).to.be.rejectedWith("cannot sign hashed messages");
+        });
+    });
+});
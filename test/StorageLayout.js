@@ -0,0 +1,128 @@
+/*global describe, context, it*/
+
+const { expect } = require("chai");
+const { normalizeStorage, compareStorageLayouts } = require("../scripts/deployment/storage");
+
+describe("StorageLayout", function () {
+    // Solc storage layout types, struct type identifiers carry AST Ids of the compilation
+    function getTypes(structId) {
+        const types = {
+            "t_address": { encoding: "inplace", label: "address", numberOfBytes: "20" },
+            "t_bool": { encoding: "inplace", label: "bool", numberOfBytes: "1" },
+            "t_uint96": { encoding: "inplace", label: "uint96", numberOfBytes: "12" },
+            "t_uint128": { encoding: "inplace", label: "uint128", numberOfBytes: "16" },
+            "t_uint256": { encoding: "inplace", label: "uint256", numberOfBytes: "32" }
+        };
+        types["t_struct(Params)" + structId + "_storage"] = {
+            encoding: "inplace",
+            label: "struct MechMarketplace.Params",
+            numberOfBytes: "64",
+            members: [
+                { astId: structId + 1, contract: "MechMarketplace", label: "fee", offset: 0, slot: "0",
+                    type: "t_uint256" },
+                { astId: structId + 2, contract: "MechMarketplace", label: "drainer", offset: 0, slot: "1",
+                    type: "t_address" }
+            ]
+        };
+        return types;
+    }
+
+    // Gets the solc storage layout of variables: [label, slot, offset, type]
+    function getLayout(variables, structId = 100) {
+        const types = getTypes(structId);
+        const storage = variables.map(([label, slot, offset, type], i) => ({
+            astId: structId + 10 + i,
+            contract: "MechMarketplace",
+            label,
+            offset,
+            slot,
+            type: type === "struct" ? "t_struct(Params)" + structId + "_storage" : "t_" + type
+        }));
+        return normalizeStorage(storage, types);
+    }
+
+    // Variables of the deployed implementation
+    const variables = [
+        ["owner", "0", 0, "address"],
+        ["paused", "0", 20, "bool"],
+        ["params", "1", 0, "struct"],
+        ["numRequests", "3", 0, "uint256"]
+    ];
+
+    context("Normalization", async function () {
+        it("Layouts of different compilations are equal", async function () {
+            const oldLayout = getLayout(variables, 100);
+            const newLayout = getLayout(variables, 500);
+            expect(newLayout).to.deep.equal(oldLayout);
+            expect(oldLayout[2]).to.deep.equal({ label: "params", slot: "1", offset: 0,
+                type: "struct MechMarketplace.Params", numberOfBytes: "64", members: [
+                    { label: "fee", slot: "0", offset: 0, type: "uint256", numberOfBytes: "32" },
+                    { label: "drainer", slot: "1", offset: 0, type: "address", numberOfBytes: "20" }
+                ] });
+            expect(compareStorageLayouts(oldLayout, newLayout)).to.deep.equal({ errors: [], warnings: [] });
+        });
+    });
+
+    context("Compatibility", async function () {
+        it("Variables appended after the existing ones", async function () {
+            const newLayout = getLayout(variables.concat([["numDeliveries", "4", 0, "uint256"]]));
+            expect(compareStorageLayouts(getLayout(variables), newLayout)).to.deep.equal({ errors: [], warnings: [] });
+        });
+
+        it("Variable inserted in the middle", async function () {
+            const newLayout = getLayout([variables[0], variables[1], ["fee", "1", 0, "uint256"],
+                ["params", "2", 0, "struct"], ["numRequests", "4", 0, "uint256"]]);
+            const result = compareStorageLayouts(getLayout(variables), newLayout);
+            expect(result.errors).to.deep.equal([
+                "params type is changed from struct MechMarketplace.Params to uint256",
+                "params.fee is removed",
+                "params.drainer is removed",
+                "numRequests is moved from slot 3, offset 0 to slot 2, offset 0",
+                "numRequests type is changed from uint256 to struct MechMarketplace.Params"
+            ]);
+            expect(result.warnings).to.deep.equal(["params is renamed to fee", "numRequests is renamed to params"]);
+        });
+
+        it("Variable type changes packing", async function () {
+            // A wider type of the packed variable still fits into its slot, but changes the stored value
+            const newLayout = getLayout([["owner", "0", 0, "address"], ["paused", "0", 20, "uint96"],
+                ["params", "1", 0, "struct"], ["numRequests", "3", 0, "uint256"]]);
+            expect(compareStorageLayouts(getLayout(variables), newLayout).errors).to.deep.equal([
+                "paused type is changed from bool to uint96"]);
+
+            const shrunkLayout = getLayout([["owner", "0", 0, "address"], ["paused", "0", 20, "bool"],
+                ["params", "1", 0, "struct"], ["numRequests", "3", 0, "uint128"]]);
+            expect(compareStorageLayouts(getLayout(variables), shrunkLayout).errors).to.deep.equal([
+                "numRequests type is changed from uint256 to uint128"]);
+        });
+
+        it("Renamed variables are compatible", async function () {
+            const newLayout = getLayout([["owner", "0", 0, "address"], ["isPaused", "0", 20, "bool"],
+                ["params", "1", 0, "struct"], ["numRequests", "3", 0, "uint256"]]);
+            expect(compareStorageLayouts(getLayout(variables), newLayout)).to.deep.equal({ errors: [],
+                warnings: ["paused is renamed to isPaused"] });
+        });
+
+        it("Removed variables", async function () {
+            const newLayout = getLayout(variables.slice(0, 3));
+            expect(compareStorageLayouts(getLayout(variables), newLayout).errors).to.deep.equal([
+                "numRequests is removed"]);
+        });
+
+        it("Struct members", async function () {
+            const oldLayout = getLayout(variables);
+            const newLayout = getLayout(variables);
+            // Struct members are reordered
+            newLayout[2].members = [newLayout[2].members[1], newLayout[2].members[0]];
+            expect(compareStorageLayouts(oldLayout, newLayout)).to.deep.equal({
+                errors: [
+                    "params.fee is moved from slot 0, offset 0 to slot 1, offset 0",
+                    "params.fee type is changed from uint256 to address",
+                    "params.drainer is moved from slot 1, offset 0 to slot 0, offset 0",
+                    "params.drainer type is changed from address to uint256"
+                ],
+                warnings: ["params.fee is renamed to drainer", "params.drainer is renamed to fee"]
+            });
+        });
+    });
+});